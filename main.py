@@ -1,11 +1,479 @@
-from flask import Flask, render_template, send_file
+import json
+import os
+import re
+import shutil
+import uuid
+from datetime import datetime, timezone
+
+from flask import Flask, render_template, send_file, send_from_directory, request, jsonify, abort
+from flask_sock import Sock
 from io import BytesIO
 
+import replies
+import streaming
+import transcription
+
 app = Flask(__name__)
+sock = Sock(app)
+app.config['UPLOAD_FOLDER'] = os.environ.get('UPLOAD_FOLDER', os.path.join(app.root_path, 'uploads'))
+app.config['MAX_CONTENT_LENGTH'] = 50 * 1024 * 1024
+# Per-take limits the recorder enforces while recording. The size default
+# matches the 25 MB most speech-to-text APIs accept.
+app.config['MAX_RECORDING_SECONDS'] = int(os.environ.get('MAX_RECORDING_SECONDS', 600))
+app.config['MAX_RECORDING_BYTES'] = int(os.environ.get('MAX_RECORDING_BYTES', 25 * 1024 * 1024))
+app.config['REPLY_PROVIDER'] = os.environ.get('REPLY_PROVIDER', 'echo')
+app.config['TRANSCRIPTION_PROVIDER'] = os.environ.get('TRANSCRIPTION_PROVIDER', 'stub')
+app.config['STREAMING_PROVIDER'] = os.environ.get('STREAMING_PROVIDER', 'echo')
+
+
+def extension_for(mime_type):
+    # 'audio/webm;codecs=opus' -> 'webm'
+    subtype = mime_type.split('/')[-1].split(';')[0].strip()
+    return subtype if subtype.isalnum() else 'bin'
+
+
+def recording_path(filename):
+    return os.path.join(app.config['UPLOAD_FOLDER'], filename)
+
+
+def save_recording_metadata(recording_id, filename, mime_type, **extra):
+    metadata = {
+        'id': recording_id,
+        'filename': filename,
+        'mimeType': mime_type,
+        'size': os.path.getsize(recording_path(filename)),
+        'createdAt': datetime.now(timezone.utc).isoformat(),
+        **extra,
+    }
+    with open(recording_path(f'{recording_id}.json'), 'w') as f:
+        json.dump(metadata, f)
+    return metadata
+
+
+def recording_too_large(size):
+    return size > app.config['MAX_RECORDING_BYTES']
+
+
+def too_large_response():
+    limit = app.config['MAX_RECORDING_BYTES'] / (1024 * 1024)
+    return jsonify(error=f'Recording exceeds the {limit:.1f} MB limit'), 413
+
+
+def is_valid_id(value):
+    return re.fullmatch(r'[0-9a-f]{32}', value) is not None
+
+
+def is_valid_language(value):
+    # The spoken language a take is labelled with, as a BCP 47 tag like "hi-IN"
+    return re.fullmatch(r'[a-z]{2,3}(-[A-Z]{2})?', value) is not None
+
+
+def invalid_language_response(language):
+    return jsonify(error=f'Invalid language tag: {language}'), 400
+
+
+def load_recording_metadata(recording_id):
+    if not is_valid_id(recording_id):
+        return None
+    path = recording_path(f'{recording_id}.json')
+    if not os.path.exists(path):
+        return None
+    with open(path) as f:
+        return json.load(f)
+
+
+# Streaming upload sessions. Chunks are appended to session.part as they
+# arrive, so the audio received so far is readable before the take ends.
+
+def session_dir(session_id):
+    if not is_valid_id(session_id):
+        abort(404)
+    return os.path.join(app.config['UPLOAD_FOLDER'], 'sessions', session_id)
+
+
+def load_session(session_id):
+    path = os.path.join(session_dir(session_id), 'session.json')
+    if not os.path.exists(path):
+        abort(404)
+    with open(path) as f:
+        return json.load(f)
+
+
+def save_session(session):
+    with open(os.path.join(session_dir(session['id']), 'session.json'), 'w') as f:
+        json.dump(session, f)
+
+
+def create_session(mime_type, session_id=None, language=None):
+    session = {
+        'id': session_id or uuid.uuid4().hex,
+        'mimeType': mime_type,
+        'language': language,
+        'nextSequence': 0,
+        'size': 0,
+        'createdAt': datetime.now(timezone.utc).isoformat(),
+    }
+    os.makedirs(session_dir(session['id']))
+    open(os.path.join(session_dir(session['id']), 'session.part'), 'wb').close()
+    save_session(session)
+    return session
+
+
+def append_to_session(session, data):
+    with open(os.path.join(session_dir(session['id']), 'session.part'), 'ab') as f:
+        f.write(data)
+
+    session['nextSequence'] += 1
+    session['size'] += len(data)
+    save_session(session)
+
+
+def finish_session(session, partial=False):
+    filename = f"{session['id']}.{extension_for(session['mimeType'])}"
+    os.replace(os.path.join(session_dir(session['id']), 'session.part'), recording_path(filename))
+    shutil.rmtree(session_dir(session['id']))
+    return save_recording_metadata(
+        session['id'], filename, session['mimeType'], language=session.get('language'), partial=partial
+    )
+
 
 @app.route('/')
 def index():
     return render_template('index.html')
 
+
+@app.route('/service-worker.js')
+def service_worker():
+    # Served from the root so the worker's scope covers the page, not just /static/
+    response = send_from_directory(os.path.join(app.root_path, 'static', 'js'), 'service-worker.js')
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
+
+
+@app.route('/embed/recorder')
+def embed_recorder():
+    # Markup the <voice-recorder> element renders into its shadow root
+    return render_template('recorder.html', embed=True)
+
+
+@app.route('/api/recordings/limits', methods=['GET'])
+def get_recording_limits():
+    return jsonify(
+        maxDurationSeconds=app.config['MAX_RECORDING_SECONDS'],
+        maxBytes=app.config['MAX_RECORDING_BYTES'],
+    )
+
+
+@app.route('/api/recordings', methods=['POST'])
+def upload_recording():
+    audio = request.files.get('audio')
+    if audio is None:
+        return jsonify(error='Missing audio file'), 400
+
+    mime_type = request.form.get('mimeType') or audio.mimetype or ''
+    if not mime_type.startswith('audio/'):
+        return jsonify(error=f'Unsupported media type: {mime_type}'), 415
+    language = request.form.get('language') or None
+    if language and not is_valid_language(language):
+        return invalid_language_response(language)
+
+    os.makedirs(app.config['UPLOAD_FOLDER'], exist_ok=True)
+    recording_id = uuid.uuid4().hex
+    filename = f'{recording_id}.{extension_for(mime_type)}'
+    audio.save(recording_path(filename))
+    if recording_too_large(os.path.getsize(recording_path(filename))):
+        os.remove(recording_path(filename))
+        return too_large_response()
+
+    return jsonify(save_recording_metadata(recording_id, filename, mime_type, language=language)), 201
+
+
+@app.route('/api/recordings/sessions', methods=['POST'])
+def create_upload_session():
+    data = request.get_json(silent=True) or {}
+    mime_type = data.get('mimeType') or ''
+    if not mime_type.startswith('audio/'):
+        return jsonify(error=f'Unsupported media type: {mime_type}'), 415
+    language = data.get('language') or None
+    if language and not is_valid_language(language):
+        return invalid_language_response(language)
+
+    session = create_session(mime_type, language=language)
+    return jsonify(sessionId=session['id'], nextSequence=0), 201
+
+
+@app.route('/api/recordings/sessions/<session_id>', methods=['GET'])
+def get_upload_session(session_id):
+    session = load_session(session_id)
+    return jsonify(sessionId=session['id'], nextSequence=session['nextSequence'], size=session['size'])
+
+
+@app.route('/api/recordings/sessions/<session_id>/chunks/<int:sequence>', methods=['PUT'])
+def upload_chunk(session_id, sequence):
+    session = load_session(session_id)
+    expected = session['nextSequence']
+
+    if sequence < expected:
+        # Already stored; the client just missed our acknowledgement
+        return jsonify(nextSequence=expected)
+    if sequence > expected:
+        return jsonify(error=f'Expected chunk {expected}, got {sequence}', nextSequence=expected), 409
+
+    data = request.get_data()
+    if recording_too_large(session['size'] + len(data)):
+        return too_large_response()
+
+    append_to_session(session, data)
+    return jsonify(nextSequence=session['nextSequence'])
+
+
+@app.route('/api/recordings/sessions/<session_id>/complete', methods=['POST'])
+def complete_upload_session(session_id):
+    # A retried request whose first attempt already went through
+    if not os.path.exists(session_dir(session_id)):
+        existing = load_recording_metadata(session_id)
+        if existing:
+            return jsonify(existing)
+
+    session = load_session(session_id)
+    data = request.get_json(silent=True) or {}
+    total_chunks = data.get('totalChunks')
+
+    if total_chunks is not None and total_chunks != session['nextSequence']:
+        return jsonify(
+            error=f"Expected {total_chunks} chunks, received {session['nextSequence']}",
+            nextSequence=session['nextSequence'],
+        ), 409
+    if session['nextSequence'] == 0:
+        shutil.rmtree(session_dir(session_id))
+        return jsonify(error='No audio received for this session'), 400
+
+    # Without a chunk count the client is recovering an interrupted take
+    metadata = finish_session(session, partial=total_chunks is None)
+    return jsonify(metadata), 201
+
+
+@app.route('/api/recordings/<recording_id>/audio', methods=['GET'])
+def get_recording_audio(recording_id):
+    metadata = load_recording_metadata(recording_id)
+    if metadata is None:
+        abort(404)
+    return send_file(recording_path(metadata['filename']), mimetype=metadata['mimeType'])
+
+
+@app.route('/api/transcriptions', methods=['POST'])
+def create_transcription():
+    # Takes the audio itself rather than a recording ID, so takes that were
+    # never uploaded (edited, recovered or library copies) can be transcribed too
+    audio = request.files.get('audio')
+    if audio is None:
+        return jsonify(error='Missing audio file'), 400
+
+    mime_type = request.form.get('mimeType') or audio.mimetype or ''
+    if not mime_type.startswith('audio/'):
+        return jsonify(error=f'Unsupported media type: {mime_type}'), 415
+    language = request.form.get('language') or None
+    if language and not is_valid_language(language):
+        return invalid_language_response(language)
+
+    directory = os.path.join(app.config['UPLOAD_FOLDER'], 'transcriptions')
+    os.makedirs(directory, exist_ok=True)
+    path = os.path.join(directory, f'{uuid.uuid4().hex}.{extension_for(mime_type)}')
+    audio.save(path)
+
+    provider = transcription.get_provider(app.config['TRANSCRIPTION_PROVIDER'])
+    try:
+        result = provider(path, language=language)
+    except Exception as e:
+        app.logger.exception('Transcription failed')
+        return jsonify(error=str(e)), 502
+    finally:
+        os.remove(path)
+
+    return jsonify(result)
+
+
+def conversation_path(conversation_id):
+    if not is_valid_id(conversation_id):
+        abort(404)
+    return os.path.join(app.config['UPLOAD_FOLDER'], 'conversations', f'{conversation_id}.json')
+
+
+def load_conversation(conversation_id):
+    path = conversation_path(conversation_id)
+    if not os.path.exists(path):
+        return {'id': conversation_id, 'turns': []}
+    with open(path) as f:
+        return json.load(f)
+
+
+def save_conversation(conversation):
+    path = conversation_path(conversation['id'])
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    with open(path, 'w') as f:
+        json.dump(conversation, f)
+
+
+@app.route('/api/conversations/<conversation_id>/replies', methods=['POST'])
+def create_reply(conversation_id):
+    conversation = load_conversation(conversation_id)
+    data = request.get_json(silent=True) or {}
+
+    recording = load_recording_metadata(data.get('recordingId') or '')
+    if recording is None:
+        return jsonify(error='Unknown recording'), 404
+
+    provider = replies.get_provider(app.config['REPLY_PROVIDER'])
+    reply = provider(recording, conversation['turns'])
+    reply_id = add_reply(conversation, recording, reply)
+
+    return jsonify(id=reply_id, **reply), 201
+
+
+@app.route('/api/conversations/<conversation_id>/replies/<reply_id>/interruption', methods=['POST'])
+def interrupt_reply(conversation_id, reply_id):
+    # The user talked over this reply; keep how much of it they heard so the
+    # next reply can pick up from there
+    conversation = load_conversation(conversation_id)
+    turn = next((turn for turn in conversation['turns']
+                 if turn['role'] == 'assistant' and turn.get('id') == reply_id), None)
+    if turn is None:
+        return jsonify(error='Unknown reply'), 404
+
+    data = request.get_json(silent=True) or {}
+    heard_seconds = data.get('heardSeconds')
+    if not isinstance(heard_seconds, (int, float)) or heard_seconds < 0:
+        return jsonify(error='heardSeconds must be a non-negative number'), 400
+
+    turn.update(interrupted=True, heardSeconds=heard_seconds, heardText=data.get('heardText'))
+    save_conversation(conversation)
+    return jsonify(turn)
+
+
+def add_reply(conversation, recording, reply):
+    reply_id = uuid.uuid4().hex
+    conversation['turns'].append({'role': 'user', 'recordingId': recording['id']})
+    conversation['turns'].append({'role': 'assistant', 'id': reply_id, **reply})
+    save_conversation(conversation)
+    return reply_id
+
+
+# Live conversation turns. The client sends {"type": "start", "streamId",
+# "mimeType", "language"}, then binary frames (a 4-byte big-endian sequence number
+# followed by the audio) while it records, then {"type": "stop"}. Frames are
+# stored like a chunked upload session, so a client that loses the connection
+# reconnects, sends start with the same streamId and resends from the
+# nextSequence in our "ready" reply.
+
+# Streaming providers of the live turns in progress, by stream ID. They outlive
+# the WebSocket, so a reconnecting client carries on with the partial transcript
+# the provider had built up before the connection dropped.
+live_streams = {}
+
+
+def send_event(ws, event_type, **data):
+    ws.send(json.dumps({'type': event_type, **data}))
+
+
+@sock.route('/ws/conversations/<conversation_id>')
+def stream_conversation(ws, conversation_id):
+    if not is_valid_id(conversation_id):
+        ws.close(1008, 'Invalid conversation ID')
+        return
+
+    session = None
+    stream = None
+    while True:
+        message = ws.receive()
+
+        if isinstance(message, bytes):
+            if session is None:
+                send_event(ws, 'error', error='Audio received before start')
+                continue
+            sequence = int.from_bytes(message[:4], 'big')
+            data = message[4:]
+            # Frames we already have are acknowledged again; gaps are answered
+            # with "ready" so the client resends from where we are
+            if sequence > session['nextSequence']:
+                send_event(ws, 'ready', streamId=session['id'], nextSequence=session['nextSequence'])
+                continue
+            if sequence == session['nextSequence']:
+                if recording_too_large(session['size'] + len(data)):
+                    send_event(ws, 'error', error='Recording exceeds the size limit')
+                    continue
+                append_to_session(session, data)
+                for event in stream.feed(data):
+                    ws.send(json.dumps(event))
+            send_event(ws, 'ack', nextSequence=session['nextSequence'])
+            continue
+
+        try:
+            command = json.loads(message)
+        except ValueError:
+            send_event(ws, 'error', error='Messages must be JSON')
+            continue
+
+        if command.get('type') == 'start':
+            stream_id = command.get('streamId') or ''
+            mime_type = command.get('mimeType') or ''
+            language = command.get('language') or None
+            if not is_valid_id(stream_id):
+                send_event(ws, 'error', error='Invalid stream ID')
+                continue
+            if not mime_type.startswith('audio/'):
+                send_event(ws, 'error', error=f'Unsupported media type: {mime_type}')
+                continue
+            if language and not is_valid_language(language):
+                send_event(ws, 'error', error=f'Invalid language tag: {language}')
+                continue
+            if load_recording_metadata(stream_id):
+                send_event(ws, 'error', error='This stream has already finished')
+                continue
+
+            if os.path.exists(session_dir(stream_id)):
+                session = load_session(stream_id)
+                stream = live_streams.get(stream_id)
+            else:
+                session = create_session(mime_type, stream_id, language)
+                stream = None
+            if stream is None:
+                history = load_conversation(conversation_id)['turns']
+                stream = streaming.get_provider(app.config['STREAMING_PROVIDER'])(session['mimeType'], history)
+                live_streams[stream_id] = stream
+            send_event(ws, 'ready', streamId=session['id'], nextSequence=session['nextSequence'])
+
+        elif command.get('type') == 'stop':
+            if session is None or session['nextSequence'] == 0:
+                send_event(ws, 'error', error='No audio received for this stream')
+                continue
+            total_frames = command.get('totalFrames')
+            if total_frames is not None and total_frames != session['nextSequence']:
+                send_event(ws, 'ready', streamId=session['id'], nextSequence=session['nextSequence'])
+                continue
+
+            recording = finish_session(session)
+            live_streams.pop(session['id'], None)
+            conversation = load_conversation(conversation_id)
+            reply = None
+            for event in stream.finish(recording, recording_path(recording['filename'])):
+                if isinstance(event, bytes):
+                    ws.send(event)
+                elif event['type'] == 'complete':
+                    reply = {'text': event['text'], 'audioUrl': event.get('audioUrl')}
+                else:
+                    ws.send(json.dumps(event))
+
+            if reply is None:
+                send_event(ws, 'error', error='The streaming provider finished without a reply')
+            else:
+                reply_id = add_reply(conversation, recording, reply)
+                send_event(ws, 'done', recording=recording, reply={'id': reply_id, **reply})
+            session = None
+            stream = None
+
+        else:
+            send_event(ws, 'error', error=f"Unknown message type: {command.get('type')}")
+
+
 if __name__ == '__main__':
     app.run(host='0.0.0.0', port=5001)
@@ -0,0 +1,38 @@
+"""Reply providers for conversation turns.
+
+A provider takes the metadata of the user's uploaded recording plus the
+conversation history and returns a dict with the reply ``text`` and,
+optionally, an ``audioUrl`` the browser can play. Assistant turns in the
+history that the user talked over carry ``interrupted``, ``heardSeconds``
+and ``heardText`` (the words played before the interruption, when known).
+Pick one with the REPLY_PROVIDER environment variable.
+"""
+
+
+def echo_reply(recording, history):
+    # Plays the user's own audio back, so the whole loop can be exercised locally
+    size_kb = recording['size'] / 1024
+    return {
+        'text': f"Echo: I received your {size_kb:.1f} KB recording (turn {len(history) // 2 + 1}).",
+        'audioUrl': f"/api/recordings/{recording['id']}/audio",
+    }
+
+
+def stub_reply(recording, history):
+    return {
+        'text': 'This is a placeholder reply. Connect an AI provider to get real answers.',
+        'audioUrl': None,
+    }
+
+
+PROVIDERS = {
+    'echo': echo_reply,
+    'stub': stub_reply,
+}
+
+
+def get_provider(name):
+    try:
+        return PROVIDERS[name]
+    except KeyError:
+        raise ValueError(f'Unknown reply provider: {name}')
@@ -0,0 +1,224 @@
+class ChunkedUploader {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/recordings/sessions';
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.maxRetryDelay = options.maxRetryDelay ?? 10000;
+        this.maxFinishAttempts = options.maxFinishAttempts ?? 3;
+        this.onProgress = options.onProgress || null;
+        this.storageKey = options.storageKey || ChunkedUploader.storageKey;
+
+        this.sessionId = null;
+        this.mimeType = null;
+        this.language = null;
+        this.sessionPromise = null;
+        this.nextSequence = 0;  // Sequence number for the next captured chunk
+        this.acknowledged = 0;  // Chunks the server has confirmed storing
+        this.queue = [];
+        this.flushPromise = null;
+        this.finishing = false;
+        this.error = null;
+    }
+
+    start(mimeType, { language = null } = {}) {
+        this.mimeType = mimeType;
+        this.language = language;
+        this.sessionPromise = this.withRetry(() => this.createSession());
+        this.sessionPromise.catch(error => {
+            this.error = error;
+        });
+    }
+
+    async createSession() {
+        const session = await this.request(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mimeType: this.mimeType, language: this.language })
+        });
+        this.sessionId = session.sessionId;
+        this.persistSession();
+        return session;
+    }
+
+    enqueue(blob) {
+        if (this.error) return;
+        this.queue.push({ sequence: this.nextSequence++, blob });
+        this.flush();
+    }
+
+    flush() {
+        if (!this.flushPromise) {
+            this.flushPromise = this.drain()
+                .catch(error => {
+                    console.error('Streaming upload failed:', error);
+                    this.error = error;
+                })
+                .finally(() => {
+                    this.flushPromise = null;
+                });
+        }
+        return this.flushPromise;
+    }
+
+    async drain() {
+        await this.sessionPromise;
+
+        while (this.queue.length > 0) {
+            const chunk = this.queue[0];
+            const result = await this.withRetry(() => this.sendChunk(chunk));
+            this.acknowledge(result.nextSequence);
+        }
+    }
+
+    async sendChunk(chunk) {
+        try {
+            return await this.request(`${this.endpoint}/${this.sessionId}/chunks/${chunk.sequence}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: chunk.blob
+            });
+        } catch (error) {
+            // Out of step with the server: it tells us which chunk it wants next
+            if (error.status === 409 && typeof error.body?.nextSequence === 'number') {
+                return error.body;
+            }
+            throw error;
+        }
+    }
+
+    acknowledge(nextSequence) {
+        if (this.queue.length > 0 && nextSequence < this.queue[0].sequence) {
+            throw Object.assign(
+                new Error(`Server lost chunks ${nextSequence}-${this.queue[0].sequence - 1}`),
+                { retryable: false }
+            );
+        }
+
+        this.acknowledged = nextSequence;
+        this.queue = this.queue.filter(chunk => chunk.sequence >= nextSequence);
+
+        if (this.onProgress) {
+            this.onProgress({ acknowledged: this.acknowledged, pending: this.queue.length });
+        }
+    }
+
+    async finish() {
+        this.finishing = true;
+
+        await this.sessionPromise;
+        await this.flush();
+        if (this.error) throw this.error;
+
+        const result = await this.withRetry(() => this.request(`${this.endpoint}/${this.sessionId}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ totalChunks: this.nextSequence })
+        }));
+
+        ChunkedUploader.clearPersistedSession(this.sessionId, this.storageKey);
+        return result;
+    }
+
+    async withRetry(operation) {
+        let attempt = 0;
+
+        for (;;) {
+            try {
+                return await operation();
+            } catch (error) {
+                attempt++;
+                // Keep trying for as long as the take is running; once it has
+                // stopped, give up so the caller can fall back to a full upload
+                if (!error.retryable || (this.finishing && attempt >= this.maxFinishAttempts)) {
+                    throw error;
+                }
+
+                const delay = Math.min(this.retryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+                console.warn(`Streaming upload request failed, retrying in ${delay}ms:`, error);
+                await this.waitForRetry(delay);
+            }
+        }
+    }
+
+    waitForRetry(delay) {
+        // Retry early if the browser tells us the connection is back
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                window.removeEventListener('online', done);
+                resolve();
+            };
+            const timer = setTimeout(done, delay);
+            window.addEventListener('online', done);
+        });
+    }
+
+    async request(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            throw Object.assign(new Error('Network error during upload'), { retryable: true });
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw Object.assign(new Error(body?.error || `Request failed with status ${response.status}`), {
+                status: response.status,
+                body,
+                retryable: response.status >= 500 || response.status === 408 || response.status === 429
+            });
+        }
+        return body;
+    }
+
+    persistSession() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                sessionId: this.sessionId,
+                endpoint: this.endpoint
+            }));
+        } catch (e) {
+            console.error('Error persisting upload session:', e);
+        }
+    }
+
+    static clearPersistedSession(sessionId = null, storageKey = ChunkedUploader.storageKey) {
+        try {
+            // Leave a newer take's session alone
+            const pending = JSON.parse(localStorage.getItem(storageKey));
+            if (sessionId && pending?.sessionId !== sessionId) return;
+            localStorage.removeItem(storageKey);
+        } catch (e) {
+            console.error('Error clearing upload session:', e);
+        }
+    }
+
+    // Finalises a session left behind by a crashed or closed tab, keeping
+    // whatever audio reached the server before it went away.
+    static async recoverPendingSession(storageKey = ChunkedUploader.storageKey) {
+        let pending = null;
+        try {
+            pending = JSON.parse(localStorage.getItem(storageKey));
+        } catch (e) {
+            console.error('Error loading upload session:', e);
+        }
+        if (!pending?.sessionId) return null;
+
+        const uploader = new ChunkedUploader({ endpoint: pending.endpoint, storageKey });
+        try {
+            const result = await uploader.request(`${uploader.endpoint}/${pending.sessionId}/complete`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            ChunkedUploader.clearPersistedSession(null, storageKey);
+            return result;
+        } catch (error) {
+            // Keep the session around for the next load only if the failure was transient
+            if (!error.retryable) ChunkedUploader.clearPersistedSession(null, storageKey);
+            throw error;
+        }
+    }
+}
+
+ChunkedUploader.storageKey = 'pendingUploadSession';
@@ -0,0 +1,313 @@
+// Reply providers turn an uploaded user recording into a reply of the
+// shape { text, audioUrl }. audioUrl may be null for text-only replies,
+// which ReplyPlayer (reply-player.js) reads aloud instead.
+
+class ServerReplyProvider {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/conversations';
+    }
+
+    async reply({ conversationId, recording }) {
+        const response = await fetch(`${this.endpoint}/${conversationId}/replies`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ recordingId: recording.id })
+        });
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(body?.error || `Reply request failed with status ${response.status}`);
+        }
+        return { id: body.id, text: body.text, audioUrl: body.audioUrl };
+    }
+
+    async reportInterruption({ conversationId, replyId, heardSeconds, heardText }) {
+        const response = await fetch(`${this.endpoint}/${conversationId}/replies/${replyId}/interruption`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ heardSeconds, heardText })
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            throw new Error(body?.error || `Interruption report failed with status ${response.status}`);
+        }
+    }
+}
+
+class EchoReplyProvider {
+    // Answers locally by playing the user's own recording back
+    async reply({ recording, history }) {
+        const sizeKb = (recording.blob.size / 1024).toFixed(1);
+        return {
+            text: `Echo: I received your ${sizeKb} KB recording (turn ${Math.floor(history.length / 2) + 1}).`,
+            audioUrl: Conversation.recordingAudioUrl(recording.id)
+        };
+    }
+}
+
+class Conversation {
+    constructor({ container, provider, player = null, baseUrl = window.location.href, storageKey = 'conversationThread', t, getLocale = () => undefined }) {
+        this.container = container;
+        this.provider = provider;
+        this.player = player;  // A ReplyPlayer; without one, replies with audio get a plain player
+        this.baseUrl = baseUrl;  // The server's audio URLs are resolved against this, not the page
+        this.storageKey = storageKey;
+        this.t = t;  // Translates message keys, see Localizer
+        this.getLocale = getLocale;  // The interface language, which times are written in
+        this.id = null;
+        this.turns = [];
+
+        this.load();
+        this.render();
+    }
+
+    static recordingAudioUrl(recordingId) {
+        return `/api/recordings/${recordingId}/audio`;
+    }
+
+    resolveUrl(url) {
+        return url ? new URL(url, this.baseUrl).href : null;
+    }
+
+    static createId() {
+        return crypto.randomUUID().replace(/-/g, '');
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved?.id) {
+                this.id = saved.id;
+                this.turns = saved.turns || [];
+                return;
+            }
+        } catch (e) {
+            console.error('Error loading conversation:', e);
+        }
+        this.id = Conversation.createId();
+        this.turns = [];
+    }
+
+    save() {
+        try {
+            // Pending and failed replies are not worth restoring
+            const turns = this.turns.filter(turn => !turn.pending && !turn.error);
+            localStorage.setItem(this.storageKey, JSON.stringify({ id: this.id, turns }));
+        } catch (e) {
+            console.error('Error saving conversation:', e);
+        }
+    }
+
+    clear() {
+        this.player?.stop();
+        this.id = Conversation.createId();
+        this.turns = [];
+        this.save();
+        this.render();
+    }
+
+    async respondTo(recording) {
+        const history = this.turns.filter(turn => !turn.pending && !turn.error);
+
+        this.turns.push({
+            id: recording.id,
+            role: 'user',
+            recordingId: recording.id,
+            audioUrl: this.resolveUrl(Conversation.recordingAudioUrl(recording.id)),
+            createdAt: new Date().toISOString()
+        });
+
+        const replyTurn = { id: Conversation.createId(), role: 'assistant', pending: true, placeholder: 'conversation.thinking' };
+        this.turns.push(replyTurn);
+        this.save();
+        this.render();
+
+        try {
+            const reply = await this.provider.reply({ conversationId: this.id, recording, history });
+            Object.assign(replyTurn, {
+                replyId: reply.id || null,
+                text: reply.text,
+                audioUrl: this.resolveUrl(reply.audioUrl),
+                createdAt: new Date().toISOString(),
+                pending: false
+            });
+        } catch (error) {
+            console.error('Error getting reply:', error);
+            Object.assign(replyTurn, { pending: false, error: true });
+        }
+
+        this.save();
+        this.render();
+
+        if (!replyTurn.error && this.player?.shouldAutoplay(replyTurn)) {
+            this.player.enqueue(replyTurn);
+        }
+        return replyTurn;
+    }
+
+    // A live turn is shown while its take is still being recorded and streamed;
+    // the transcript and reply fill in as the server sends them
+    startLiveTurn() {
+        const userTurn = { id: Conversation.createId(), role: 'user', pending: true, placeholder: 'conversation.listening' };
+        const replyTurn = { id: Conversation.createId(), role: 'assistant', pending: true, text: '' };
+        this.turns.push(userTurn, replyTurn);
+        this.render();
+        return { userTurn, replyTurn };
+    }
+
+    completeLiveTurn({ userTurn, replyTurn }, { recording, reply }) {
+        const createdAt = new Date().toISOString();
+        Object.assign(userTurn, {
+            id: recording.id,
+            recordingId: recording.id,
+            audioUrl: this.resolveUrl(Conversation.recordingAudioUrl(recording.id)),
+            text: null,
+            createdAt,
+            pending: false
+        });
+        Object.assign(replyTurn, {
+            replyId: reply.id,
+            text: reply.text,
+            audioUrl: this.resolveUrl(reply.audioUrl),
+            createdAt,
+            pending: false
+        });
+        this.save();
+        this.render();
+
+        // Cut off while it was still streaming, before the server gave it an ID
+        if (replyTurn.interrupted) this.reportInterruption(replyTurn);
+    }
+
+    // `heardText` is estimated from the timing unless the player knows it
+    markInterrupted(turn, heardSeconds, duration, heardText = Conversation.heardPortion(turn.text, heardSeconds, duration)) {
+        Object.assign(turn, { interrupted: true, heardSeconds, heardText });
+        if (!turn.pending) this.save();
+        this.updateTurn(turn);
+        this.reportInterruption(turn);
+    }
+
+    reportInterruption(turn) {
+        if (!turn.replyId || !this.provider.reportInterruption) return;
+        this.provider.reportInterruption({
+            conversationId: this.id,
+            replyId: turn.replyId,
+            heardSeconds: turn.heardSeconds,
+            heardText: turn.heardText
+        }).catch(error => console.warn('Could not report the interruption:', error));
+    }
+
+    // The words of `text` played in `heardSeconds`, assuming an even speaking rate
+    static heardPortion(text, heardSeconds, duration) {
+        if (!text || !isFinite(duration) || duration <= 0) return null;
+        const words = text.split(/\s+/).filter(Boolean);
+        const count = Math.round(words.length * Math.min(1, heardSeconds / duration));
+        return words.slice(0, count).join(' ');
+    }
+
+    discardTurns({ userTurn, replyTurn }) {
+        this.turns = this.turns.filter(turn => turn !== userTurn && turn !== replyTurn);
+        this.render();
+    }
+
+    updateTurn(turn) {
+        // Replace just this bubble, so streaming text doesn't rebuild the whole thread
+        const bubble = this.container.querySelector(`[data-turn-id="${turn.id}"]`);
+        if (!bubble) return;
+        bubble.replaceWith(this.renderTurn(turn));
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    // Keeps each reply's Play/Stop button in step with the player
+    renderPlayback() {
+        this.container.querySelectorAll('.chat-bubble-play').forEach(button => {
+            const turn = this.turns.find(item => item.id === button.closest('[data-turn-id]').dataset.turnId);
+            if (turn) this.renderPlayButton(button, turn);
+        });
+    }
+
+    renderPlayButton(button, turn) {
+        const playing = this.player.isPlayingTurn(turn);
+        button.textContent = this.t(playing ? 'replies.stop' : 'replies.play');
+        // Every reply has one of these buttons, so say which reply it plays
+        const time = new Date(turn.createdAt).toLocaleTimeString(this.getLocale());
+        button.setAttribute('aria-label', this.t(playing ? 'replies.stopLabel' : 'replies.playLabel', { time }));
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.turns.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'conversation-empty';
+            empty.textContent = this.t('conversation.empty');
+            this.container.appendChild(empty);
+            return;
+        }
+
+        this.turns.forEach(turn => this.container.appendChild(this.renderTurn(turn)));
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    renderTurn(turn) {
+        const bubble = document.createElement('div');
+        bubble.className = `chat-bubble chat-bubble-${turn.role}`;
+        bubble.dataset.turnId = turn.id;
+        if (turn.pending) bubble.classList.add('pending');
+        if (turn.error) bubble.classList.add('error');
+
+        const label = document.createElement('div');
+        label.className = 'chat-bubble-label';
+        label.textContent = this.t(turn.role === 'user' ? 'conversation.you' : 'conversation.assistant');
+        bubble.appendChild(label);
+
+        // Placeholders and the failure message are translated when shown, not saved
+        const message = turn.text
+            || (turn.error && this.t('conversation.replyFailed'))
+            || (turn.pending && turn.placeholder && this.t(turn.placeholder));
+        if (message) {
+            const text = document.createElement('p');
+            text.className = 'chat-bubble-text';
+            text.textContent = message;
+            bubble.appendChild(text);
+        }
+
+        if (turn.interrupted) {
+            const note = document.createElement('p');
+            note.className = 'chat-bubble-note';
+            note.textContent = this.t('conversation.interrupted', { seconds: turn.heardSeconds.toFixed(1) });
+            bubble.appendChild(note);
+        }
+
+        if (turn.role === 'assistant' && this.player && !turn.pending && !turn.error && this.player.canPlay(turn)) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-secondary btn-sm chat-bubble-play';
+            button.addEventListener('click', () => {
+                if (this.player.isPlayingTurn(turn)) {
+                    this.player.stop();
+                } else {
+                    this.player.play(turn);
+                }
+            });
+            this.renderPlayButton(button, turn);
+            bubble.appendChild(button);
+        } else if (turn.audioUrl) {
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'none';
+            audio.src = turn.audioUrl;
+            bubble.appendChild(audio);
+        }
+
+        if (turn.createdAt) {
+            const time = document.createElement('time');
+            time.className = 'chat-bubble-time';
+            time.dateTime = turn.createdAt;
+            time.textContent = new Date(turn.createdAt).toLocaleTimeString(this.getLocale());
+            bubble.appendChild(time);
+        }
+
+        return bubble;
+    }
+}
@@ -0,0 +1,251 @@
+// The chosen microphone and its processing toggles are saved under the keys in `storageKeys`.
+class DeviceManager {
+    constructor({ select, toggles, onSelectionChange = null, onDevicesChange = null, storageKeys = {}, signal, t }) {
+        this.select = select;
+        this.toggles = toggles;  // { echoCancellation: checkbox, noiseSuppression: checkbox, ... }
+        this.onSelectionChange = onSelectionChange;
+        this.onDevicesChange = onDevicesChange;
+        this.storageKeys = { deviceId: 'microphoneDeviceId', processing: 'microphoneProcessing', ...storageKeys };
+        this.signal = signal;  // Aborting it removes every listener added here
+        this.t = t;  // Translates message keys, see Localizer
+        this.devices = [];
+
+        this.deviceId = this.loadSetting(this.storageKeys.deviceId);
+        this.processing = {
+            ...DeviceManager.defaultProcessing,
+            ...JSON.parse(this.loadSetting(this.storageKeys.processing) || '{}')
+        };
+
+        Object.entries(this.toggles).forEach(([constraint, toggle]) => {
+            toggle.checked = this.processing[constraint];
+            toggle.addEventListener('change', () => {
+                this.processing[constraint] = toggle.checked;
+                this.saveSetting(this.storageKeys.processing, JSON.stringify(this.processing));
+                if (this.onSelectionChange) this.onSelectionChange();
+            }, { signal });
+        });
+
+        this.select.addEventListener('change', () => {
+            this.deviceId = this.select.value || null;
+            this.saveSetting(this.storageKeys.deviceId, this.deviceId);
+            if (this.onSelectionChange) this.onSelectionChange();
+        }, { signal });
+
+        this.handleDeviceChange = async () => {
+            await this.refresh();
+            if (this.onDevicesChange) this.onDevicesChange();
+        };
+        if (navigator.mediaDevices?.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange, { signal });
+        }
+    }
+
+    destroy() {
+        navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
+    }
+
+    async refresh() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'audioinput');
+        } catch (error) {
+            console.error('Error listing audio devices:', error);
+            this.devices = [];
+        }
+
+        this.select.innerHTML = '';
+        this.select.add(new Option(this.t('devices.default'), ''));
+        // Labels stay empty until microphone permission has been granted
+        this.devices.forEach((device, index) => {
+            this.select.add(new Option(device.label || this.t('devices.unnamed', { number: index + 1 }), device.deviceId));
+        });
+
+        // Keep a remembered device that is currently unplugged, but show the default in its place
+        this.select.value = this.isAvailable(this.deviceId) ? this.deviceId : '';
+        return this.devices;
+    }
+
+    isAvailable(deviceId) {
+        return this.devices.some(device => device.deviceId === deviceId);
+    }
+
+    getDeviceLabel(deviceId) {
+        return this.devices.find(device => device.deviceId === deviceId)?.label || '';
+    }
+
+    getConstraints(deviceId = this.deviceId) {
+        const constraints = { ...this.processing, sampleRate: 44100 };
+        if (deviceId) {
+            constraints.deviceId = { exact: deviceId };
+        }
+        return constraints;
+    }
+
+    loadSetting(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            console.error(`Error loading ${key}:`, e);
+            return null;
+        }
+    }
+
+    saveSetting(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (e) {
+            console.error(`Error persisting ${key}:`, e);
+        }
+    }
+}
+
+DeviceManager.defaultProcessing = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true
+};
+
+// Routes a microphone stream through Web Audio so MediaRecorder always sees
+// the same output stream, even when the microphone behind it is swapped.
+// An optional ProcessingChain sits between the microphone and that stream.
+// Tab or system audio can join the microphone, either mixed in or kept on a
+// channel of its own: with the 'separate' layout the microphone is recorded
+// on the left channel and the other side on the right, so the two stay
+// sample-aligned in one file.
+class InputRouter {
+    constructor({ chain = null } = {}) {
+        this.chain = chain;
+        this.audioContext = null;
+        this.destination = null;
+        this.merger = null;
+        this.input = null;
+        this.source = null;
+        this.gains = {};  // Source name -> GainNode
+        this.system = null;
+        this.levels = { microphone: 1, system: 1 };
+    }
+
+    async open(stream, { systemStream = null, layout = 'mixed' } = {}) {
+        this.close();
+
+        const settings = stream.getAudioTracks()[0].getSettings?.() || {};
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        // Match the microphone's rate; some browsers refuse to mix rates in one graph
+        this.audioContext = settings.sampleRate
+            ? new AudioContextClass({ sampleRate: settings.sampleRate })
+            : new AudioContextClass();
+        this.destination = this.audioContext.createMediaStreamDestination();
+        this.destination.channelCount = systemStream && layout === 'separate' ? 2 : settings.channelCount || 1;
+
+        let output = this.destination;
+        if (systemStream && layout === 'separate') {
+            // Each merger input takes one channel, so a stereo tab is folded to mono on its side
+            this.merger = this.audioContext.createChannelMerger(2);
+            this.merger.connect(this.destination);
+            output = this.merger;
+        }
+        this.gains.microphone = this.createGain('microphone');
+        this.gains.microphone.connect(output, 0, 0);
+        this.input = this.gains.microphone;
+
+        if (this.chain) {
+            const audioContext = this.audioContext;
+            const { input, output: chainOutput } = await this.chain.attach(audioContext);
+            if (this.audioContext !== audioContext) {
+                throw new Error('Input was closed while it was opening');
+            }
+            chainOutput.connect(this.gains.microphone);
+            this.input = input;
+        }
+        this.connect(stream);
+        if (systemStream) {
+            this.connectSystem(systemStream);
+        }
+
+        return this.destination.stream;
+    }
+
+    // The other side's audio skips the processing chain, which is tuned for a voice
+    connectSystem(stream) {
+        this.disconnectSystem();
+        const source = this.audioContext.createMediaStreamSource(stream);
+        this.gains.system = this.createGain('system');
+        source.connect(this.gains.system);
+        if (this.merger) {
+            this.gains.system.connect(this.merger, 0, 1);
+        } else {
+            this.gains.system.connect(this.destination);
+        }
+        this.system = source;
+    }
+
+    disconnectSystem() {
+        if (this.system) {
+            this.system.disconnect();
+            this.system = null;
+        }
+        if (this.gains.system) {
+            this.gains.system.disconnect();
+            delete this.gains.system;
+        }
+    }
+
+    createGain(name) {
+        const gain = this.audioContext.createGain();
+        gain.gain.value = this.levels[name];
+        return gain;
+    }
+
+    // Level is a linear gain, 1 leaving the source as it is
+    setLevel(name, level) {
+        this.levels[name] = level;
+        const gain = this.gains[name];
+        if (gain) {
+            gain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.02);
+        }
+    }
+
+    connect(stream) {
+        if (this.source) {
+            this.source.disconnect();
+        }
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        this.source.connect(this.input);
+    }
+
+    get stream() {
+        return this.destination?.stream || null;
+    }
+
+    get sampleRate() {
+        return this.audioContext?.sampleRate || null;
+    }
+
+    get channelCount() {
+        return this.destination?.channelCount || null;
+    }
+
+    close() {
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.disconnectSystem();
+        this.gains.microphone?.disconnect();
+        this.gains = {};
+        this.merger = null;
+        if (this.chain) {
+            this.chain.detach();
+        }
+        if (this.audioContext) {
+            this.audioContext.close().catch(e => console.error('Error closing audio context:', e));
+            this.audioContext = null;
+        }
+        this.destination = null;
+        this.input = null;
+    }
+}
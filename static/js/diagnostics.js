@@ -0,0 +1,131 @@
+// Collects what the recorder knows about the browser, formats, permission,
+// devices and the live microphone track, plus a rolling log of recent
+// events and errors, so a "it doesn't record" report comes with something
+// to go on. `collect` returns the recorder's side of the report.
+class DiagnosticsPanel {
+    constructor({ container, summary, log, copyButton, status, collect, t, getLocale = () => undefined, maxEntries = 100 }) {
+        this.container = container;  // A <details>; only rendered while open
+        this.summary = summary;
+        this.logList = log;
+        this.copyButton = copyButton;
+        this.status = status;
+        this.collect = collect;
+        this.t = t;  // Translates message keys, see Localizer
+        this.getLocale = getLocale;  // The interface language, which times are written in
+        this.maxEntries = maxEntries;
+        this.entries = [];
+
+        this.container.addEventListener('toggle', () => {
+            if (this.container.open) this.render();
+        });
+        this.copyButton.addEventListener('click', () => this.copyReport());
+    }
+
+    log(type, detail = {}) {
+        this.entries.push({ time: new Date().toISOString(), type, detail: DiagnosticsPanel.serializable(detail) });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        if (this.container.open) this.renderLog();
+    }
+
+    report() {
+        return {
+            generatedAt: new Date().toISOString(),
+            page: window.location.href,
+            userAgent: navigator.userAgent,
+            secureContext: window.isSecureContext,
+            ...this.collect(),
+            log: this.entries
+        };
+    }
+
+    render() {
+        const report = this.report();
+        const browser = `${report.browser.name} ${report.browser.version}`;
+        const rows = [
+            ['diagnostics.browser', report.browser.isMobile ? this.t('diagnostics.mobile', { browser }) : browser],
+            ['diagnostics.supportedFormats', report.formats.supported.join(', ') || this.t('diagnostics.none')],
+            ['diagnostics.chosenFormat', report.formats.recorder || report.formats.chosen || this.t('diagnostics.none')],
+            ['diagnostics.permission', report.permission.state || this.t('diagnostics.unknown')],
+            ['diagnostics.microphones', report.devices.available.map(device => device.label || device.deviceId).join(', ') || this.t('diagnostics.noneFound')],
+            ['diagnostics.track', this.describeTrack(report.track)],
+            ['diagnostics.state', report.state]
+        ];
+
+        this.summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = this.t(label);
+            const description = document.createElement('dd');
+            description.textContent = value;
+            this.summary.append(term, description);
+        });
+        this.renderLog();
+    }
+
+    renderLog() {
+        this.logList.innerHTML = '';
+        // Newest first
+        this.entries.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.type === 'error' ? 'diagnostics-entry diagnostics-entry-error' : 'diagnostics-entry';
+
+            const time = document.createElement('time');
+            time.dateTime = entry.time;
+            time.textContent = new Date(entry.time).toLocaleTimeString(this.getLocale());
+
+            const text = document.createElement('span');
+            const detail = Object.keys(entry.detail).length > 0 ? ` ${JSON.stringify(entry.detail)}` : '';
+            text.textContent = `${entry.type}${detail}`;
+
+            item.append(time, text);
+            this.logList.appendChild(item);
+        });
+    }
+
+    async copyReport() {
+        const json = JSON.stringify(this.report(), null, 2);
+        try {
+            await navigator.clipboard.writeText(json);
+            this.status.textContent = this.t('diagnostics.copied');
+        } catch (error) {
+            // Clipboard access needs a secure context and focus; hand over a file instead
+            console.warn('Could not copy diagnostics, downloading them instead:', error);
+            const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `recorder-diagnostics-${Date.now()}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.status.textContent = this.t('diagnostics.downloaded');
+        }
+    }
+
+    describeTrack(track) {
+        if (!track) return this.t('diagnostics.noTrack');
+        const settings = track.settings;
+        const processing = ['echoCancellation', 'noiseSuppression', 'autoGainControl']
+            .filter(name => settings[name])
+            .join(', ');
+        return [
+            track.label || this.t('diagnostics.unnamedMicrophone'),
+            settings.sampleRate && `${settings.sampleRate} Hz`,
+            settings.channelCount && `${settings.channelCount} ch`,
+            processing || this.t('diagnostics.noProcessing')
+        ].filter(Boolean).join(', ');
+    }
+
+    // Errors and DOM objects don't survive JSON.stringify on their own
+    static serializable(detail) {
+        return Object.fromEntries(Object.entries(detail).map(([key, value]) => {
+            if (value instanceof Error || value instanceof DOMException) {
+                return [key, { name: value.name, message: value.message }];
+            }
+            if (value instanceof Blob) {
+                return [key, { type: value.type, size: value.size }];
+            }
+            return [key, value];
+        }));
+    }
+}
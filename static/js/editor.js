@@ -0,0 +1,311 @@
+// Trim/crop editor for a finished take: drag the in and out handles over the
+// waveform, preview the selection and apply it as a new 16-bit WAV.
+class TrimEditor {
+    constructor({ container, canvas, rangeLabel, buttons, onApply, onUndo, t, options = {} }) {
+        this.container = container;
+        this.canvas = canvas;
+        this.context2d = canvas.getContext('2d');
+        this.rangeLabel = rangeLabel;
+        this.buttons = buttons;  // { trimSilence, preview, apply, undo }
+        this.onApply = onApply;
+        this.onUndo = onUndo;
+        this.t = t;  // Translates message keys, see Localizer
+
+        this.silenceThreshold = options.silenceThreshold ?? 0.01;  // About -40 dBFS
+        this.silencePadding = options.silencePadding ?? 0.15;      // Seconds kept around speech
+        this.handleHitWidth = options.handleHitWidth ?? 12;        // CSS pixels
+        this.waveColor = options.waveColor || '#8b4513';           // SaddleBrown
+        this.handleColor = options.handleColor || '#b22222';       // Firebrick
+
+        this.buffer = null;
+        this.peaks = null;
+        this.start = 0;
+        this.end = 0;
+        this.dragging = null;
+        this.audioContext = null;
+        this.previewSource = null;
+        this.loadRequest = 0;
+
+        this.canvas.addEventListener('pointerdown', (event) => this.beginDrag(event));
+        this.canvas.addEventListener('pointermove', (event) => this.drag(event));
+        this.canvas.addEventListener('pointerup', () => this.endDrag());
+        this.canvas.addEventListener('pointercancel', () => this.endDrag());
+        this.canvas.addEventListener('keydown', (event) => this.nudge(event));
+
+        this.buttons.trimSilence.addEventListener('click', () => this.trimSilence());
+        this.buttons.preview.addEventListener('click', () => this.togglePreview());
+        this.buttons.apply.addEventListener('click', () => this.apply());
+        this.buttons.undo.addEventListener('click', () => this.onUndo());
+    }
+
+    get isOpen() {
+        return !this.container.classList.contains('d-none');
+    }
+
+    toggle(blob, sampleRate) {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.container.classList.remove('d-none');
+            this.load(blob, sampleRate);
+        }
+    }
+
+    close() {
+        this.stopPreview();
+        this.container.classList.add('d-none');
+        this.loadRequest++;
+        this.buffer = null;
+        this.peaks = null;
+    }
+
+    async load(blob, sampleRate) {
+        this.stopPreview();
+        const request = ++this.loadRequest;
+        this.setControlsEnabled(false);
+
+        try {
+            const buffer = await AudioTranscoder.decode(blob, sampleRate || 48000);
+            if (request !== this.loadRequest) return;
+            this.buffer = buffer;
+            this.start = 0;
+            this.end = buffer.duration;
+            this.resizeCanvas();
+            this.peaks = TrimEditor.computePeaks(buffer, this.canvas.width);
+            this.setControlsEnabled(true);
+            this.draw();
+        } catch (error) {
+            if (request !== this.loadRequest) return;
+            console.error('Error loading take into the editor:', error);
+            this.buffer = null;
+            this.rangeLabel.textContent = this.t('trim.decodeFailed');
+        }
+    }
+
+    setUndoAvailable(available) {
+        this.buttons.undo.disabled = !available;
+    }
+
+    setControlsEnabled(enabled) {
+        ['trimSilence', 'preview', 'apply'].forEach(name => {
+            this.buttons[name].disabled = !enabled;
+        });
+    }
+
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(this.canvas.clientWidth * ratio);
+        this.canvas.height = Math.round(this.canvas.clientHeight * ratio);
+    }
+
+    draw() {
+        if (!this.buffer) return;
+
+        const { width, height } = this.canvas;
+        const middle = height / 2;
+        const ctx = this.context2d;
+        const startX = this.timeToX(this.start);
+        const endX = this.timeToX(this.end);
+
+        ctx.clearRect(0, 0, width, height);
+        this.peaks.forEach(([min, max], x) => {
+            // Audio outside the selection is drawn faded
+            ctx.globalAlpha = x >= startX && x <= endX ? 1 : 0.3;
+            ctx.fillStyle = this.waveColor;
+            const top = middle - max * middle;
+            const bottom = middle - min * middle;
+            ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+        });
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = this.handleColor;
+        [startX, endX].forEach(x => ctx.fillRect(Math.min(Math.round(x), width - 3), 0, 3, height));
+
+        const length = this.end - this.start;
+        this.rangeLabel.textContent = this.t('trim.selection', {
+            start: this.start.toFixed(2),
+            end: this.end.toFixed(2),
+            length: length.toFixed(2),
+            duration: this.buffer.duration.toFixed(2)
+        });
+        this.canvas.setAttribute('aria-valuetext', this.rangeLabel.textContent);
+    }
+
+    timeToX(time) {
+        return (time / this.buffer.duration) * this.canvas.width;
+    }
+
+    eventToTime(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        return fraction * this.buffer.duration;
+    }
+
+    beginDrag(event) {
+        if (!this.buffer) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const toCss = rect.width / this.canvas.width;
+        const startDistance = Math.abs(this.timeToX(this.start) * toCss - x);
+        const endDistance = Math.abs(this.timeToX(this.end) * toCss - x);
+        if (Math.min(startDistance, endDistance) > this.handleHitWidth) return;
+
+        this.dragging = startDistance <= endDistance ? 'start' : 'end';
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    drag(event) {
+        if (!this.dragging) return;
+        this.setHandle(this.dragging, this.eventToTime(event));
+    }
+
+    endDrag() {
+        this.dragging = null;
+    }
+
+    nudge(event) {
+        // Arrow keys move the in point, Shift+Arrow the out point
+        if (!this.buffer || !['ArrowLeft', 'ArrowRight'].includes(event.key)) return;
+        event.preventDefault();
+        const handle = event.shiftKey ? 'end' : 'start';
+        const step = event.key === 'ArrowLeft' ? -0.05 : 0.05;
+        this.setHandle(handle, this[handle] + step);
+    }
+
+    setHandle(handle, time) {
+        // Keep at least 50 ms selected
+        const minimumLength = 0.05;
+        if (handle === 'start') {
+            this.start = Math.max(0, Math.min(time, this.end - minimumLength));
+        } else {
+            this.end = Math.min(this.buffer.duration, Math.max(time, this.start + minimumLength));
+        }
+        this.stopPreview();
+        this.draw();
+    }
+
+    trimSilence() {
+        if (!this.buffer) return;
+
+        const range = TrimEditor.detectSpeech(this.buffer, this.silenceThreshold);
+        if (!range) {
+            this.rangeLabel.textContent = this.t('trim.noSound');
+            return;
+        }
+        this.start = Math.max(0, range.start - this.silencePadding);
+        this.end = Math.min(this.buffer.duration, range.end + this.silencePadding);
+        this.stopPreview();
+        this.draw();
+    }
+
+    togglePreview() {
+        if (this.previewSource) {
+            this.stopPreview();
+            return;
+        }
+        if (!this.buffer) return;
+
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+        }
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.buffer;
+        source.connect(this.audioContext.destination);
+        source.onended = () => {
+            if (this.previewSource === source) this.stopPreview();
+        };
+        source.start(0, this.start, this.end - this.start);
+
+        this.previewSource = source;
+        this.renderPreviewButton();
+    }
+
+    renderPreviewButton() {
+        this.buttons.preview.textContent = this.t(this.previewSource ? 'trim.stopPreview' : 'trim.preview');
+    }
+
+    // Redraws the text after the interface language changes
+    refresh() {
+        this.renderPreviewButton();
+        this.draw();
+    }
+
+    stopPreview() {
+        if (this.previewSource) {
+            const source = this.previewSource;
+            this.previewSource = null;
+            source.onended = null;
+            source.stop();
+        }
+        this.renderPreviewButton();
+    }
+
+    apply() {
+        if (!this.buffer) return;
+        this.stopPreview();
+
+        const trimmed = TrimEditor.slice(this.buffer, this.start, this.end);
+        this.onApply(AudioTranscoder.encodeWav(trimmed), trimmed.duration);
+    }
+
+    static computePeaks(buffer, columnCount) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        const samplesPerColumn = Math.max(1, Math.floor(buffer.length / columnCount));
+
+        return Array.from({ length: columnCount }, (_, column) => {
+            let min = 0;
+            let max = 0;
+            const start = column * samplesPerColumn;
+            const end = Math.min(start + samplesPerColumn, buffer.length);
+            for (const data of channels) {
+                for (let i = start; i < end; i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                }
+            }
+            return [min, max];
+        });
+    }
+
+    // First and last 20 ms window whose RMS rises above the threshold, in seconds
+    static detectSpeech(buffer, threshold, windowSeconds = 0.02) {
+        const windowSize = Math.max(1, Math.round(buffer.sampleRate * windowSeconds));
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        let first = -1;
+        let last = -1;
+
+        for (let start = 0; start < buffer.length; start += windowSize) {
+            const end = Math.min(start + windowSize, buffer.length);
+            let sum = 0;
+            for (const data of channels) {
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+            }
+            const rms = Math.sqrt(sum / ((end - start) * channels.length));
+            if (rms > threshold) {
+                if (first < 0) first = start;
+                last = end;
+            }
+        }
+
+        if (first < 0) return null;
+        return { start: first / buffer.sampleRate, end: last / buffer.sampleRate };
+    }
+
+    static slice(buffer, start, end) {
+        const from = Math.floor(start * buffer.sampleRate);
+        const to = Math.min(buffer.length, Math.ceil(end * buffer.sampleRate));
+        const result = new AudioBuffer({
+            length: Math.max(1, to - from),
+            numberOfChannels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        });
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            result.copyToChannel(buffer.getChannelData(channel).subarray(from, to), channel);
+        }
+        return result;
+    }
+}
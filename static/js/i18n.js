@@ -0,0 +1,119 @@
+// Translated UI messages. Messages are looked up by key in the current
+// locale's catalog (see locales.js) and then in English, with {name}
+// placeholders filled in from params. Markup opts in with data-i18n="key"
+// for its text and data-i18n-label="key" for its aria-label.
+//
+// The spoken language is kept separately: it is the language the user
+// records in, attached to every take, and only defaults to the UI's.
+class Localizer {
+    constructor({ select, spokenSelect, storageKey = 'locale', onChange = null }) {
+        this.select = select;
+        this.spokenSelect = spokenSelect;
+        this.storageKey = storageKey;
+        this.onChange = onChange;
+
+        Object.entries(Localizer.catalogs).forEach(([locale, catalog]) => {
+            this.select.add(new Option(catalog.name, locale));
+            this.spokenSelect.add(new Option(catalog.name, catalog.speech));
+        });
+
+        const saved = this.load() || {};
+        this.locale = Localizer.catalogs[saved.locale] ? saved.locale : Localizer.detect();
+        this.spokenLanguage = saved.spokenLanguage || null;  // null follows the UI language
+        this.select.value = this.locale;
+        this.spokenSelect.value = this.speechLanguage;
+
+        this.select.addEventListener('change', () => this.setLocale(this.select.value));
+        this.spokenSelect.addEventListener('change', () => {
+            this.spokenLanguage = this.spokenSelect.value;
+            this.save();
+        });
+    }
+
+    get catalog() {
+        return Localizer.catalogs[this.locale];
+    }
+
+    get dir() {
+        return Localizer.rtlLanguages.includes(this.locale.split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    // BCP 47 tag of the language recordings are spoken in, e.g. "te-IN"
+    get speechLanguage() {
+        return this.spokenLanguage || this.catalog.speech;
+    }
+
+    setLocale(locale) {
+        if (!Localizer.catalogs[locale]) return;
+        this.locale = locale;
+        this.select.value = locale;
+        if (!this.spokenLanguage) this.spokenSelect.value = this.speechLanguage;
+        this.save();
+        if (this.onChange) this.onChange(locale);
+    }
+
+    t(key, params = {}) {
+        const message = this.catalog.messages[key] ?? Localizer.catalogs.en.messages[key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+        if (Array.isArray(message)) {
+            return message.map(line => Localizer.format(line, params));
+        }
+        return Localizer.format(message, params);
+    }
+
+    // Translates the marked-up elements under `root` and sets the language and
+    // direction on the element that holds them
+    apply(root) {
+        const host = root.host || (root === document ? document.documentElement : root);
+        host.lang = this.locale;
+        host.dir = this.dir;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.error('Error loading language settings:', e);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                locale: this.locale,
+                spokenLanguage: this.spokenLanguage
+            }));
+        } catch (e) {
+            console.error('Error persisting language settings:', e);
+        }
+    }
+
+    // The first of the browser's languages we have a catalog for, matching
+    // "hi-IN" to "hi"; English when there is none
+    static detect() {
+        const preferred = navigator.languages?.length ? navigator.languages : [navigator.language || 'en'];
+        for (const tag of preferred) {
+            const language = tag.toLowerCase().split('-')[0];
+            if (Localizer.catalogs[language]) return language;
+        }
+        return 'en';
+    }
+
+    static format(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+}
+
+Localizer.catalogs = {};
+Localizer.rtlLanguages = ['ar', 'fa', 'he', 'ur'];
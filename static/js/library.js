@@ -0,0 +1,376 @@
+class RecordingLibrary {
+    constructor({ database, list, quotaDisplay, exportButton, deleteButton, onUpload = null, getFileSettings = null, t, getLocale = () => undefined, signal, options = {} }) {
+        this.database = database;
+        this.list = list;
+        this.quotaDisplay = quotaDisplay;
+        this.exportButton = exportButton;
+        this.deleteButton = deleteButton;
+        this.onUpload = onUpload;
+        // Filename template and metadata mode for exports, see TakeMetadata
+        this.getFileSettings = getFileSettings || (() => ({ filenameTemplate: TakeMetadata.defaultTemplate, metadata: 'embed' }));
+        this.t = t;  // Translates message keys, see Localizer
+        this.getLocale = getLocale;  // The interface language, which dates are written in
+        this.signal = signal;  // Aborting it removes every listener added here
+
+        this.maxBytes = options.maxBytes ?? 500 * 1024 * 1024;
+        this.warningRatio = options.warningRatio ?? 0.8;
+
+        this.records = [];
+        this.selected = new Set();
+        this.objectUrls = [];
+        this.syncViews = new Map();  // Record id -> { badge, uploadButton }, updated in place
+        this.persistRequested = false;
+
+        this.exportButton.addEventListener('click', () => this.exportSelected(), { signal });
+        this.deleteButton.addEventListener('click', () => this.deleteSelected(), { signal });
+    }
+
+    async load() {
+        try {
+            this.records = await this.database.getAll('recordings');
+            this.records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.error('Error loading recordings library:', error);
+            this.records = [];
+        }
+        await this.render();
+    }
+
+    async save({ id = null, blob, mimeType, duration, deviceLabel = '', language = null, sampleRate = null, channelCount = null, browser = null, capture = 'microphone' }) {
+        const existing = id ? this.records.find(record => record.id === id) : null;
+        const growth = blob.size - (existing?.blob.size || 0);
+
+        const { used, limit } = await this.getUsage();
+        if (used + growth > limit) {
+            throw Object.assign(
+                new Error('Not enough local storage to keep this recording'),
+                { name: 'QuotaExceededError' }
+            );
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            id: id || crypto.randomUUID(),
+            title: this.t('library.defaultTitle', { date: new Date().toLocaleString(this.getLocale()) }),
+            tags: [],
+            notes: '',
+            createdAt: now,
+            remoteId: null,
+            ...existing,
+            // A changed take is offered for upload again rather than sent from the outbox
+            syncStatus: null,
+            syncError: null,
+            blob,
+            mimeType,
+            size: blob.size,
+            duration,
+            deviceLabel,
+            language,
+            sampleRate,
+            channelCount,
+            browser,
+            capture,
+            updatedAt: now
+        };
+
+        await this.database.put('recordings', record);
+        this.requestPersistence();
+
+        this.records = [record, ...this.records.filter(item => item.id !== record.id)];
+        await this.render();
+        return record;
+    }
+
+    async update(id, changes) {
+        const record = this.records.find(item => item.id === id);
+        if (!record) return;
+
+        Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+        try {
+            await this.database.put('recordings', record);
+        } catch (error) {
+            console.error('Error updating recording:', error);
+        }
+    }
+
+    // Picks up what another recorder or tab has since written to a record
+    async reload(id) {
+        const record = this.records.find(item => item.id === id);
+        const stored = await this.database.get('recordings', id);
+        if (!record || !stored) return null;
+
+        Object.assign(record, stored);
+        const view = this.syncViews.get(id);
+        if (view) this.renderSyncStatus(record, view);
+        return record;
+    }
+
+    // Outbox progress for a record, shown without re-rendering the list so a
+    // recording being played isn't cut off
+    async setSyncStatus(id, syncStatus, changes = {}) {
+        await this.update(id, { syncStatus, syncError: null, ...changes });
+        const record = this.records.find(item => item.id === id);
+        const view = this.syncViews.get(id);
+        if (record && view) this.renderSyncStatus(record, view);
+    }
+
+    async remove(ids) {
+        for (const id of ids) {
+            await this.database.delete('recordings', id);
+            this.selected.delete(id);
+        }
+        this.records = this.records.filter(record => !ids.includes(record.id));
+        await this.render();
+    }
+
+    requestPersistence() {
+        // Ask the browser not to evict the library under storage pressure
+        if (this.persistRequested || !navigator.storage?.persist) return;
+        this.persistRequested = true;
+        navigator.storage.persist().catch(e => console.warn('Persistent storage request failed:', e));
+    }
+
+    async getUsage() {
+        const used = this.records.reduce((sum, record) => sum + record.size, 0);
+        let limit = this.maxBytes;
+
+        if (navigator.storage?.estimate) {
+            try {
+                // The browser's own quota is shared with everything else this origin stores
+                const { usage, quota } = await navigator.storage.estimate();
+                limit = Math.min(limit, used + Math.max(0, quota - usage));
+            } catch (e) {
+                console.warn('Could not estimate storage quota:', e);
+            }
+        }
+        return { used, limit };
+    }
+
+    async updateQuotaDisplay() {
+        const { used, limit } = await this.getUsage();
+        const ratio = limit > 0 ? used / limit : 1;
+
+        const key = ratio >= 1 ? 'library.usageFull'
+            : ratio >= this.warningRatio ? 'library.usageAlmostFull'
+            : 'library.usage';
+        this.quotaDisplay.textContent = this.t(key, {
+            used: RecordingLibrary.formatBytes(used),
+            limit: RecordingLibrary.formatBytes(limit)
+        });
+        this.quotaDisplay.classList.toggle('warning', ratio >= this.warningRatio && ratio < 1);
+        this.quotaDisplay.classList.toggle('error', ratio >= 1);
+    }
+
+    async render() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.syncViews.clear();
+        this.list.innerHTML = '';
+
+        if (this.records.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t('library.empty');
+            this.list.appendChild(empty);
+        }
+
+        this.records.forEach(record => this.list.appendChild(this.renderRecord(record)));
+        this.updateSelectionButtons();
+        await this.updateQuotaDisplay();
+    }
+
+    renderRecord(record) {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+
+        const header = document.createElement('div');
+        header.className = 'library-item-header';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input';
+        checkbox.checked = this.selected.has(record.id);
+        checkbox.setAttribute('aria-label', this.t('library.select', { title: record.title }));
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.selected.add(record.id);
+            } else {
+                this.selected.delete(record.id);
+            }
+            this.updateSelectionButtons();
+        }, { signal: this.signal });
+
+        const title = document.createElement('input');
+        title.type = 'text';
+        title.className = 'form-control form-control-sm library-item-title';
+        title.value = record.title;
+        title.setAttribute('aria-label', this.t('library.title'));
+        title.addEventListener('change', () => {
+            this.update(record.id, { title: title.value.trim() || record.title });
+        }, { signal: this.signal });
+
+        const syncBadge = document.createElement('span');
+        header.append(checkbox, title, syncBadge);
+
+        const details = document.createElement('div');
+        details.className = 'library-item-details';
+        details.textContent = [
+            new Date(record.createdAt).toLocaleString(this.getLocale()),
+            `${record.duration.toFixed(1)}s`,
+            RecordingLibrary.formatBytes(record.size),
+            record.deviceLabel,
+            record.language,
+            (record.tags || []).map(tag => `#${tag}`).join(' '),
+            record.remoteId ? this.t('library.uploadedId', { id: record.remoteId }) : ''
+        ].filter(Boolean).join(' · ');
+
+        const url = URL.createObjectURL(record.blob);
+        this.objectUrls.push(url);
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.src = url;
+
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm';
+        const uploadButton = this.createButton(
+            this.t(record.remoteId ? 'library.uploadAgain' : 'library.upload'),
+            () => this.upload(record, uploadButton, details)
+        );
+        const syncView = { badge: syncBadge, uploadButton };
+        this.syncViews.set(record.id, syncView);
+        this.renderSyncStatus(record, syncView);
+        actions.append(
+            uploadButton,
+            this.createButton(this.t('library.download'), () => this.download([record])),
+            this.createButton(this.t('library.deleteOne'), () => this.remove([record.id]))
+        );
+
+        item.append(header, details);
+        if (record.notes) {
+            const notes = document.createElement('p');
+            notes.className = 'library-item-notes';
+            notes.textContent = record.notes;
+            item.append(notes);
+        }
+        item.append(audio, actions);
+        return item;
+    }
+
+    renderSyncStatus(record, { badge, uploadButton }) {
+        badge.className = `sync-status sync-status-${record.syncStatus}`;
+        const label = RecordingLibrary.syncLabels[record.syncStatus];
+        badge.textContent = label ? this.t(label) : '';
+        badge.title = record.syncError || '';
+        badge.classList.toggle('d-none', !badge.textContent);
+        // The outbox is already sending it; don't start a second upload
+        uploadButton.disabled = record.syncStatus === 'uploading';
+    }
+
+    createButton(text, handler) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline-secondary';
+        button.textContent = text;
+        button.addEventListener('click', handler, { signal: this.signal });
+        return button;
+    }
+
+    async upload(record, button, details) {
+        if (!this.onUpload) return;
+
+        button.disabled = true;
+        button.textContent = this.t('library.uploading');
+        try {
+            const result = await this.onUpload(record);
+            await this.update(record.id, { remoteId: result.id, syncStatus: 'synced', syncError: null });
+        } catch (error) {
+            console.error('Error uploading library recording:', error);
+            details.textContent += ` · ${this.t('library.uploadFailed')}`;
+        }
+        await this.render();
+    }
+
+    updateSelectionButtons() {
+        this.exportButton.disabled = this.selected.size === 0;
+        this.deleteButton.disabled = this.selected.size === 0;
+    }
+
+    getSelectedRecords() {
+        return this.records.filter(record => this.selected.has(record.id));
+    }
+
+    async exportSelected() {
+        const records = this.getSelectedRecords();
+        if (records.length === 0) return;
+
+        try {
+            if (records.length === 1) {
+                this.download(records);
+                return;
+            }
+            const archive = await ZipWriter.create(RecordingLibrary.toFiles(records, this.getFileSettings()));
+            RecordingLibrary.saveBlob(archive, 'recordings.zip');
+        } catch (error) {
+            console.error('Error exporting recordings:', error);
+        }
+    }
+
+    async deleteSelected() {
+        const records = this.getSelectedRecords();
+        if (records.length === 0) return;
+        if (!confirm(this.t('library.confirmDelete', { count: records.length }))) return;
+
+        await this.remove(records.map(record => record.id));
+    }
+
+    download(records) {
+        RecordingLibrary.toFiles(records, this.getFileSettings())
+            .forEach(file => RecordingLibrary.saveBlob(file.blob, file.name));
+    }
+
+    static toFiles(records, { filenameTemplate, metadata: mode }) {
+        const used = new Set();
+        return records.flatMap(record => {
+            const metadata = TakeMetadata.fromRecord(record);
+            const extension = AudioTranscoder.extensionFor(record.mimeType);
+            const base = TakeMetadata.filename(filenameTemplate, metadata, extension).slice(0, -(extension.length + 1));
+            let name = `${base}.${extension}`;
+            for (let n = 2; used.has(name); n++) {
+                name = `${base}_${n}.${extension}`;
+            }
+            used.add(name);
+            return TakeMetadata.files({ name, blob: record.blob, date: new Date(record.createdAt) }, metadata, mode);
+        });
+    }
+
+    static saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = filename;
+
+        document.body.appendChild(a);
+        a.click();
+
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+}
+
+// Message keys for the badges of records that went through the upload outbox
+RecordingLibrary.syncLabels = {
+    queued: 'sync.queued',
+    uploading: 'sync.uploading',
+    failed: 'sync.failed',
+    synced: 'sync.synced'
+};
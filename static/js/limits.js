@@ -0,0 +1,136 @@
+// How long and how large a single take may grow, and the countdown before it
+// starts. The server's limits (GET /api/recordings/limits) always win over a
+// longer or larger user setting, so a finished take is never too big to upload.
+class RecordingLimits {
+    constructor({ durationSelect, sizeSelect, countdownSelect, endpoint = '/api/recordings/limits', storageKey = 'recordingLimits', t, options = {} }) {
+        this.durationSelect = durationSelect;
+        this.sizeSelect = sizeSelect;  // Values in megabytes
+        this.countdownSelect = countdownSelect;
+        this.endpoint = endpoint;
+        this.storageKey = storageKey;
+        this.t = t;  // Translates message keys, see Localizer
+
+        this.warningSeconds = options.warningSeconds ?? 10;  // Warn this long before the time limit
+        this.warningFraction = options.warningFraction ?? 0.9;  // and at this share of the size limit
+
+        this.serverDuration = null;
+        this.serverBytes = null;
+
+        const saved = this.loadSettings();
+        this.durationSelect.value = saved.maxDuration ?? '';
+        this.sizeSelect.value = saved.maxSize ?? '';
+        this.countdownSelect.value = saved.countdown ?? '0';
+        [this.durationSelect, this.sizeSelect, this.countdownSelect].forEach(select => {
+            select.addEventListener('change', () => this.saveSettings());
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.endpoint);
+            if (!response.ok) {
+                throw new Error(`Limits request failed with status ${response.status}`);
+            }
+            const limits = await response.json();
+            this.serverDuration = limits.maxDurationSeconds || null;
+            this.serverBytes = limits.maxBytes || null;
+        } catch (error) {
+            console.warn('Recording limits unavailable, only local limits apply:', error);
+        }
+        this.renderDurationOptions();
+        this.renderSizeOptions();
+    }
+
+    get maxDuration() {
+        const chosen = Number(this.durationSelect.value) || null;
+        if (!chosen || !this.serverDuration) return chosen || this.serverDuration;
+        return Math.min(chosen, this.serverDuration);
+    }
+
+    get maxBytes() {
+        const chosen = Number(this.sizeSelect.value) * 1024 * 1024 || null;
+        if (!chosen || !this.serverBytes) return chosen || this.serverBytes;
+        return Math.min(chosen, this.serverBytes);
+    }
+
+    get countdown() {
+        return Number(this.countdownSelect.value) || 0;
+    }
+
+    // Where a take stands against its limits, given the length of the whole
+    // take and the size of the file that will be uploaded for it
+    check({ duration, size }) {
+        const maxDuration = this.maxDuration;
+        const maxBytes = this.maxBytes;
+
+        if (maxDuration && duration >= maxDuration) return { reached: 'duration' };
+        if (maxBytes && size >= maxBytes) return { reached: 'size' };
+        if (maxDuration && duration >= maxDuration - this.warningSeconds) {
+            return { warning: 'duration', remaining: Math.ceil(maxDuration - duration) };
+        }
+        if (maxBytes && size >= maxBytes * this.warningFraction) return { warning: 'size' };
+        return {};
+    }
+
+    renderDurationOptions() {
+        const [unlimited, ...options] = Array.from(this.durationSelect.options);
+        unlimited.textContent = this.serverDuration
+            ? this.t('limits.longestAllowed', { time: RecordingLimits.formatTime(this.serverDuration) })
+            : this.t('limits.noLimit');
+        options.forEach(option => {
+            option.disabled = Boolean(this.serverDuration) && Number(option.value) > this.serverDuration;
+        });
+        if (this.durationSelect.selectedOptions[0]?.disabled) {
+            this.durationSelect.value = '';
+        }
+    }
+
+    renderSizeOptions() {
+        const [unlimited, ...options] = Array.from(this.sizeSelect.options);
+        unlimited.textContent = this.serverBytes
+            ? this.t('limits.largestAllowed', { size: RecordingLimits.formatMegabytes(this.serverBytes) })
+            : this.t('limits.noLimit');
+        options.forEach(option => {
+            option.textContent = this.t('limits.megabytes', { size: option.value });
+            option.disabled = Boolean(this.serverBytes) && Number(option.value) * 1024 * 1024 > this.serverBytes;
+        });
+        if (this.sizeSelect.selectedOptions[0]?.disabled) {
+            this.sizeSelect.value = '';
+        }
+    }
+
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.error('Error loading recording limits:', e);
+            return {};
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                maxDuration: this.durationSelect.value,
+                maxSize: this.sizeSelect.value,
+                countdown: this.countdownSelect.value
+            }));
+        } catch (e) {
+            console.error('Error persisting recording limits:', e);
+        }
+    }
+
+    // 75 -> "01:15", 3725 -> "1:02:05"
+    static formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const pad = (value) => String(value).padStart(2, '0');
+        const hours = Math.floor(total / 3600);
+        const clock = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+        return hours > 0 ? `${hours}:${clock}` : clock;
+    }
+
+    // 26214400 -> "25", 1572864 -> "1.5"
+    static formatMegabytes(bytes) {
+        return String(Math.round(bytes / (1024 * 1024) * 10) / 10);
+    }
+}
@@ -0,0 +1,1376 @@
+// Message catalogs for Localizer (i18n.js). English is complete and fills in
+// for anything another catalog is missing. `speech` is the spoken-language
+// tag a take is labelled with when the UI is in that language.
+//
+// permissionHelp.* entries are lists of steps, one list per browser.
+Localizer.catalogs.en = {
+    name: 'English',
+    speech: 'en-IN',
+    messages: {
+        'language.interface': 'Interface language',
+        'language.spoken': 'Language you speak',
+        'language.spokenHint': 'Saved with each recording and used for its transcript.',
+
+        'status.checking': 'Checking microphone permissions...',
+        'status.idle': 'Microphone permission required',
+        'status.requestingPermission': 'Waiting for microphone access...',
+        'status.ready': 'Ready to record',
+        'status.countdown': 'Recording starts in a moment...',
+        'status.recording': 'Recording in progress...',
+        'status.paused': 'Recording paused',
+        'status.processing': 'Processing recording...',
+        'status.uploading': 'Uploading recording...',
+
+        'compatibility.missingFeatures': 'Your browser is missing required features: {features}. Please use a modern browser.',
+        'compatibility.noFormats': 'Your browser does not support any of the required audio formats.',
+        'compatibility.passed': 'Browser compatibility check passed',
+
+        'permission.heading': 'Microphone Access Required',
+        'permission.intro': 'To use the recorder, we need access to your microphone. Your privacy is important to us - we only record when you click the record button.',
+        'permission.grant': 'Grant Microphone Access',
+        'permission.checkFailed': 'Permission check failed. Please ensure your browser supports microphone access.',
+        'permission.denied': 'Microphone access denied. Please grant permission to continue.',
+        'permission.couldNotAccess': 'Could not access microphone.',
+        'permission.notAllowed': 'Microphone access was denied.',
+        'permission.notFound': 'No microphone found. Please connect a microphone and try again.',
+        'permission.notReadable': 'Microphone is in use by another application.',
+        'permission.retrying': '{reason} Retrying... (Attempt {attempt}/{max})',
+        'permission.giveUp': '{reason} Please check your browser settings and reload the page.',
+        'permission.instructions': 'Browser-specific instructions:',
+        'permission.supportedFormats': 'Supported formats: {formats}',
+        'permissionHelp.android': [
+            'Tap the three dots menu in your browser',
+            'Open "Settings", then "Site settings"',
+            'Tap "Microphone" and allow this site',
+            'Reload the page'
+        ],
+        'permissionHelp.ios': [
+            'Tap "aA" in the address bar, then "Website Settings"',
+            'Set Microphone to "Allow"',
+            'If that is greyed out, open the Settings app, find your browser and turn on Microphone',
+            'Reload the page'
+        ],
+        'permissionHelp.chrome': [
+            'Click the camera icon in the address bar',
+            'Select "Allow" for microphone access',
+            'Refresh the page'
+        ],
+        'permissionHelp.firefox': [
+            'Click the microphone icon in the address bar',
+            'Choose "Remember this decision"',
+            'Click "Allow"'
+        ],
+        'permissionHelp.safari': [
+            'Click Safari > Preferences > Websites',
+            'Find Microphone in the left sidebar',
+            'Allow access for this website',
+            'Refresh the page'
+        ],
+        'permissionHelp.default': [
+            'Look for the microphone icon in your browser\'s address bar',
+            'Click it and select "Allow"',
+            'Refresh the page if needed'
+        ],
+
+        'recovery.label': 'Unfinished recordings',
+        'recovery.heading': 'Unfinished recordings found',
+        'recovery.intro': 'These takes were interrupted before they were saved. Recover them to your library or discard them.',
+        'recovery.started': 'Started {time}',
+        'recovery.recover': 'Recover',
+        'recovery.play': 'Play',
+        'recovery.discard': 'Discard',
+        'recovery.confirmDiscard': 'Discard this unfinished recording? This cannot be undone.',
+        'recovery.recovered': 'Unfinished recording recovered',
+        'recovery.failed': 'Could not recover this recording.',
+
+        'timer.label': 'Elapsed recording time',
+        'visualizer.waveform': 'Waveform',
+        'visualizer.level': 'Input level',
+        'level.clipping': 'Input is clipping. Move away from the microphone or lower its gain.',
+        'level.silent': 'No sound detected. Check that your microphone is not muted.',
+
+        'controls.record': 'Record',
+        'controls.pause': 'Pause',
+        'controls.resume': 'Resume',
+        'controls.stop': 'Stop',
+
+        'devices.microphone': 'Microphone',
+        'devices.default': 'Default microphone',
+        'devices.unnamed': 'Microphone {number}',
+        'devices.echoCancellation': 'Echo cancellation',
+        'devices.noiseSuppression': 'Noise suppression',
+        'devices.autoGainControl': 'Auto gain',
+        'capture.source': 'Record from',
+        'capture.microphone': 'Microphone only',
+        'capture.mixed': 'Microphone and tab or system audio, mixed',
+        'capture.separate': 'Microphone and tab or system audio, on separate tracks',
+        'capture.hint': 'For calls and demos. You\'ll be asked which tab, window or screen to share; turn on sharing its audio.',
+        'capture.unsupported': 'This browser can\'t record tab or system audio.',
+        'capture.microphoneLevel': 'Microphone level',
+        'capture.systemLevel': 'Tab or system audio level',
+        'capture.notAllowed': 'Sharing was cancelled or blocked.',
+        'capture.noAudio': 'The shared tab or screen had no audio. Share it again with its audio turned on.',
+        'capture.notReadable': 'The shared audio could not be read.',
+        'capture.couldNotAccess': 'Could not capture tab or system audio.',
+        'capture.microphoneOnly': '{reason} Recording the microphone only.',
+        'capture.ended': 'Tab or system audio sharing stopped. Recording continues with the microphone only.',
+        'devices.defaultLabel': 'the default microphone',
+        'devices.switched': 'Microphone disconnected. Switched to {label}.',
+        'devices.switchFailed': 'Could not switch microphone. Still using the previous one.',
+
+        'processing.heading': 'Audio processing',
+        'processing.enabled': 'Process the microphone before recording',
+        'processing.preset': 'Preset',
+        'processing.savePreset': 'Save Preset',
+        'processing.deletePreset': 'Delete',
+        'processing.inputGain': 'Input gain',
+        'processing.highPass': 'High-pass filter',
+        'processing.highPassFrequency': 'High-pass frequency',
+        'processing.noiseGate': 'Noise gate',
+        'processing.noiseGateThreshold': 'Noise gate threshold',
+        'processing.dynamics': 'Dynamics',
+        'processing.off': 'Off',
+        'processing.compressor': 'Compressor',
+        'processing.limiter': 'Limiter',
+        'processing.compressorThreshold': 'Compressor threshold',
+        'processing.custom': 'Custom',
+        'processing.presets': 'Presets',
+        'processing.saved': 'Saved',
+        'processing.namePreset': 'Name this preset:',
+        'processing.builtIn.quietLaptop': 'Quiet laptop mic',
+        'processing.builtIn.podcastVoice': 'Podcast voice',
+        'processing.builtIn.noisyRoom': 'Noisy room',
+
+        'handsFree.toggle': 'Hands-free mode',
+        'handsFree.stopAfter': 'Stop after {seconds}s of silence',
+        'handsFree.listening': 'Listening for speech... (measuring background noise)',
+        'handsFree.failed': 'Could not start hands-free mode. Please try again.',
+
+        'limits.maxDuration': 'Stop recording after',
+        'limits.noLimit': 'No limit',
+        'limits.longestAllowed': 'Longest allowed ({time})',
+        'limits.oneMinute': '1 minute',
+        'limits.fiveMinutes': '5 minutes',
+        'limits.tenMinutes': '10 minutes',
+        'limits.thirtyMinutes': '30 minutes',
+        'limits.oneHour': '1 hour',
+        'limits.maxSize': 'Stop recording at',
+        'limits.largestAllowed': 'Largest allowed ({size} MB)',
+        'limits.megabytes': '{size} MB',
+        'limits.countdown': 'Countdown before recording',
+        'limits.countdownOff': 'Off',
+        'limits.threeSeconds': '3 seconds',
+        'limits.fiveSeconds': '5 seconds',
+        'limits.tenSeconds': '10 seconds',
+        'limits.reachedDuration': 'Recording stopped: it reached the time limit.',
+        'limits.reachedSize': 'Recording stopped: it reached the size limit.',
+        'limits.warningDuration': 'Recording will stop in {seconds} seconds (time limit).',
+        'limits.warningSize': 'Recording is close to the size limit and will stop soon.',
+
+        'shortcuts.pushToTalk': 'Push-to-talk',
+        'shortcuts.pushToTalkHint': 'Hold Space to record, release it to stop.',
+        'shortcuts.heading': 'Keyboard shortcuts',
+        'shortcuts.reset': 'Reset to Defaults',
+        'shortcuts.change': 'Change',
+        'shortcuts.changeLabel': 'Change shortcut for {action}, currently {keys}',
+        'shortcuts.pressKey': 'Press a key…',
+        'shortcuts.pressKeyLabel': 'Press the new key for {action}, or Escape to cancel',
+        'shortcuts.toggleRecord': 'Start or stop recording',
+        'shortcuts.stop': 'Stop recording',
+        'shortcuts.pause': 'Pause or resume recording',
+        'shortcuts.play': 'Play or pause the take',
+        'shortcuts.download': 'Download the take',
+
+        'diagnostics.heading': 'Diagnostics',
+        'diagnostics.recentEvents': 'Recent events',
+        'diagnostics.copy': 'Copy Report',
+        'diagnostics.browser': 'Browser',
+        'diagnostics.mobile': '{browser} (mobile)',
+        'diagnostics.supportedFormats': 'Supported formats',
+        'diagnostics.chosenFormat': 'Chosen format',
+        'diagnostics.permission': 'Permission',
+        'diagnostics.microphones': 'Microphones',
+        'diagnostics.track': 'Track',
+        'diagnostics.state': 'State',
+        'diagnostics.none': 'None',
+        'diagnostics.noneFound': 'None found',
+        'diagnostics.unknown': 'Unknown',
+        'diagnostics.noTrack': 'No microphone opened yet',
+        'diagnostics.unnamedMicrophone': 'Unnamed microphone',
+        'diagnostics.noProcessing': 'no processing',
+        'diagnostics.copied': 'Report copied to the clipboard.',
+        'diagnostics.downloaded': 'Report downloaded as a JSON file.',
+
+        'conversation.heading': 'Conversation',
+        'conversation.new': 'New Conversation',
+        'conversation.live': 'Live conversation',
+        'conversation.liveHint': 'Streams your voice to the server while you speak, so the reply starts sooner.',
+        'conversation.bargeIn': 'Interrupt replies by speaking',
+        'conversation.bargeInHint': 'Keeps listening while a reply plays and stops it when you start talking. Works best with headphones.',
+        'replies.heading': 'Reply playback',
+        'replies.autoplay': 'Play replies automatically',
+        'replies.autoplayAlways': 'Always',
+        'replies.autoplayAudio': 'Only replies with recorded audio',
+        'replies.autoplayNever': 'Never, I\'ll press Play',
+        'replies.voice': 'Voice for text replies',
+        'replies.voiceAuto': 'Automatic (matches the spoken language)',
+        'replies.noVoices': 'This browser can\'t read replies aloud',
+        'replies.speed': 'Speed',
+        'replies.pitch': 'Pitch',
+        'replies.pitchHint': 'Applies to replies read aloud by the browser.',
+        'replies.play': 'Play reply',
+        'replies.stop': 'Stop',
+        'replies.playLabel': 'Play the reply from {time}',
+        'replies.stopLabel': 'Stop the reply from {time}',
+        'conversation.bargeInFailed': 'Could not listen for interruptions. Please try again.',
+        'conversation.empty': 'Record a question to start the conversation.',
+        'conversation.you': 'You',
+        'conversation.assistant': 'AI',
+        'conversation.thinking': 'Thinking...',
+        'conversation.listening': 'Listening...',
+        'conversation.replyFailed': 'Could not get a reply. Please try again.',
+        'conversation.interrupted': 'Interrupted after {seconds}s',
+
+        'recording.failed': 'Recording failed. Please try again.',
+        'recording.processingFailed': 'Error processing recording. Please try again.',
+        'recording.playbackFailed': 'Error playing audio. Please try recording again.',
+        'recording.libraryFull': 'Recording not saved: local storage is full. Delete old recordings to free space.',
+        'recording.librarySaveFailed': 'Could not save the recording to your library.',
+
+        'transcript.heading': 'Transcript',
+        'transcript.download': 'Download transcript',
+        'transcript.transcribing': 'Transcribing...',
+        'transcript.noSpeech': 'No speech was recognized.',
+        'transcript.unavailable': 'Transcript unavailable for this recording.',
+
+        'segments.label': 'Segments',
+        'segments.add': 'Add Segment',
+        'segments.item': 'Segment {number} ({seconds}s)',
+        'segments.play': 'Play',
+        'segments.rerecord': 'Re-record',
+        'segments.delete': 'Delete',
+
+        'trim.edit': 'Edit',
+        'trim.label': 'Trim editor',
+        'trim.range': 'Trim range. Arrow keys move the start, Shift and arrow keys move the end.',
+        'trim.actions': 'Trim actions',
+        'trim.silence': 'Trim Silence',
+        'trim.preview': 'Preview',
+        'trim.apply': 'Apply',
+        'trim.undo': 'Undo',
+        'trim.edited': 'Take edited. Upload it when it is ready.',
+        'trim.stopPreview': 'Stop Preview',
+        'trim.selection': '{start}s – {end}s ({length}s of {duration}s)',
+        'trim.decodeFailed': 'This take could not be decoded for editing.',
+        'trim.noSound': 'No sound above the silence threshold was found.',
+
+        'loudness.target': 'Normalize to',
+        'loudness.streaming': '-14 LUFS (streaming)',
+        'loudness.voice': '-16 LUFS (voice)',
+        'loudness.broadcast': '-23 LUFS (broadcast)',
+        'loudness.normalize': 'Normalize Loudness',
+        'loudness.measuring': 'Measuring loudness...',
+        'loudness.result': 'Measured {loudness} LUFS, adjusted by {gain} dB to {target} LUFS.',
+        'loudness.failed': 'Could not normalize this recording.',
+        'loudness.tooQuiet': 'This recording is too quiet to measure.',
+
+        'upload.progress': 'Upload progress',
+        'upload.retry': 'Retry Upload',
+        'upload.revised': 'Upload Revised Take',
+        'upload.uploading': 'Uploading recording...',
+        'upload.retrying': 'Upload failed. Retrying... (Attempt {attempt}/{max})',
+        'upload.failed': 'Upload failed: {error}',
+        'upload.error': 'Error uploading recording. Please try again.',
+        'upload.done': 'Uploaded. Recording ID: {id}',
+        'upload.success': 'Recording uploaded',
+        'upload.streaming': 'Streaming upload: {saved} chunks saved, {pending} waiting...',
+        'upload.streamed': 'Streaming upload: {saved} chunks saved',
+        'upload.finishing': 'Finishing upload...',
+        'upload.waitingForReply': 'Waiting for the reply...',
+        'upload.recovered': 'Recovered an interrupted recording (ID: {id})',
+        'upload.queued': 'No connection. The recording is saved and will upload by itself when you are back online.',
+        'status.savedOffline': 'Recording saved offline',
+
+        'offline.notice': 'You\'re offline. Recordings are kept on this device and upload when the connection returns.',
+
+        'export.format': 'Format',
+        'export.formatOriginal': 'Original (as recorded)',
+        'export.formatWav16': 'WAV (16-bit PCM)',
+        'export.formatWav32f': 'WAV (32-bit float)',
+        'export.sampleRate': 'Sample rate',
+        'export.channels': 'Channels',
+        'export.asRecorded': 'As recorded',
+        'export.mono': 'Mono',
+        'export.stereo': 'Stereo',
+        'export.filename': 'File name',
+        'export.filenameHint': 'Fill-ins: {date}, {time}, {title}, {tags}, {language}, {device}, {id}, {ext}',
+        'export.metadata': 'Metadata',
+        'export.metadataEmbed': 'Inside WAV files',
+        'export.metadataSidecar': 'JSON file alongside',
+        'export.metadataNone': 'Leave out',
+        'export.splitTracks': 'Save the microphone and the other side as separate files',
+
+        'details.heading': 'About this take',
+        'details.title': 'Title',
+        'details.tags': 'Tags',
+        'details.tagsHint': 'Separate tags with commas.',
+        'details.notes': 'Notes',
+
+        'download.button': 'Download Recording',
+        'download.preparing': 'Preparing download...',
+        'download.ready': 'Download ready',
+        'download.failed': 'Error downloading recording. Please try again.',
+
+        'library.heading': 'My Recordings',
+        'library.export': 'Export Selected',
+        'library.delete': 'Delete Selected',
+        'library.defaultTitle': 'Recording {date}',
+        'library.usage': 'Using {used} of {limit} for recordings',
+        'library.usageAlmostFull': 'Using {used} of {limit} for recordings. Storage is almost full: export and delete old recordings.',
+        'library.usageFull': 'Using {used} of {limit} for recordings. Storage is full: new recordings will not be saved until you delete some.',
+        'library.empty': 'Your recordings will appear here.',
+        'library.select': 'Select {title}',
+        'library.title': 'Recording title',
+        'library.uploadedId': 'Uploaded (ID: {id})',
+        'library.upload': 'Upload',
+        'library.uploadAgain': 'Upload Again',
+        'library.download': 'Download',
+        'library.deleteOne': 'Delete',
+        'library.uploading': 'Uploading...',
+        'library.uploadFailed': 'Upload failed',
+        'library.confirmDelete': 'Delete {count} recording(s)? This cannot be undone.',
+        'sync.queued': 'Waiting for connection',
+        'sync.uploading': 'Uploading...',
+        'sync.failed': 'Upload failed',
+        'sync.synced': 'Uploaded'
+    }
+};
+
+Localizer.catalogs.hi = {
+    name: 'हिन्दी',
+    speech: 'hi-IN',
+    messages: {
+        'language.interface': 'इंटरफ़ेस की भाषा',
+        'language.spoken': 'आप किस भाषा में बोलते हैं',
+        'language.spokenHint': 'हर रिकॉर्डिंग के साथ सहेजी जाती है और उसके ट्रांसक्रिप्ट के लिए इस्तेमाल होती है।',
+
+        'status.checking': 'माइक्रोफ़ोन की अनुमति जाँची जा रही है...',
+        'status.idle': 'माइक्रोफ़ोन की अनुमति ज़रूरी है',
+        'status.requestingPermission': 'माइक्रोफ़ोन की अनुमति का इंतज़ार है...',
+        'status.ready': 'रिकॉर्ड करने के लिए तैयार',
+        'status.countdown': 'रिकॉर्डिंग कुछ ही पल में शुरू होगी...',
+        'status.recording': 'रिकॉर्डिंग जारी है...',
+        'status.paused': 'रिकॉर्डिंग रुकी हुई है',
+        'status.processing': 'रिकॉर्डिंग तैयार की जा रही है...',
+        'status.uploading': 'रिकॉर्डिंग अपलोड हो रही है...',
+
+        'compatibility.missingFeatures': 'आपके ब्राउज़र में ज़रूरी सुविधाएँ नहीं हैं: {features}। कृपया कोई नया ब्राउज़र इस्तेमाल करें।',
+        'compatibility.noFormats': 'आपका ब्राउज़र ज़रूरी ऑडियो फ़ॉर्मैट में से किसी को भी सपोर्ट नहीं करता।',
+        'compatibility.passed': 'ब्राउज़र की जाँच पूरी हुई',
+
+        'permission.heading': 'माइक्रोफ़ोन की अनुमति चाहिए',
+        'permission.intro': 'रिकॉर्डर इस्तेमाल करने के लिए हमें आपके माइक्रोफ़ोन की ज़रूरत है। आपकी निजता हमारे लिए अहम है - हम सिर्फ़ तभी रिकॉर्ड करते हैं जब आप रिकॉर्ड बटन दबाते हैं।',
+        'permission.grant': 'माइक्रोफ़ोन की अनुमति दें',
+        'permission.checkFailed': 'अनुमति की जाँच नहीं हो सकी। कृपया देखें कि आपका ब्राउज़र माइक्रोफ़ोन सपोर्ट करता है।',
+        'permission.denied': 'माइक्रोफ़ोन की अनुमति नहीं मिली। आगे बढ़ने के लिए कृपया अनुमति दें।',
+        'permission.couldNotAccess': 'माइक्रोफ़ोन तक पहुँच नहीं हो सकी।',
+        'permission.notAllowed': 'माइक्रोफ़ोन की अनुमति अस्वीकार कर दी गई।',
+        'permission.notFound': 'कोई माइक्रोफ़ोन नहीं मिला। कृपया माइक्रोफ़ोन जोड़कर फिर से कोशिश करें।',
+        'permission.notReadable': 'माइक्रोफ़ोन किसी दूसरे ऐप में इस्तेमाल हो रहा है।',
+        'permission.retrying': '{reason} फिर से कोशिश हो रही है... (प्रयास {attempt}/{max})',
+        'permission.giveUp': '{reason} कृपया ब्राउज़र की सेटिंग जाँचें और पेज दोबारा लोड करें।',
+        'permission.instructions': 'आपके ब्राउज़र के लिए निर्देश:',
+        'permission.supportedFormats': 'सपोर्ट किए गए फ़ॉर्मैट: {formats}',
+        'permissionHelp.android': [
+            'ब्राउज़र में तीन बिंदुओं वाला मेन्यू टैप करें',
+            '"सेटिंग" और फिर "साइट सेटिंग" खोलें',
+            '"माइक्रोफ़ोन" टैप करें और इस साइट को अनुमति दें',
+            'पेज दोबारा लोड करें'
+        ],
+        'permissionHelp.ios': [
+            'ऐड्रेस बार में "aA" और फिर "वेबसाइट सेटिंग" टैप करें',
+            'माइक्रोफ़ोन को "अनुमति दें" पर सेट करें',
+            'अगर यह धूसर है, तो सेटिंग ऐप में अपना ब्राउज़र ढूँढकर माइक्रोफ़ोन चालू करें',
+            'पेज दोबारा लोड करें'
+        ],
+        'permissionHelp.chrome': [
+            'ऐड्रेस बार में कैमरा आइकन पर क्लिक करें',
+            'माइक्रोफ़ोन के लिए "अनुमति दें" चुनें',
+            'पेज रीफ़्रेश करें'
+        ],
+        'permissionHelp.firefox': [
+            'ऐड्रेस बार में माइक्रोफ़ोन आइकन पर क्लिक करें',
+            '"यह निर्णय याद रखें" चुनें',
+            '"अनुमति दें" पर क्लिक करें'
+        ],
+        'permissionHelp.safari': [
+            'Safari > Preferences > Websites पर क्लिक करें',
+            'बाईं ओर की सूची में Microphone ढूँढें',
+            'इस वेबसाइट के लिए अनुमति दें',
+            'पेज रीफ़्रेश करें'
+        ],
+        'permissionHelp.default': [
+            'ब्राउज़र के ऐड्रेस बार में माइक्रोफ़ोन आइकन ढूँढें',
+            'उस पर क्लिक करके "अनुमति दें" चुनें',
+            'ज़रूरत हो तो पेज रीफ़्रेश करें'
+        ],
+
+        'recovery.label': 'अधूरी रिकॉर्डिंग',
+        'recovery.heading': 'अधूरी रिकॉर्डिंग मिलीं',
+        'recovery.intro': 'ये रिकॉर्डिंग सहेजे जाने से पहले रुक गई थीं। इन्हें अपनी लाइब्रेरी में वापस लाएँ या हटा दें।',
+        'recovery.started': '{time} को शुरू हुई',
+        'recovery.recover': 'वापस लाएँ',
+        'recovery.play': 'चलाएँ',
+        'recovery.discard': 'हटाएँ',
+        'recovery.confirmDiscard': 'यह अधूरी रिकॉर्डिंग हटाएँ? इसे वापस नहीं लाया जा सकेगा।',
+        'recovery.recovered': 'अधूरी रिकॉर्डिंग वापस लाई गई',
+        'recovery.failed': 'यह रिकॉर्डिंग वापस नहीं लाई जा सकी।',
+
+        'timer.label': 'रिकॉर्डिंग का बीता समय',
+        'visualizer.waveform': 'वेवफ़ॉर्म',
+        'visualizer.level': 'इनपुट स्तर',
+        'level.clipping': 'आवाज़ बहुत तेज़ है। माइक्रोफ़ोन से थोड़ा दूर हटें या उसका गेन कम करें।',
+        'level.silent': 'कोई आवाज़ नहीं आ रही। देखें कि माइक्रोफ़ोन म्यूट तो नहीं है।',
+
+        'controls.record': 'रिकॉर्ड',
+        'controls.pause': 'रोकें',
+        'controls.resume': 'जारी रखें',
+        'controls.stop': 'बंद करें',
+
+        'devices.microphone': 'माइक्रोफ़ोन',
+        'devices.default': 'डिफ़ॉल्ट माइक्रोफ़ोन',
+        'devices.unnamed': 'माइक्रोफ़ोन {number}',
+        'devices.echoCancellation': 'इको कैंसलेशन',
+        'devices.noiseSuppression': 'शोर कम करें',
+        'devices.autoGainControl': 'ऑटो गेन',
+        'capture.source': 'यहाँ से रिकॉर्ड करें',
+        'capture.microphone': 'केवल माइक्रोफ़ोन',
+        'capture.mixed': 'माइक्रोफ़ोन और टैब या सिस्टम ऑडियो, एक साथ मिलाकर',
+        'capture.separate': 'माइक्रोफ़ोन और टैब या सिस्टम ऑडियो, अलग ट्रैक पर',
+        'capture.hint': 'कॉल और डेमो के लिए। आपसे पूछा जाएगा कि कौन सा टैब, विंडो या स्क्रीन साझा करनी है; उसका ऑडियो साझा करना चालू करें।',
+        'capture.unsupported': 'यह ब्राउज़र टैब या सिस्टम ऑडियो रिकॉर्ड नहीं कर सकता।',
+        'capture.microphoneLevel': 'माइक्रोफ़ोन स्तर',
+        'capture.systemLevel': 'टैब या सिस्टम ऑडियो स्तर',
+        'capture.notAllowed': 'साझा करना रद्द या अवरुद्ध किया गया।',
+        'capture.noAudio': 'साझा किए गए टैब या स्क्रीन में ऑडियो नहीं था। ऑडियो चालू करके फिर से साझा करें।',
+        'capture.notReadable': 'साझा किया गया ऑडियो पढ़ा नहीं जा सका।',
+        'capture.couldNotAccess': 'टैब या सिस्टम ऑडियो रिकॉर्ड नहीं हो सका।',
+        'capture.microphoneOnly': '{reason} केवल माइक्रोफ़ोन रिकॉर्ड हो रहा है।',
+        'capture.ended': 'टैब या सिस्टम ऑडियो साझा करना बंद हो गया। रिकॉर्डिंग केवल माइक्रोफ़ोन से जारी है।',
+        'devices.defaultLabel': 'डिफ़ॉल्ट माइक्रोफ़ोन',
+        'devices.switched': 'माइक्रोफ़ोन हट गया। अब {label} इस्तेमाल हो रहा है।',
+        'devices.switchFailed': 'माइक्रोफ़ोन नहीं बदला जा सका। पिछला ही इस्तेमाल हो रहा है।',
+
+        'processing.heading': 'ऑडियो प्रोसेसिंग',
+        'processing.enabled': 'रिकॉर्ड करने से पहले माइक्रोफ़ोन की आवाज़ प्रोसेस करें',
+        'processing.preset': 'प्रीसेट',
+        'processing.savePreset': 'प्रीसेट सहेजें',
+        'processing.deletePreset': 'हटाएँ',
+        'processing.inputGain': 'इनपुट गेन',
+        'processing.highPass': 'हाई-पास फ़िल्टर',
+        'processing.highPassFrequency': 'हाई-पास फ़्रीक्वेंसी',
+        'processing.noiseGate': 'नॉइज़ गेट',
+        'processing.noiseGateThreshold': 'नॉइज़ गेट की सीमा',
+        'processing.dynamics': 'डायनेमिक्स',
+        'processing.off': 'बंद',
+        'processing.compressor': 'कंप्रेसर',
+        'processing.limiter': 'लिमिटर',
+        'processing.compressorThreshold': 'कंप्रेसर की सीमा',
+        'processing.custom': 'अपनी सेटिंग',
+        'processing.presets': 'प्रीसेट',
+        'processing.saved': 'सहेजे गए',
+        'processing.namePreset': 'इस प्रीसेट का नाम रखें:',
+        'processing.builtIn.quietLaptop': 'धीमा लैपटॉप माइक',
+        'processing.builtIn.podcastVoice': 'पॉडकास्ट आवाज़',
+        'processing.builtIn.noisyRoom': 'शोर वाला कमरा',
+
+        'handsFree.toggle': 'हैंड्स-फ़्री मोड',
+        'handsFree.stopAfter': '{seconds} सेकंड की चुप्पी के बाद रोकें',
+        'handsFree.listening': 'आवाज़ सुनी जा रही है... (आसपास का शोर मापा जा रहा है)',
+        'handsFree.failed': 'हैंड्स-फ़्री मोड शुरू नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+        'limits.maxDuration': 'इतनी देर बाद रिकॉर्डिंग रोकें',
+        'limits.noLimit': 'कोई सीमा नहीं',
+        'limits.longestAllowed': 'अधिकतम अनुमति ({time})',
+        'limits.oneMinute': '1 मिनट',
+        'limits.fiveMinutes': '5 मिनट',
+        'limits.tenMinutes': '10 मिनट',
+        'limits.thirtyMinutes': '30 मिनट',
+        'limits.oneHour': '1 घंटा',
+        'limits.maxSize': 'इतने आकार पर रिकॉर्डिंग रोकें',
+        'limits.largestAllowed': 'अधिकतम अनुमति ({size} MB)',
+        'limits.megabytes': '{size} MB',
+        'limits.countdown': 'रिकॉर्डिंग से पहले उलटी गिनती',
+        'limits.countdownOff': 'बंद',
+        'limits.threeSeconds': '3 सेकंड',
+        'limits.fiveSeconds': '5 सेकंड',
+        'limits.tenSeconds': '10 सेकंड',
+        'limits.reachedDuration': 'रिकॉर्डिंग रुक गई: समय सीमा पूरी हो गई।',
+        'limits.reachedSize': 'रिकॉर्डिंग रुक गई: आकार की सीमा पूरी हो गई।',
+        'limits.warningDuration': 'रिकॉर्डिंग {seconds} सेकंड में रुक जाएगी (समय सीमा)।',
+        'limits.warningSize': 'रिकॉर्डिंग आकार की सीमा के पास है और जल्द ही रुक जाएगी।',
+
+        'shortcuts.pushToTalk': 'पुश-टू-टॉक',
+        'shortcuts.pushToTalkHint': 'रिकॉर्ड करने के लिए Space दबाए रखें, रोकने के लिए छोड़ दें।',
+        'shortcuts.heading': 'कीबोर्ड शॉर्टकट',
+        'shortcuts.reset': 'डिफ़ॉल्ट पर वापस जाएँ',
+        'shortcuts.change': 'बदलें',
+        'shortcuts.changeLabel': '{action} का शॉर्टकट बदलें, अभी {keys} है',
+        'shortcuts.pressKey': 'कोई कुंजी दबाएँ…',
+        'shortcuts.pressKeyLabel': '{action} के लिए नई कुंजी दबाएँ, या रद्द करने के लिए Escape',
+        'shortcuts.toggleRecord': 'रिकॉर्डिंग शुरू या बंद करें',
+        'shortcuts.stop': 'रिकॉर्डिंग बंद करें',
+        'shortcuts.pause': 'रिकॉर्डिंग रोकें या जारी रखें',
+        'shortcuts.play': 'रिकॉर्डिंग चलाएँ या रोकें',
+        'shortcuts.download': 'रिकॉर्डिंग डाउनलोड करें',
+
+        'diagnostics.heading': 'डायग्नॉस्टिक्स',
+        'diagnostics.recentEvents': 'हाल की घटनाएँ',
+        'diagnostics.copy': 'रिपोर्ट कॉपी करें',
+        'diagnostics.browser': 'ब्राउज़र',
+        'diagnostics.mobile': '{browser} (मोबाइल)',
+        'diagnostics.supportedFormats': 'समर्थित फ़ॉर्मैट',
+        'diagnostics.chosenFormat': 'चुना गया फ़ॉर्मैट',
+        'diagnostics.permission': 'अनुमति',
+        'diagnostics.microphones': 'माइक्रोफ़ोन',
+        'diagnostics.track': 'ट्रैक',
+        'diagnostics.state': 'स्थिति',
+        'diagnostics.none': 'कोई नहीं',
+        'diagnostics.noneFound': 'कोई नहीं मिला',
+        'diagnostics.unknown': 'अज्ञात',
+        'diagnostics.noTrack': 'अभी तक कोई माइक्रोफ़ोन नहीं खोला गया',
+        'diagnostics.unnamedMicrophone': 'बिना नाम का माइक्रोफ़ोन',
+        'diagnostics.noProcessing': 'कोई प्रोसेसिंग नहीं',
+        'diagnostics.copied': 'रिपोर्ट क्लिपबोर्ड पर कॉपी हो गई।',
+        'diagnostics.downloaded': 'रिपोर्ट JSON फ़ाइल के रूप में डाउनलोड हो गई।',
+
+        'conversation.heading': 'बातचीत',
+        'conversation.new': 'नई बातचीत',
+        'conversation.live': 'लाइव बातचीत',
+        'conversation.liveHint': 'बोलते समय ही आपकी आवाज़ सर्वर पर भेजता है, ताकि जवाब जल्दी शुरू हो।',
+        'conversation.bargeIn': 'बोलकर जवाब बीच में रोकें',
+        'conversation.bargeInHint': 'जवाब चलते समय भी सुनता रहता है और आपके बोलते ही उसे रोक देता है। हेडफ़ोन के साथ सबसे अच्छा काम करता है।',
+        'replies.heading': 'जवाब चलाना',
+        'replies.autoplay': 'जवाब अपने-आप चलाएँ',
+        'replies.autoplayAlways': 'हमेशा',
+        'replies.autoplayAudio': 'सिर्फ़ रिकॉर्ड की गई आवाज़ वाले जवाब',
+        'replies.autoplayNever': 'कभी नहीं, सिर्फ़ Play दबाने पर',
+        'replies.voice': 'लिखित जवाबों के लिए आवाज़',
+        'replies.voiceAuto': 'अपने-आप (बोली गई भाषा के अनुसार)',
+        'replies.noVoices': 'यह ब्राउज़र जवाब पढ़कर नहीं सुना सकता',
+        'replies.speed': 'गति',
+        'replies.pitch': 'स्वर की ऊँचाई',
+        'replies.pitchHint': 'ब्राउज़र द्वारा पढ़कर सुनाए गए जवाबों पर लागू होता है।',
+        'replies.play': 'जवाब चलाएँ',
+        'replies.stop': 'रोकें',
+        'replies.playLabel': '{time} का जवाब चलाएँ',
+        'replies.stopLabel': '{time} का जवाब रोकें',
+        'conversation.bargeInFailed': 'बीच में रोकने के लिए सुनना शुरू नहीं हो सका। कृपया फिर से कोशिश करें।',
+        'conversation.empty': 'बातचीत शुरू करने के लिए एक सवाल रिकॉर्ड करें।',
+        'conversation.you': 'आप',
+        'conversation.assistant': 'AI',
+        'conversation.thinking': 'सोच रहा है...',
+        'conversation.listening': 'सुन रहा है...',
+        'conversation.replyFailed': 'जवाब नहीं मिल सका। कृपया फिर से कोशिश करें।',
+        'conversation.interrupted': '{seconds} सेकंड बाद रोका गया',
+
+        'recording.failed': 'रिकॉर्डिंग नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        'recording.processingFailed': 'रिकॉर्डिंग तैयार करने में गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+        'recording.playbackFailed': 'ऑडियो चलाने में गड़बड़ी हुई। कृपया फिर से रिकॉर्ड करें।',
+        'recording.libraryFull': 'रिकॉर्डिंग सहेजी नहीं गई: लोकल स्टोरेज भर गया है। जगह बनाने के लिए पुरानी रिकॉर्डिंग हटाएँ।',
+        'recording.librarySaveFailed': 'रिकॉर्डिंग आपकी लाइब्रेरी में सहेजी नहीं जा सकी।',
+
+        'transcript.heading': 'ट्रांसक्रिप्ट',
+        'transcript.download': 'ट्रांसक्रिप्ट डाउनलोड करें',
+        'transcript.transcribing': 'ट्रांसक्रिप्ट बन रहा है...',
+        'transcript.noSpeech': 'कोई बोली पहचानी नहीं गई।',
+        'transcript.unavailable': 'इस रिकॉर्डिंग का ट्रांसक्रिप्ट उपलब्ध नहीं है।',
+
+        'segments.label': 'हिस्से',
+        'segments.add': 'हिस्सा जोड़ें',
+        'segments.item': 'हिस्सा {number} ({seconds} सेकंड)',
+        'segments.play': 'चलाएँ',
+        'segments.rerecord': 'फिर से रिकॉर्ड करें',
+        'segments.delete': 'हटाएँ',
+
+        'trim.edit': 'संपादित करें',
+        'trim.label': 'ट्रिम एडिटर',
+        'trim.range': 'ट्रिम की सीमा। ऐरो कुंजियाँ शुरुआत खिसकाती हैं, Shift और ऐरो कुंजियाँ अंत।',
+        'trim.actions': 'ट्रिम के विकल्प',
+        'trim.silence': 'चुप्पी हटाएँ',
+        'trim.preview': 'पूर्वावलोकन',
+        'trim.apply': 'लागू करें',
+        'trim.undo': 'पहले जैसा करें',
+        'trim.edited': 'रिकॉर्डिंग संपादित हो गई। तैयार होने पर उसे अपलोड करें।',
+        'trim.stopPreview': 'पूर्वावलोकन रोकें',
+        'trim.selection': '{start} से – {end} से. ({duration} से. में से {length} से.)',
+        'trim.decodeFailed': 'संपादन के लिए यह रिकॉर्डिंग खोली नहीं जा सकी।',
+        'trim.noSound': 'चुप्पी की सीमा से ऊपर कोई आवाज़ नहीं मिली।',
+
+        'loudness.target': 'इतनी लाउडनेस पर लाएँ',
+        'loudness.streaming': '-14 LUFS (स्ट्रीमिंग)',
+        'loudness.voice': '-16 LUFS (आवाज़)',
+        'loudness.broadcast': '-23 LUFS (प्रसारण)',
+        'loudness.normalize': 'लाउडनेस बराबर करें',
+        'loudness.measuring': 'लाउडनेस मापी जा रही है...',
+        'loudness.result': '{loudness} LUFS मापी गई, {gain} dB बदलकर {target} LUFS की गई।',
+        'loudness.failed': 'इस रिकॉर्डिंग की लाउडनेस बराबर नहीं की जा सकी।',
+        'loudness.tooQuiet': 'यह रिकॉर्डिंग मापने के लिए बहुत धीमी है।',
+
+        'upload.progress': 'अपलोड की प्रगति',
+        'upload.retry': 'फिर से अपलोड करें',
+        'upload.revised': 'बदली हुई रिकॉर्डिंग अपलोड करें',
+        'upload.uploading': 'रिकॉर्डिंग अपलोड हो रही है...',
+        'upload.retrying': 'अपलोड नहीं हुआ। फिर से कोशिश हो रही है... (प्रयास {attempt}/{max})',
+        'upload.failed': 'अपलोड नहीं हुआ: {error}',
+        'upload.error': 'रिकॉर्डिंग अपलोड करने में गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+        'upload.done': 'अपलोड हो गया। रिकॉर्डिंग ID: {id}',
+        'upload.success': 'रिकॉर्डिंग अपलोड हो गई',
+        'upload.streaming': 'स्ट्रीमिंग अपलोड: {saved} हिस्से सहेजे गए, {pending} बाकी...',
+        'upload.streamed': 'स्ट्रीमिंग अपलोड: {saved} हिस्से सहेजे गए',
+        'upload.finishing': 'अपलोड पूरा हो रहा है...',
+        'upload.waitingForReply': 'जवाब का इंतज़ार है...',
+        'upload.recovered': 'रुकी हुई रिकॉर्डिंग वापस लाई गई (ID: {id})',
+        'upload.queued': 'कनेक्शन नहीं है। रिकॉर्डिंग सहेज ली गई है और ऑनलाइन होते ही अपने-आप अपलोड हो जाएगी।',
+        'status.savedOffline': 'रिकॉर्डिंग ऑफ़लाइन सहेजी गई',
+
+        'offline.notice': 'आप ऑफ़लाइन हैं। रिकॉर्डिंग इसी डिवाइस पर रखी जाती हैं और कनेक्शन लौटते ही अपलोड हो जाती हैं।',
+
+        'export.format': 'फ़ॉर्मैट',
+        'export.formatOriginal': 'मूल (जैसी रिकॉर्ड हुई)',
+        'export.formatWav16': 'WAV (16-बिट PCM)',
+        'export.formatWav32f': 'WAV (32-बिट फ़्लोट)',
+        'export.sampleRate': 'सैंपल रेट',
+        'export.channels': 'चैनल',
+        'export.asRecorded': 'जैसा रिकॉर्ड हुआ',
+        'export.mono': 'मोनो',
+        'export.stereo': 'स्टीरियो',
+        'export.filename': 'फ़ाइल का नाम',
+        'export.filenameHint': 'भरने योग्य हिस्से: {date}, {time}, {title}, {tags}, {language}, {device}, {id}, {ext}',
+        'export.metadata': 'मेटाडेटा',
+        'export.metadataEmbed': 'WAV फ़ाइलों के अंदर',
+        'export.metadataSidecar': 'साथ में JSON फ़ाइल',
+        'export.metadataNone': 'शामिल न करें',
+        'export.splitTracks': 'माइक्रोफ़ोन और दूसरी ओर का ऑडियो अलग फ़ाइलों में सहेजें',
+
+        'details.heading': 'इस रिकॉर्डिंग के बारे में',
+        'details.title': 'शीर्षक',
+        'details.tags': 'टैग',
+        'details.tagsHint': 'टैग को कॉमा से अलग करें।',
+        'details.notes': 'नोट्स',
+
+        'download.button': 'रिकॉर्डिंग डाउनलोड करें',
+        'download.preparing': 'डाउनलोड तैयार हो रहा है...',
+        'download.ready': 'डाउनलोड तैयार है',
+        'download.failed': 'रिकॉर्डिंग डाउनलोड करने में गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+        'library.heading': 'मेरी रिकॉर्डिंग',
+        'library.export': 'चुनी हुई एक्सपोर्ट करें',
+        'library.delete': 'चुनी हुई हटाएँ',
+        'library.defaultTitle': 'रिकॉर्डिंग {date}',
+        'library.usage': 'रिकॉर्डिंग के लिए {limit} में से {used} इस्तेमाल हो रहा है',
+        'library.usageAlmostFull': 'रिकॉर्डिंग के लिए {limit} में से {used} इस्तेमाल हो रहा है। स्टोरेज लगभग भर गया है: पुरानी रिकॉर्डिंग एक्सपोर्ट करके हटाएँ।',
+        'library.usageFull': 'रिकॉर्डिंग के लिए {limit} में से {used} इस्तेमाल हो रहा है। स्टोरेज भर गया है: कुछ रिकॉर्डिंग हटाने तक नई रिकॉर्डिंग सहेजी नहीं जाएँगी।',
+        'library.empty': 'आपकी रिकॉर्डिंग यहाँ दिखेंगी।',
+        'library.select': '{title} चुनें',
+        'library.title': 'रिकॉर्डिंग का शीर्षक',
+        'library.uploadedId': 'अपलोड हो गई (ID: {id})',
+        'library.upload': 'अपलोड करें',
+        'library.uploadAgain': 'फिर से अपलोड करें',
+        'library.download': 'डाउनलोड करें',
+        'library.deleteOne': 'हटाएँ',
+        'library.uploading': 'अपलोड हो रही है...',
+        'library.uploadFailed': 'अपलोड नहीं हो सकी',
+        'library.confirmDelete': '{count} रिकॉर्डिंग हटाएँ? इसे वापस नहीं किया जा सकता।',
+        'sync.queued': 'कनेक्शन का इंतज़ार',
+        'sync.uploading': 'अपलोड हो रही है...',
+        'sync.failed': 'अपलोड नहीं हो सकी',
+        'sync.synced': 'अपलोड हो गई'
+    }
+};
+
+Localizer.catalogs.te = {
+    name: 'తెలుగు',
+    speech: 'te-IN',
+    messages: {
+        'language.interface': 'ఇంటర్‌ఫేస్ భాష',
+        'language.spoken': 'మీరు మాట్లాడే భాష',
+        'language.spokenHint': 'ప్రతి రికార్డింగ్‌తో సేవ్ అవుతుంది, దాని ట్రాన్స్‌క్రిప్ట్ కోసం ఉపయోగించబడుతుంది.',
+
+        'status.checking': 'మైక్రోఫోన్ అనుమతులను తనిఖీ చేస్తోంది...',
+        'status.idle': 'మైక్రోఫోన్ అనుమతి అవసరం',
+        'status.requestingPermission': 'మైక్రోఫోన్ అనుమతి కోసం వేచి ఉంది...',
+        'status.ready': 'రికార్డ్ చేయడానికి సిద్ధంగా ఉంది',
+        'status.countdown': 'రికార్డింగ్ కొద్ది క్షణాల్లో మొదలవుతుంది...',
+        'status.recording': 'రికార్డింగ్ జరుగుతోంది...',
+        'status.paused': 'రికార్డింగ్ ఆపివేయబడింది',
+        'status.processing': 'రికార్డింగ్‌ను సిద్ధం చేస్తోంది...',
+        'status.uploading': 'రికార్డింగ్ అప్‌లోడ్ అవుతోంది...',
+
+        'compatibility.missingFeatures': 'మీ బ్రౌజర్‌లో అవసరమైన ఫీచర్లు లేవు: {features}. దయచేసి కొత్త బ్రౌజర్ ఉపయోగించండి.',
+        'compatibility.noFormats': 'అవసరమైన ఆడియో ఫార్మాట్‌లలో ఏదీ మీ బ్రౌజర్ సపోర్ట్ చేయదు.',
+        'compatibility.passed': 'బ్రౌజర్ తనిఖీ పూర్తయింది',
+
+        'permission.heading': 'మైక్రోఫోన్ అనుమతి అవసరం',
+        'permission.intro': 'రికార్డర్ ఉపయోగించడానికి మీ మైక్రోఫోన్ అనుమతి కావాలి. మీ గోప్యత మాకు ముఖ్యం - మీరు రికార్డ్ బటన్ నొక్కినప్పుడు మాత్రమే రికార్డ్ చేస్తాం.',
+        'permission.grant': 'మైక్రోఫోన్ అనుమతి ఇవ్వండి',
+        'permission.checkFailed': 'అనుమతి తనిఖీ విఫలమైంది. మీ బ్రౌజర్ మైక్రోఫోన్‌ను సపోర్ట్ చేస్తుందో లేదో చూడండి.',
+        'permission.denied': 'మైక్రోఫోన్ అనుమతి నిరాకరించబడింది. కొనసాగడానికి దయచేసి అనుమతి ఇవ్వండి.',
+        'permission.couldNotAccess': 'మైక్రోఫోన్‌ను యాక్సెస్ చేయలేకపోయాం.',
+        'permission.notAllowed': 'మైక్రోఫోన్ అనుమతి నిరాకరించబడింది.',
+        'permission.notFound': 'మైక్రోఫోన్ కనబడలేదు. దయచేసి మైక్రోఫోన్ కనెక్ట్ చేసి మళ్ళీ ప్రయత్నించండి.',
+        'permission.notReadable': 'మైక్రోఫోన్‌ను వేరే యాప్ ఉపయోగిస్తోంది.',
+        'permission.retrying': '{reason} మళ్ళీ ప్రయత్నిస్తోంది... (ప్రయత్నం {attempt}/{max})',
+        'permission.giveUp': '{reason} దయచేసి బ్రౌజర్ సెట్టింగ్‌లు తనిఖీ చేసి పేజీని రీలోడ్ చేయండి.',
+        'permission.instructions': 'మీ బ్రౌజర్ కోసం సూచనలు:',
+        'permission.supportedFormats': 'సపోర్ట్ చేసే ఫార్మాట్‌లు: {formats}',
+        'permissionHelp.android': [
+            'బ్రౌజర్‌లో మూడు చుక్కల మెనూను నొక్కండి',
+            '"సెట్టింగ్‌లు", తర్వాత "సైట్ సెట్టింగ్‌లు" తెరవండి',
+            '"మైక్రోఫోన్" నొక్కి ఈ సైట్‌ను అనుమతించండి',
+            'పేజీని రీలోడ్ చేయండి'
+        ],
+        'permissionHelp.ios': [
+            'అడ్రస్ బార్‌లో "aA", తర్వాత "వెబ్‌సైట్ సెట్టింగ్‌లు" నొక్కండి',
+            'మైక్రోఫోన్‌ను "అనుమతించు"కి మార్చండి',
+            'అది బూడిద రంగులో ఉంటే, సెట్టింగ్‌లు యాప్‌లో మీ బ్రౌజర్‌ను వెతికి మైక్రోఫోన్ ఆన్ చేయండి',
+            'పేజీని రీలోడ్ చేయండి'
+        ],
+        'permissionHelp.chrome': [
+            'అడ్రస్ బార్‌లో కెమెరా ఐకాన్‌పై క్లిక్ చేయండి',
+            'మైక్రోఫోన్ కోసం "అనుమతించు" ఎంచుకోండి',
+            'పేజీని రిఫ్రెష్ చేయండి'
+        ],
+        'permissionHelp.firefox': [
+            'అడ్రస్ బార్‌లో మైక్రోఫోన్ ఐకాన్‌పై క్లిక్ చేయండి',
+            '"ఈ నిర్ణయాన్ని గుర్తుంచుకో" ఎంచుకోండి',
+            '"అనుమతించు"పై క్లిక్ చేయండి'
+        ],
+        'permissionHelp.safari': [
+            'Safari > Preferences > Websites పై క్లిక్ చేయండి',
+            'ఎడమ వైపు జాబితాలో Microphone కనుగొనండి',
+            'ఈ వెబ్‌సైట్‌కు అనుమతి ఇవ్వండి',
+            'పేజీని రిఫ్రెష్ చేయండి'
+        ],
+        'permissionHelp.default': [
+            'బ్రౌజర్ అడ్రస్ బార్‌లో మైక్రోఫోన్ ఐకాన్ కోసం చూడండి',
+            'దానిపై క్లిక్ చేసి "అనుమతించు" ఎంచుకోండి',
+            'అవసరమైతే పేజీని రిఫ్రెష్ చేయండి'
+        ],
+
+        'recovery.label': 'అసంపూర్ణ రికార్డింగ్‌లు',
+        'recovery.heading': 'అసంపూర్ణ రికార్డింగ్‌లు కనబడ్డాయి',
+        'recovery.intro': 'ఈ రికార్డింగ్‌లు సేవ్ అయ్యే ముందే ఆగిపోయాయి. వాటిని మీ లైబ్రరీలోకి తిరిగి తెచ్చుకోండి లేదా తొలగించండి.',
+        'recovery.started': '{time}కి మొదలైంది',
+        'recovery.recover': 'తిరిగి తెచ్చు',
+        'recovery.play': 'ప్లే',
+        'recovery.discard': 'తొలగించు',
+        'recovery.confirmDiscard': 'ఈ అసంపూర్ణ రికార్డింగ్‌ను తొలగించాలా? దీన్ని తిరిగి పొందలేరు.',
+        'recovery.recovered': 'అసంపూర్ణ రికార్డింగ్ తిరిగి తెచ్చుకోబడింది',
+        'recovery.failed': 'ఈ రికార్డింగ్‌ను తిరిగి తెచ్చుకోలేకపోయాం.',
+
+        'timer.label': 'రికార్డింగ్ గడిచిన సమయం',
+        'visualizer.waveform': 'వేవ్‌ఫార్మ్',
+        'visualizer.level': 'ఇన్‌పుట్ స్థాయి',
+        'level.clipping': 'శబ్దం చాలా ఎక్కువగా ఉంది. మైక్రోఫోన్ నుండి కొంచెం దూరం జరగండి లేదా దాని గెయిన్ తగ్గించండి.',
+        'level.silent': 'శబ్దం వినబడటం లేదు. మైక్రోఫోన్ మ్యూట్‌లో లేదని చూడండి.',
+
+        'controls.record': 'రికార్డ్',
+        'controls.pause': 'విరామం',
+        'controls.resume': 'కొనసాగించు',
+        'controls.stop': 'ఆపు',
+
+        'devices.microphone': 'మైక్రోఫోన్',
+        'devices.default': 'డిఫాల్ట్ మైక్రోఫోన్',
+        'devices.unnamed': 'మైక్రోఫోన్ {number}',
+        'devices.echoCancellation': 'ఎకో క్యాన్సిలేషన్',
+        'devices.noiseSuppression': 'శబ్దం తగ్గింపు',
+        'devices.autoGainControl': 'ఆటో గెయిన్',
+        'capture.source': 'దీని నుండి రికార్డ్ చేయండి',
+        'capture.microphone': 'మైక్రోఫోన్ మాత్రమే',
+        'capture.mixed': 'మైక్రోఫోన్ మరియు ట్యాబ్ లేదా సిస్టమ్ ఆడియో, కలిపి',
+        'capture.separate': 'మైక్రోఫోన్ మరియు ట్యాబ్ లేదా సిస్టమ్ ఆడియో, వేర్వేరు ట్రాక్‌లలో',
+        'capture.hint': 'కాల్‌లు మరియు డెమోల కోసం. ఏ ట్యాబ్, విండో లేదా స్క్రీన్‌ను షేర్ చేయాలో అడుగుతారు; దాని ఆడియో షేరింగ్‌ను ఆన్ చేయండి.',
+        'capture.unsupported': 'ఈ బ్రౌజర్ ట్యాబ్ లేదా సిస్టమ్ ఆడియోను రికార్డ్ చేయలేదు.',
+        'capture.microphoneLevel': 'మైక్రోఫోన్ స్థాయి',
+        'capture.systemLevel': 'ట్యాబ్ లేదా సిస్టమ్ ఆడియో స్థాయి',
+        'capture.notAllowed': 'షేరింగ్ రద్దు చేయబడింది లేదా నిరోధించబడింది.',
+        'capture.noAudio': 'షేర్ చేసిన ట్యాబ్ లేదా స్క్రీన్‌లో ఆడియో లేదు. ఆడియో ఆన్ చేసి మళ్లీ షేర్ చేయండి.',
+        'capture.notReadable': 'షేర్ చేసిన ఆడియోను చదవలేకపోయాము.',
+        'capture.couldNotAccess': 'ట్యాబ్ లేదా సిస్టమ్ ఆడియోను రికార్డ్ చేయలేకపోయాము.',
+        'capture.microphoneOnly': '{reason} మైక్రోఫోన్ మాత్రమే రికార్డ్ అవుతోంది.',
+        'capture.ended': 'ట్యాబ్ లేదా సిస్టమ్ ఆడియో షేరింగ్ ఆగిపోయింది. రికార్డింగ్ మైక్రోఫోన్‌తో మాత్రమే కొనసాగుతోంది.',
+        'devices.defaultLabel': 'డిఫాల్ట్ మైక్రోఫోన్',
+        'devices.switched': 'మైక్రోఫోన్ డిస్‌కనెక్ట్ అయింది. {label}కి మారాం.',
+        'devices.switchFailed': 'మైక్రోఫోన్ మార్చలేకపోయాం. ఇంకా పాతదే ఉపయోగిస్తున్నాం.',
+
+        'processing.heading': 'ఆడియో ప్రాసెసింగ్',
+        'processing.enabled': 'రికార్డ్ చేసే ముందు మైక్రోఫోన్ ఆడియోను ప్రాసెస్ చేయి',
+        'processing.preset': 'ప్రీసెట్',
+        'processing.savePreset': 'ప్రీసెట్ సేవ్ చేయి',
+        'processing.deletePreset': 'తొలగించు',
+        'processing.inputGain': 'ఇన్‌పుట్ గెయిన్',
+        'processing.highPass': 'హై-పాస్ ఫిల్టర్',
+        'processing.highPassFrequency': 'హై-పాస్ ఫ్రీక్వెన్సీ',
+        'processing.noiseGate': 'నాయిస్ గేట్',
+        'processing.noiseGateThreshold': 'నాయిస్ గేట్ పరిమితి',
+        'processing.dynamics': 'డైనమిక్స్',
+        'processing.off': 'ఆఫ్',
+        'processing.compressor': 'కంప్రెసర్',
+        'processing.limiter': 'లిమిటర్',
+        'processing.compressorThreshold': 'కంప్రెసర్ పరిమితి',
+        'processing.custom': 'అనుకూలం',
+        'processing.presets': 'ప్రీసెట్‌లు',
+        'processing.saved': 'సేవ్ చేసినవి',
+        'processing.namePreset': 'ఈ ప్రీసెట్‌కు పేరు పెట్టండి:',
+        'processing.builtIn.quietLaptop': 'నెమ్మదైన ల్యాప్‌టాప్ మైక్',
+        'processing.builtIn.podcastVoice': 'పాడ్‌కాస్ట్ స్వరం',
+        'processing.builtIn.noisyRoom': 'శబ్దం ఉన్న గది',
+
+        'handsFree.toggle': 'హ్యాండ్స్-ఫ్రీ మోడ్',
+        'handsFree.stopAfter': '{seconds} సెకన్ల నిశ్శబ్దం తర్వాత ఆపు',
+        'handsFree.listening': 'మాటల కోసం వింటోంది... (పరిసర శబ్దాన్ని కొలుస్తోంది)',
+        'handsFree.failed': 'హ్యాండ్స్-ఫ్రీ మోడ్ మొదలుపెట్టలేకపోయాం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+        'limits.maxDuration': 'ఇంత సమయం తర్వాత రికార్డింగ్ ఆపు',
+        'limits.noLimit': 'పరిమితి లేదు',
+        'limits.longestAllowed': 'గరిష్ట అనుమతి ({time})',
+        'limits.oneMinute': '1 నిమిషం',
+        'limits.fiveMinutes': '5 నిమిషాలు',
+        'limits.tenMinutes': '10 నిమిషాలు',
+        'limits.thirtyMinutes': '30 నిమిషాలు',
+        'limits.oneHour': '1 గంట',
+        'limits.maxSize': 'ఈ పరిమాణం వద్ద రికార్డింగ్ ఆపు',
+        'limits.largestAllowed': 'గరిష్ట అనుమతి ({size} MB)',
+        'limits.megabytes': '{size} MB',
+        'limits.countdown': 'రికార్డింగ్‌కు ముందు కౌంట్‌డౌన్',
+        'limits.countdownOff': 'ఆఫ్',
+        'limits.threeSeconds': '3 సెకన్లు',
+        'limits.fiveSeconds': '5 సెకన్లు',
+        'limits.tenSeconds': '10 సెకన్లు',
+        'limits.reachedDuration': 'రికార్డింగ్ ఆగిపోయింది: సమయ పరిమితి చేరుకుంది.',
+        'limits.reachedSize': 'రికార్డింగ్ ఆగిపోయింది: పరిమాణ పరిమితి చేరుకుంది.',
+        'limits.warningDuration': 'రికార్డింగ్ {seconds} సెకన్లలో ఆగిపోతుంది (సమయ పరిమితి).',
+        'limits.warningSize': 'రికార్డింగ్ పరిమాణ పరిమితికి దగ్గరగా ఉంది, త్వరలో ఆగిపోతుంది.',
+
+        'shortcuts.pushToTalk': 'పుష్-టు-టాక్',
+        'shortcuts.pushToTalkHint': 'రికార్డ్ చేయడానికి Space నొక్కి ఉంచండి, ఆపడానికి వదిలేయండి.',
+        'shortcuts.heading': 'కీబోర్డ్ షార్ట్‌కట్‌లు',
+        'shortcuts.reset': 'డిఫాల్ట్‌లకు రీసెట్ చేయి',
+        'shortcuts.change': 'మార్చు',
+        'shortcuts.changeLabel': '{action} షార్ట్‌కట్ మార్చండి, ప్రస్తుతం {keys}',
+        'shortcuts.pressKey': 'ఒక కీ నొక్కండి…',
+        'shortcuts.pressKeyLabel': '{action} కోసం కొత్త కీ నొక్కండి, లేదా రద్దు చేయడానికి Escape',
+        'shortcuts.toggleRecord': 'రికార్డింగ్ మొదలుపెట్టు లేదా ఆపు',
+        'shortcuts.stop': 'రికార్డింగ్ ఆపు',
+        'shortcuts.pause': 'రికార్డింగ్‌కు విరామం ఇవ్వు లేదా కొనసాగించు',
+        'shortcuts.play': 'రికార్డింగ్ ప్లే చేయి లేదా ఆపు',
+        'shortcuts.download': 'రికార్డింగ్ డౌన్‌లోడ్ చేయి',
+
+        'diagnostics.heading': 'డయాగ్నస్టిక్స్',
+        'diagnostics.recentEvents': 'ఇటీవలి సంఘటనలు',
+        'diagnostics.copy': 'రిపోర్ట్ కాపీ చేయి',
+        'diagnostics.browser': 'బ్రౌజర్',
+        'diagnostics.mobile': '{browser} (మొబైల్)',
+        'diagnostics.supportedFormats': 'మద్దతు ఉన్న ఫార్మాట్‌లు',
+        'diagnostics.chosenFormat': 'ఎంచుకున్న ఫార్మాట్',
+        'diagnostics.permission': 'అనుమతి',
+        'diagnostics.microphones': 'మైక్రోఫోన్‌లు',
+        'diagnostics.track': 'ట్రాక్',
+        'diagnostics.state': 'స్థితి',
+        'diagnostics.none': 'ఏదీ లేదు',
+        'diagnostics.noneFound': 'ఏదీ కనిపించలేదు',
+        'diagnostics.unknown': 'తెలియదు',
+        'diagnostics.noTrack': 'ఇంకా ఏ మైక్రోఫోన్ తెరవలేదు',
+        'diagnostics.unnamedMicrophone': 'పేరు లేని మైక్రోఫోన్',
+        'diagnostics.noProcessing': 'ప్రాసెసింగ్ లేదు',
+        'diagnostics.copied': 'నివేదిక క్లిప్‌బోర్డ్‌కు కాపీ అయింది.',
+        'diagnostics.downloaded': 'నివేదిక JSON ఫైల్‌గా డౌన్‌లోడ్ అయింది.',
+
+        'conversation.heading': 'సంభాషణ',
+        'conversation.new': 'కొత్త సంభాషణ',
+        'conversation.live': 'లైవ్ సంభాషణ',
+        'conversation.liveHint': 'మీరు మాట్లాడుతుండగానే మీ స్వరాన్ని సర్వర్‌కు పంపుతుంది, దాంతో జవాబు త్వరగా మొదలవుతుంది.',
+        'conversation.bargeIn': 'మాట్లాడి జవాబును ఆపండి',
+        'conversation.bargeInHint': 'జవాబు ప్లే అవుతున్నప్పుడు కూడా వింటూ, మీరు మాట్లాడటం మొదలుపెట్టగానే దాన్ని ఆపుతుంది. హెడ్‌ఫోన్‌లతో బాగా పనిచేస్తుంది.',
+        'replies.heading': 'జవాబుల ప్లేబ్యాక్',
+        'replies.autoplay': 'జవాబులను ఆటోమేటిక్‌గా ప్లే చేయి',
+        'replies.autoplayAlways': 'ఎల్లప్పుడూ',
+        'replies.autoplayAudio': 'రికార్డ్ చేసిన ఆడియో ఉన్న జవాబులు మాత్రమే',
+        'replies.autoplayNever': 'ఎప్పుడూ వద్దు, నేనే ప్లే నొక్కుతాను',
+        'replies.voice': 'టెక్స్ట్ జవాబులకు గొంతు',
+        'replies.voiceAuto': 'ఆటోమేటిక్ (మాట్లాడిన భాషకు తగినట్లు)',
+        'replies.noVoices': 'ఈ బ్రౌజర్ జవాబులను చదివి వినిపించలేదు',
+        'replies.speed': 'వేగం',
+        'replies.pitch': 'స్వరస్థాయి',
+        'replies.pitchHint': 'బ్రౌజర్ చదివి వినిపించే జవాబులకు మాత్రమే వర్తిస్తుంది.',
+        'replies.play': 'సమాధానం ప్లే చేయండి',
+        'replies.stop': 'ఆపండి',
+        'replies.playLabel': '{time} నాటి సమాధానాన్ని ప్లే చేయండి',
+        'replies.stopLabel': '{time} నాటి సమాధానాన్ని ఆపండి',
+        'conversation.bargeInFailed': 'అంతరాయాల కోసం వినడం మొదలుపెట్టలేకపోయాం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+        'conversation.empty': 'సంభాషణ ప్రారంభించడానికి ఒక ప్రశ్నను రికార్డ్ చేయండి.',
+        'conversation.you': 'మీరు',
+        'conversation.assistant': 'AI',
+        'conversation.thinking': 'ఆలోచిస్తోంది...',
+        'conversation.listening': 'వింటోంది...',
+        'conversation.replyFailed': 'సమాధానం రాలేదు. దయచేసి మళ్లీ ప్రయత్నించండి.',
+        'conversation.interrupted': '{seconds} సెకన్ల తర్వాత ఆపబడింది',
+
+        'recording.failed': 'రికార్డింగ్ విఫలమైంది. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+        'recording.processingFailed': 'రికార్డింగ్‌ను సిద్ధం చేయడంలో లోపం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+        'recording.playbackFailed': 'ఆడియో ప్లే చేయడంలో లోపం. దయచేసి మళ్ళీ రికార్డ్ చేయండి.',
+        'recording.libraryFull': 'రికార్డింగ్ సేవ్ కాలేదు: లోకల్ స్టోరేజ్ నిండిపోయింది. స్థలం కోసం పాత రికార్డింగ్‌లు తొలగించండి.',
+        'recording.librarySaveFailed': 'రికార్డింగ్‌ను మీ లైబ్రరీలో సేవ్ చేయలేకపోయాం.',
+
+        'transcript.heading': 'ట్రాన్స్‌క్రిప్ట్',
+        'transcript.download': 'ట్రాన్స్‌క్రిప్ట్ డౌన్‌లోడ్ చేయి',
+        'transcript.transcribing': 'ట్రాన్స్‌క్రిప్ట్ తయారవుతోంది...',
+        'transcript.noSpeech': 'మాటలు ఏవీ గుర్తించబడలేదు.',
+        'transcript.unavailable': 'ఈ రికార్డింగ్‌కు ట్రాన్స్‌క్రిప్ట్ అందుబాటులో లేదు.',
+
+        'segments.label': 'భాగాలు',
+        'segments.add': 'భాగం జోడించు',
+        'segments.item': 'భాగం {number} ({seconds} సె)',
+        'segments.play': 'ప్లే',
+        'segments.rerecord': 'మళ్ళీ రికార్డ్ చేయి',
+        'segments.delete': 'తొలగించు',
+
+        'trim.edit': 'సవరించు',
+        'trim.label': 'ట్రిమ్ ఎడిటర్',
+        'trim.range': 'ట్రిమ్ పరిధి. బాణం కీలు మొదలును జరుపుతాయి, Shift మరియు బాణం కీలు ముగింపును జరుపుతాయి.',
+        'trim.actions': 'ట్రిమ్ చర్యలు',
+        'trim.silence': 'నిశ్శబ్దం తీసివేయి',
+        'trim.preview': 'ప్రివ్యూ',
+        'trim.apply': 'వర్తింపజేయి',
+        'trim.undo': 'రద్దు చేయి',
+        'trim.edited': 'రికార్డింగ్ సవరించబడింది. సిద్ధమైనప్పుడు అప్‌లోడ్ చేయండి.',
+        'trim.stopPreview': 'ప్రివ్యూ ఆపండి',
+        'trim.selection': '{start}సె – {end}సె ({duration}సెలో {length}సె)',
+        'trim.decodeFailed': 'సవరించడానికి ఈ రికార్డింగ్‌ను తెరవలేకపోయాము.',
+        'trim.noSound': 'నిశ్శబ్ద పరిమితి కంటే ఎక్కువ శబ్దం కనిపించలేదు.',
+
+        'loudness.target': 'ఈ లౌడ్‌నెస్‌కు మార్చు',
+        'loudness.streaming': '-14 LUFS (స్ట్రీమింగ్)',
+        'loudness.voice': '-16 LUFS (స్వరం)',
+        'loudness.broadcast': '-23 LUFS (ప్రసారం)',
+        'loudness.normalize': 'లౌడ్‌నెస్ సమం చేయి',
+        'loudness.measuring': 'లౌడ్‌నెస్ కొలుస్తోంది...',
+        'loudness.result': '{loudness} LUFS కొలిచాం, {gain} dB మార్చి {target} LUFS చేశాం.',
+        'loudness.failed': 'ఈ రికార్డింగ్ లౌడ్‌నెస్‌ను సమం చేయలేకపోయాం.',
+        'loudness.tooQuiet': 'ఈ రికార్డింగ్ కొలవడానికి చాలా నిశ్శబ్దంగా ఉంది.',
+
+        'upload.progress': 'అప్‌లోడ్ పురోగతి',
+        'upload.retry': 'మళ్ళీ అప్‌లోడ్ చేయి',
+        'upload.revised': 'సవరించిన రికార్డింగ్ అప్‌లోడ్ చేయి',
+        'upload.uploading': 'రికార్డింగ్ అప్‌లోడ్ అవుతోంది...',
+        'upload.retrying': 'అప్‌లోడ్ విఫలమైంది. మళ్ళీ ప్రయత్నిస్తోంది... (ప్రయత్నం {attempt}/{max})',
+        'upload.failed': 'అప్‌లోడ్ విఫలమైంది: {error}',
+        'upload.error': 'రికార్డింగ్ అప్‌లోడ్ చేయడంలో లోపం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+        'upload.done': 'అప్‌లోడ్ అయింది. రికార్డింగ్ ID: {id}',
+        'upload.success': 'రికార్డింగ్ అప్‌లోడ్ అయింది',
+        'upload.streaming': 'స్ట్రీమింగ్ అప్‌లోడ్: {saved} భాగాలు సేవ్ అయ్యాయి, {pending} మిగిలి ఉన్నాయి...',
+        'upload.streamed': 'స్ట్రీమింగ్ అప్‌లోడ్: {saved} భాగాలు సేవ్ అయ్యాయి',
+        'upload.finishing': 'అప్‌లోడ్ పూర్తవుతోంది...',
+        'upload.waitingForReply': 'జవాబు కోసం వేచి ఉంది...',
+        'upload.recovered': 'ఆగిపోయిన రికార్డింగ్ తిరిగి తెచ్చుకోబడింది (ID: {id})',
+        'upload.queued': 'కనెక్షన్ లేదు. రికార్డింగ్ సేవ్ అయింది, మీరు ఆన్‌లైన్‌కి రాగానే దానంతట అదే అప్‌లోడ్ అవుతుంది.',
+        'status.savedOffline': 'రికార్డింగ్ ఆఫ్‌లైన్‌లో సేవ్ అయింది',
+
+        'offline.notice': 'మీరు ఆఫ్‌లైన్‌లో ఉన్నారు. రికార్డింగ్‌లు ఈ పరికరంలోనే ఉంటాయి, కనెక్షన్ తిరిగి రాగానే అప్‌లోడ్ అవుతాయి.',
+
+        'export.format': 'ఫార్మాట్',
+        'export.formatOriginal': 'అసలు (రికార్డ్ అయినట్లే)',
+        'export.formatWav16': 'WAV (16-బిట్ PCM)',
+        'export.formatWav32f': 'WAV (32-బిట్ ఫ్లోట్)',
+        'export.sampleRate': 'శాంపుల్ రేట్',
+        'export.channels': 'ఛానెల్‌లు',
+        'export.asRecorded': 'రికార్డ్ అయినట్లే',
+        'export.mono': 'మోనో',
+        'export.stereo': 'స్టీరియో',
+        'export.filename': 'ఫైల్ పేరు',
+        'export.filenameHint': 'నింపే భాగాలు: {date}, {time}, {title}, {tags}, {language}, {device}, {id}, {ext}',
+        'export.metadata': 'మెటాడేటా',
+        'export.metadataEmbed': 'WAV ఫైళ్ల లోపల',
+        'export.metadataSidecar': 'పక్కన JSON ఫైల్',
+        'export.metadataNone': 'చేర్చవద్దు',
+        'export.splitTracks': 'మైక్రోఫోన్ మరియు అవతలి వైపు ఆడియోను వేర్వేరు ఫైల్‌లుగా సేవ్ చేయండి',
+
+        'details.heading': 'ఈ రికార్డింగ్ గురించి',
+        'details.title': 'శీర్షిక',
+        'details.tags': 'ట్యాగ్‌లు',
+        'details.tagsHint': 'ట్యాగ్‌లను కామాలతో వేరు చేయండి.',
+        'details.notes': 'గమనికలు',
+
+        'download.button': 'రికార్డింగ్ డౌన్‌లోడ్ చేయి',
+        'download.preparing': 'డౌన్‌లోడ్ సిద్ధమవుతోంది...',
+        'download.ready': 'డౌన్‌లోడ్ సిద్ధం',
+        'download.failed': 'రికార్డింగ్ డౌన్‌లోడ్ చేయడంలో లోపం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+
+        'library.heading': 'నా రికార్డింగ్‌లు',
+        'library.export': 'ఎంచుకున్నవి ఎగుమతి చేయి',
+        'library.delete': 'ఎంచుకున్నవి తొలగించు',
+        'library.defaultTitle': 'రికార్డింగ్ {date}',
+        'library.usage': 'రికార్డింగ్‌ల కోసం {limit}లో {used} వాడుతున్నారు',
+        'library.usageAlmostFull': 'రికార్డింగ్‌ల కోసం {limit}లో {used} వాడుతున్నారు. స్టోరేజ్ దాదాపు నిండిపోయింది: పాత రికార్డింగ్‌లను ఎగుమతి చేసి తొలగించండి.',
+        'library.usageFull': 'రికార్డింగ్‌ల కోసం {limit}లో {used} వాడుతున్నారు. స్టోరేజ్ నిండిపోయింది: కొన్నింటిని తొలగించే వరకు కొత్త రికార్డింగ్‌లు సేవ్ కావు.',
+        'library.empty': 'మీ రికార్డింగ్‌లు ఇక్కడ కనిపిస్తాయి.',
+        'library.select': '{title} ఎంచుకోండి',
+        'library.title': 'రికార్డింగ్ శీర్షిక',
+        'library.uploadedId': 'అప్‌లోడ్ అయింది (ID: {id})',
+        'library.upload': 'అప్‌లోడ్ చేయండి',
+        'library.uploadAgain': 'మళ్లీ అప్‌లోడ్ చేయండి',
+        'library.download': 'డౌన్‌లోడ్ చేయండి',
+        'library.deleteOne': 'తొలగించండి',
+        'library.uploading': 'అప్‌లోడ్ అవుతోంది...',
+        'library.uploadFailed': 'అప్‌లోడ్ విఫలమైంది',
+        'library.confirmDelete': '{count} రికార్డింగ్(లు) తొలగించాలా? దీన్ని రద్దు చేయలేరు.',
+        'sync.queued': 'కనెక్షన్ కోసం వేచి ఉంది',
+        'sync.uploading': 'అప్‌లోడ్ అవుతోంది...',
+        'sync.failed': 'అప్‌లోడ్ విఫలమైంది',
+        'sync.synced': 'అప్‌లోడ్ అయింది'
+    }
+};
+
+Localizer.catalogs.ta = {
+    name: 'தமிழ்',
+    speech: 'ta-IN',
+    messages: {
+        'language.interface': 'இடைமுக மொழி',
+        'language.spoken': 'நீங்கள் பேசும் மொழி',
+        'language.spokenHint': 'ஒவ்வொரு பதிவுடனும் சேமிக்கப்பட்டு, அதன் எழுத்துப்படிக்குப் பயன்படுத்தப்படும்.',
+
+        'status.checking': 'மைக்ரோஃபோன் அனுமதிகள் சரிபார்க்கப்படுகின்றன...',
+        'status.idle': 'மைக்ரோஃபோன் அனுமதி தேவை',
+        'status.requestingPermission': 'மைக்ரோஃபோன் அனுமதிக்காகக் காத்திருக்கிறது...',
+        'status.ready': 'பதிவு செய்யத் தயார்',
+        'status.countdown': 'பதிவு சில நொடிகளில் தொடங்கும்...',
+        'status.recording': 'பதிவு நடைபெறுகிறது...',
+        'status.paused': 'பதிவு இடைநிறுத்தப்பட்டது',
+        'status.processing': 'பதிவு தயாராகிறது...',
+        'status.uploading': 'பதிவு பதிவேற்றப்படுகிறது...',
+
+        'compatibility.missingFeatures': 'உங்கள் உலாவியில் தேவையான வசதிகள் இல்லை: {features}. புதிய உலாவியைப் பயன்படுத்தவும்.',
+        'compatibility.noFormats': 'தேவையான ஆடியோ வடிவங்கள் எதையும் உங்கள் உலாவி ஆதரிக்கவில்லை.',
+        'compatibility.passed': 'உலாவி சரிபார்ப்பு முடிந்தது',
+
+        'permission.heading': 'மைக்ரோஃபோன் அனுமதி தேவை',
+        'permission.intro': 'ரெக்கார்டரைப் பயன்படுத்த உங்கள் மைக்ரோஃபோன் அனுமதி தேவை. உங்கள் தனியுரிமை எங்களுக்கு முக்கியம் - நீங்கள் பதிவு பொத்தானை அழுத்தும்போது மட்டுமே பதிவு செய்வோம்.',
+        'permission.grant': 'மைக்ரோஃபோன் அனுமதி அளி',
+        'permission.checkFailed': 'அனுமதி சரிபார்ப்பு தோல்வியடைந்தது. உங்கள் உலாவி மைக்ரோஃபோனை ஆதரிக்கிறதா எனப் பார்க்கவும்.',
+        'permission.denied': 'மைக்ரோஃபோன் அனுமதி மறுக்கப்பட்டது. தொடர அனுமதி அளிக்கவும்.',
+        'permission.couldNotAccess': 'மைக்ரோஃபோனை அணுக முடியவில்லை.',
+        'permission.notAllowed': 'மைக்ரோஃபோன் அனுமதி மறுக்கப்பட்டது.',
+        'permission.notFound': 'மைக்ரோஃபோன் எதுவும் கிடைக்கவில்லை. மைக்ரோஃபோனை இணைத்து மீண்டும் முயலவும்.',
+        'permission.notReadable': 'மைக்ரோஃபோனை வேறொரு செயலி பயன்படுத்துகிறது.',
+        'permission.retrying': '{reason} மீண்டும் முயல்கிறது... (முயற்சி {attempt}/{max})',
+        'permission.giveUp': '{reason} உலாவி அமைப்புகளைச் சரிபார்த்து, பக்கத்தை மீண்டும் ஏற்றவும்.',
+        'permission.instructions': 'உங்கள் உலாவிக்கான வழிமுறைகள்:',
+        'permission.supportedFormats': 'ஆதரிக்கப்படும் வடிவங்கள்: {formats}',
+        'permissionHelp.android': [
+            'உலாவியில் மூன்று புள்ளி மெனுவைத் தட்டவும்',
+            '"அமைப்புகள்", பின்னர் "தள அமைப்புகள்" திறக்கவும்',
+            '"மைக்ரோஃபோன்" தட்டி இந்தத் தளத்தை அனுமதிக்கவும்',
+            'பக்கத்தை மீண்டும் ஏற்றவும்'
+        ],
+        'permissionHelp.ios': [
+            'முகவரிப் பட்டியில் "aA", பின்னர் "இணையதள அமைப்புகள்" தட்டவும்',
+            'மைக்ரோஃபோனை "அனுமதி" என அமைக்கவும்',
+            'அது சாம்பல் நிறத்தில் இருந்தால், அமைப்புகள் செயலியில் உங்கள் உலாவியைக் கண்டுபிடித்து மைக்ரோஃபோனை இயக்கவும்',
+            'பக்கத்தை மீண்டும் ஏற்றவும்'
+        ],
+        'permissionHelp.chrome': [
+            'முகவரிப் பட்டியில் உள்ள கேமரா ஐகானைக் கிளிக் செய்யவும்',
+            'மைக்ரோஃபோனுக்கு "அனுமதி" என்பதைத் தேர்ந்தெடுக்கவும்',
+            'பக்கத்தைப் புதுப்பிக்கவும்'
+        ],
+        'permissionHelp.firefox': [
+            'முகவரிப் பட்டியில் உள்ள மைக்ரோஃபோன் ஐகானைக் கிளிக் செய்யவும்',
+            '"இந்த முடிவை நினைவில் கொள்" என்பதைத் தேர்ந்தெடுக்கவும்',
+            '"அனுமதி" என்பதைக் கிளிக் செய்யவும்'
+        ],
+        'permissionHelp.safari': [
+            'Safari > Preferences > Websites என்பதைக் கிளிக் செய்யவும்',
+            'இடது பக்கப் பட்டியலில் Microphone ஐக் கண்டறியவும்',
+            'இந்த இணையதளத்துக்கு அனுமதி அளிக்கவும்',
+            'பக்கத்தைப் புதுப்பிக்கவும்'
+        ],
+        'permissionHelp.default': [
+            'உலாவியின் முகவரிப் பட்டியில் மைக்ரோஃபோன் ஐகானைத் தேடவும்',
+            'அதைக் கிளிக் செய்து "அனுமதி" என்பதைத் தேர்ந்தெடுக்கவும்',
+            'தேவைப்பட்டால் பக்கத்தைப் புதுப்பிக்கவும்'
+        ],
+
+        'recovery.label': 'முடிக்கப்படாத பதிவுகள்',
+        'recovery.heading': 'முடிக்கப்படாத பதிவுகள் கண்டறியப்பட்டன',
+        'recovery.intro': 'இந்தப் பதிவுகள் சேமிக்கப்படும் முன்பே தடைபட்டன. அவற்றை உங்கள் நூலகத்துக்கு மீட்டெடுக்கவும் அல்லது நீக்கவும்.',
+        'recovery.started': '{time} அன்று தொடங்கியது',
+        'recovery.recover': 'மீட்டெடு',
+        'recovery.play': 'இயக்கு',
+        'recovery.discard': 'நீக்கு',
+        'recovery.confirmDiscard': 'இந்த முடிக்கப்படாத பதிவை நீக்கவா? இதைத் திரும்பப் பெற முடியாது.',
+        'recovery.recovered': 'முடிக்கப்படாத பதிவு மீட்டெடுக்கப்பட்டது',
+        'recovery.failed': 'இந்தப் பதிவை மீட்டெடுக்க முடியவில்லை.',
+
+        'timer.label': 'பதிவின் கழிந்த நேரம்',
+        'visualizer.waveform': 'அலைவடிவம்',
+        'visualizer.level': 'உள்ளீட்டு நிலை',
+        'level.clipping': 'ஒலி மிக அதிகமாக உள்ளது. மைக்ரோஃபோனிலிருந்து சற்று விலகவும் அல்லது அதன் கெயினைக் குறைக்கவும்.',
+        'level.silent': 'ஒலி எதுவும் கேட்கவில்லை. மைக்ரோஃபோன் முடக்கப்படவில்லை எனச் சரிபார்க்கவும்.',
+
+        'controls.record': 'பதிவு',
+        'controls.pause': 'இடைநிறுத்து',
+        'controls.resume': 'தொடர்',
+        'controls.stop': 'நிறுத்து',
+
+        'devices.microphone': 'மைக்ரோஃபோன்',
+        'devices.default': 'இயல்புநிலை மைக்ரோஃபோன்',
+        'devices.unnamed': 'மைக்ரோஃபோன் {number}',
+        'devices.echoCancellation': 'எதிரொலி நீக்கம்',
+        'devices.noiseSuppression': 'இரைச்சல் குறைப்பு',
+        'devices.autoGainControl': 'தானியங்கி கெயின்',
+        'capture.source': 'இதிலிருந்து பதிவுசெய்',
+        'capture.microphone': 'மைக்ரோஃபோன் மட்டும்',
+        'capture.mixed': 'மைக்ரோஃபோன் மற்றும் தாவல் அல்லது சிஸ்டம் ஆடியோ, கலந்து',
+        'capture.separate': 'மைக்ரோஃபோன் மற்றும் தாவல் அல்லது சிஸ்டம் ஆடியோ, தனித்தனி டிராக்குகளில்',
+        'capture.hint': 'அழைப்புகள் மற்றும் டெமோக்களுக்கு. எந்தத் தாவல், சாளரம் அல்லது திரையைப் பகிர வேண்டும் என்று கேட்கப்படும்; அதன் ஆடியோ பகிர்வை இயக்கவும்.',
+        'capture.unsupported': 'இந்த உலாவியால் தாவல் அல்லது சிஸ்டம் ஆடியோவைப் பதிவுசெய்ய முடியாது.',
+        'capture.microphoneLevel': 'மைக்ரோஃபோன் நிலை',
+        'capture.systemLevel': 'தாவல் அல்லது சிஸ்டம் ஆடியோ நிலை',
+        'capture.notAllowed': 'பகிர்வு ரத்துசெய்யப்பட்டது அல்லது தடுக்கப்பட்டது.',
+        'capture.noAudio': 'பகிர்ந்த தாவல் அல்லது திரையில் ஆடியோ இல்லை. ஆடியோவை இயக்கி மீண்டும் பகிரவும்.',
+        'capture.notReadable': 'பகிர்ந்த ஆடியோவைப் படிக்க முடியவில்லை.',
+        'capture.couldNotAccess': 'தாவல் அல்லது சிஸ்டம் ஆடியோவைப் பதிவுசெய்ய முடியவில்லை.',
+        'capture.microphoneOnly': '{reason} மைக்ரோஃபோன் மட்டும் பதிவாகிறது.',
+        'capture.ended': 'தாவல் அல்லது சிஸ்டம் ஆடியோ பகிர்வு நின்றது. பதிவு மைக்ரோஃபோனுடன் மட்டும் தொடர்கிறது.',
+        'devices.defaultLabel': 'இயல்புநிலை மைக்ரோஃபோன்',
+        'devices.switched': 'மைக்ரோஃபோன் துண்டிக்கப்பட்டது. {label} க்கு மாற்றப்பட்டது.',
+        'devices.switchFailed': 'மைக்ரோஃபோனை மாற்ற முடியவில்லை. பழையதே பயன்பாட்டில் உள்ளது.',
+
+        'processing.heading': 'ஆடியோ செயலாக்கம்',
+        'processing.enabled': 'பதிவு செய்வதற்கு முன் மைக்ரோஃபோன் ஒலியைச் செயலாக்கு',
+        'processing.preset': 'முன்னமைவு',
+        'processing.savePreset': 'முன்னமைவைச் சேமி',
+        'processing.deletePreset': 'நீக்கு',
+        'processing.inputGain': 'உள்ளீட்டு கெயின்',
+        'processing.highPass': 'ஹை-பாஸ் வடிகட்டி',
+        'processing.highPassFrequency': 'ஹை-பாஸ் அதிர்வெண்',
+        'processing.noiseGate': 'இரைச்சல் கேட்',
+        'processing.noiseGateThreshold': 'இரைச்சல் கேட் வரம்பு',
+        'processing.dynamics': 'டைனமிக்ஸ்',
+        'processing.off': 'அணை',
+        'processing.compressor': 'கம்ப்ரசர்',
+        'processing.limiter': 'லிமிட்டர்',
+        'processing.compressorThreshold': 'கம்ப்ரசர் வரம்பு',
+        'processing.custom': 'தனிப்பயன்',
+        'processing.presets': 'முன்னமைவுகள்',
+        'processing.saved': 'சேமித்தவை',
+        'processing.namePreset': 'இந்த முன்னமைவுக்குப் பெயரிடுங்கள்:',
+        'processing.builtIn.quietLaptop': 'மெதுவான லேப்டாப் மைக்',
+        'processing.builtIn.podcastVoice': 'பாட்காஸ்ட் குரல்',
+        'processing.builtIn.noisyRoom': 'சத்தமான அறை',
+
+        'handsFree.toggle': 'கைகளற்ற பயன்முறை',
+        'handsFree.stopAfter': '{seconds} நொடி அமைதிக்குப் பிறகு நிறுத்து',
+        'handsFree.listening': 'பேச்சைக் கேட்கிறது... (பின்னணி இரைச்சல் அளவிடப்படுகிறது)',
+        'handsFree.failed': 'கைகளற்ற பயன்முறையைத் தொடங்க முடியவில்லை. மீண்டும் முயலவும்.',
+
+        'limits.maxDuration': 'இவ்வளவு நேரத்துக்குப் பிறகு பதிவை நிறுத்து',
+        'limits.noLimit': 'வரம்பு இல்லை',
+        'limits.longestAllowed': 'அதிகபட்ச அனுமதி ({time})',
+        'limits.oneMinute': '1 நிமிடம்',
+        'limits.fiveMinutes': '5 நிமிடங்கள்',
+        'limits.tenMinutes': '10 நிமிடங்கள்',
+        'limits.thirtyMinutes': '30 நிமிடங்கள்',
+        'limits.oneHour': '1 மணி நேரம்',
+        'limits.maxSize': 'இந்த அளவில் பதிவை நிறுத்து',
+        'limits.largestAllowed': 'அதிகபட்ச அனுமதி ({size} MB)',
+        'limits.megabytes': '{size} MB',
+        'limits.countdown': 'பதிவுக்கு முன் கவுண்ட்டவுன்',
+        'limits.countdownOff': 'அணை',
+        'limits.threeSeconds': '3 நொடிகள்',
+        'limits.fiveSeconds': '5 நொடிகள்',
+        'limits.tenSeconds': '10 நொடிகள்',
+        'limits.reachedDuration': 'பதிவு நின்றது: நேர வரம்பை எட்டியது.',
+        'limits.reachedSize': 'பதிவு நின்றது: அளவு வரம்பை எட்டியது.',
+        'limits.warningDuration': 'பதிவு {seconds} நொடிகளில் நின்றுவிடும் (நேர வரம்பு).',
+        'limits.warningSize': 'பதிவு அளவு வரம்பை நெருங்குகிறது, விரைவில் நின்றுவிடும்.',
+
+        'shortcuts.pushToTalk': 'அழுத்திப் பேசு',
+        'shortcuts.pushToTalkHint': 'பதிவு செய்ய Space ஐ அழுத்திப் பிடிக்கவும், நிறுத்த விடுவிக்கவும்.',
+        'shortcuts.heading': 'விசைப்பலகை குறுக்குவழிகள்',
+        'shortcuts.reset': 'இயல்புநிலைக்கு மீட்டமை',
+        'shortcuts.change': 'மாற்று',
+        'shortcuts.changeLabel': '{action} குறுக்குவழியை மாற்று, தற்போது {keys}',
+        'shortcuts.pressKey': 'ஒரு விசையை அழுத்தவும்…',
+        'shortcuts.pressKeyLabel': '{action} க்கான புதிய விசையை அழுத்தவும், அல்லது ரத்து செய்ய Escape',
+        'shortcuts.toggleRecord': 'பதிவைத் தொடங்கு அல்லது நிறுத்து',
+        'shortcuts.stop': 'பதிவை நிறுத்து',
+        'shortcuts.pause': 'பதிவை இடைநிறுத்து அல்லது தொடர்',
+        'shortcuts.play': 'பதிவை இயக்கு அல்லது இடைநிறுத்து',
+        'shortcuts.download': 'பதிவைப் பதிவிறக்கு',
+
+        'diagnostics.heading': 'கண்டறிதல்',
+        'diagnostics.recentEvents': 'சமீபத்திய நிகழ்வுகள்',
+        'diagnostics.copy': 'அறிக்கையை நகலெடு',
+        'diagnostics.browser': 'உலாவி',
+        'diagnostics.mobile': '{browser} (மொபைல்)',
+        'diagnostics.supportedFormats': 'ஆதரிக்கப்படும் வடிவங்கள்',
+        'diagnostics.chosenFormat': 'தேர்ந்தெடுத்த வடிவம்',
+        'diagnostics.permission': 'அனுமதி',
+        'diagnostics.microphones': 'மைக்ரோஃபோன்கள்',
+        'diagnostics.track': 'டிராக்',
+        'diagnostics.state': 'நிலை',
+        'diagnostics.none': 'எதுவுமில்லை',
+        'diagnostics.noneFound': 'எதுவும் கிடைக்கவில்லை',
+        'diagnostics.unknown': 'தெரியவில்லை',
+        'diagnostics.noTrack': 'இன்னும் எந்த மைக்ரோஃபோனும் திறக்கப்படவில்லை',
+        'diagnostics.unnamedMicrophone': 'பெயரில்லாத மைக்ரோஃபோன்',
+        'diagnostics.noProcessing': 'செயலாக்கம் இல்லை',
+        'diagnostics.copied': 'அறிக்கை கிளிப்போர்டுக்கு நகலெடுக்கப்பட்டது.',
+        'diagnostics.downloaded': 'அறிக்கை JSON கோப்பாகப் பதிவிறக்கப்பட்டது.',
+
+        'conversation.heading': 'உரையாடல்',
+        'conversation.new': 'புதிய உரையாடல்',
+        'conversation.live': 'நேரடி உரையாடல்',
+        'conversation.liveHint': 'நீங்கள் பேசும்போதே உங்கள் குரலைச் சர்வருக்கு அனுப்புகிறது, அதனால் பதில் விரைவில் தொடங்கும்.',
+        'conversation.bargeIn': 'பேசி பதிலை இடைமறி',
+        'conversation.bargeInHint': 'பதில் இயங்கும்போதும் கேட்டுக்கொண்டே இருந்து, நீங்கள் பேசத் தொடங்கியதும் அதை நிறுத்தும். ஹெட்ஃபோன்களுடன் சிறப்பாக வேலை செய்யும்.',
+        'replies.heading': 'பதில் இயக்கம்',
+        'replies.autoplay': 'பதில்களைத் தானாக இயக்கு',
+        'replies.autoplayAlways': 'எப்போதும்',
+        'replies.autoplayAudio': 'பதிவுசெய்த ஒலி உள்ள பதில்கள் மட்டும்',
+        'replies.autoplayNever': 'ஒருபோதும் இல்லை, நானே இயக்குவேன்',
+        'replies.voice': 'உரைப் பதில்களுக்கான குரல்',
+        'replies.voiceAuto': 'தானியங்கு (பேசிய மொழிக்கு ஏற்ப)',
+        'replies.noVoices': 'இந்த உலாவியால் பதில்களை வாசித்துக் காட்ட முடியாது',
+        'replies.speed': 'வேகம்',
+        'replies.pitch': 'சுருதி',
+        'replies.pitchHint': 'உலாவி வாசித்துக் காட்டும் பதில்களுக்கு மட்டும் பொருந்தும்.',
+        'replies.play': 'பதிலை இயக்கு',
+        'replies.stop': 'நிறுத்து',
+        'replies.playLabel': '{time} மணிக்கு வந்த பதிலை இயக்கு',
+        'replies.stopLabel': '{time} மணிக்கு வந்த பதிலை நிறுத்து',
+        'conversation.bargeInFailed': 'இடைமறிப்புகளைக் கேட்கத் தொடங்க முடியவில்லை. மீண்டும் முயலவும்.',
+        'conversation.empty': 'உரையாடலைத் தொடங்க ஒரு கேள்வியைப் பதிவுசெய்யவும்.',
+        'conversation.you': 'நீங்கள்',
+        'conversation.assistant': 'AI',
+        'conversation.thinking': 'யோசிக்கிறது...',
+        'conversation.listening': 'கேட்கிறது...',
+        'conversation.replyFailed': 'பதில் கிடைக்கவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        'conversation.interrupted': '{seconds} வினாடிகளுக்குப் பிறகு நிறுத்தப்பட்டது',
+
+        'recording.failed': 'பதிவு தோல்வியடைந்தது. மீண்டும் முயலவும்.',
+        'recording.processingFailed': 'பதிவைத் தயாரிப்பதில் பிழை. மீண்டும் முயலவும்.',
+        'recording.playbackFailed': 'ஆடியோவை இயக்குவதில் பிழை. மீண்டும் பதிவு செய்யவும்.',
+        'recording.libraryFull': 'பதிவு சேமிக்கப்படவில்லை: உள்ளூர் சேமிப்பகம் நிரம்பிவிட்டது. இடம் பெற பழைய பதிவுகளை நீக்கவும்.',
+        'recording.librarySaveFailed': 'பதிவை உங்கள் நூலகத்தில் சேமிக்க முடியவில்லை.',
+
+        'transcript.heading': 'எழுத்துப்படி',
+        'transcript.download': 'எழுத்துப்படியைப் பதிவிறக்கு',
+        'transcript.transcribing': 'எழுத்துப்படி உருவாக்கப்படுகிறது...',
+        'transcript.noSpeech': 'எந்தப் பேச்சும் அடையாளம் காணப்படவில்லை.',
+        'transcript.unavailable': 'இந்தப் பதிவுக்கு எழுத்துப்படி கிடைக்கவில்லை.',
+
+        'segments.label': 'பகுதிகள்',
+        'segments.add': 'பகுதியைச் சேர்',
+        'segments.item': 'பகுதி {number} ({seconds} நொ)',
+        'segments.play': 'இயக்கு',
+        'segments.rerecord': 'மீண்டும் பதிவு செய்',
+        'segments.delete': 'நீக்கு',
+
+        'trim.edit': 'திருத்து',
+        'trim.label': 'வெட்டுத் திருத்தி',
+        'trim.range': 'வெட்டு வரம்பு. அம்புக்குறி விசைகள் தொடக்கத்தை நகர்த்தும், Shift உடன் அம்புக்குறி விசைகள் முடிவை நகர்த்தும்.',
+        'trim.actions': 'வெட்டுச் செயல்கள்',
+        'trim.silence': 'அமைதியை நீக்கு',
+        'trim.preview': 'முன்னோட்டம்',
+        'trim.apply': 'பயன்படுத்து',
+        'trim.undo': 'செயல்தவிர்',
+        'trim.edited': 'பதிவு திருத்தப்பட்டது. தயாரானதும் பதிவேற்றவும்.',
+        'trim.stopPreview': 'முன்னோட்டத்தை நிறுத்து',
+        'trim.selection': '{start}வி – {end}வி ({duration}வி இல் {length}வி)',
+        'trim.decodeFailed': 'திருத்துவதற்கு இந்தப் பதிவைத் திறக்க முடியவில்லை.',
+        'trim.noSound': 'அமைதி வரம்புக்கு மேல் எந்த ஒலியும் கிடைக்கவில்லை.',
+
+        'loudness.target': 'இந்த ஒலியளவுக்கு மாற்று',
+        'loudness.streaming': '-14 LUFS (ஸ்ட்ரீமிங்)',
+        'loudness.voice': '-16 LUFS (குரல்)',
+        'loudness.broadcast': '-23 LUFS (ஒளிபரப்பு)',
+        'loudness.normalize': 'ஒலியளவைச் சமன் செய்',
+        'loudness.measuring': 'ஒலியளவு அளவிடப்படுகிறது...',
+        'loudness.result': '{loudness} LUFS அளவிடப்பட்டது, {gain} dB மாற்றி {target} LUFS ஆக்கப்பட்டது.',
+        'loudness.failed': 'இந்தப் பதிவின் ஒலியளவைச் சமன் செய்ய முடியவில்லை.',
+        'loudness.tooQuiet': 'இந்தப் பதிவு அளவிட முடியாத அளவுக்கு அமைதியாக உள்ளது.',
+
+        'upload.progress': 'பதிவேற்ற முன்னேற்றம்',
+        'upload.retry': 'மீண்டும் பதிவேற்று',
+        'upload.revised': 'திருத்திய பதிவைப் பதிவேற்று',
+        'upload.uploading': 'பதிவு பதிவேற்றப்படுகிறது...',
+        'upload.retrying': 'பதிவேற்றம் தோல்வியடைந்தது. மீண்டும் முயல்கிறது... (முயற்சி {attempt}/{max})',
+        'upload.failed': 'பதிவேற்றம் தோல்வியடைந்தது: {error}',
+        'upload.error': 'பதிவைப் பதிவேற்றுவதில் பிழை. மீண்டும் முயலவும்.',
+        'upload.done': 'பதிவேற்றப்பட்டது. பதிவு ID: {id}',
+        'upload.success': 'பதிவு பதிவேற்றப்பட்டது',
+        'upload.streaming': 'ஸ்ட்ரீமிங் பதிவேற்றம்: {saved} துண்டுகள் சேமிக்கப்பட்டன, {pending} காத்திருக்கின்றன...',
+        'upload.streamed': 'ஸ்ட்ரீமிங் பதிவேற்றம்: {saved} துண்டுகள் சேமிக்கப்பட்டன',
+        'upload.finishing': 'பதிவேற்றம் நிறைவடைகிறது...',
+        'upload.waitingForReply': 'பதிலுக்காகக் காத்திருக்கிறது...',
+        'upload.recovered': 'தடைபட்ட பதிவு மீட்டெடுக்கப்பட்டது (ID: {id})',
+        'upload.queued': 'இணைப்பு இல்லை. பதிவு சேமிக்கப்பட்டது, நீங்கள் ஆன்லைனுக்கு வந்ததும் தானாகப் பதிவேற்றப்படும்.',
+        'status.savedOffline': 'பதிவு ஆஃப்லைனில் சேமிக்கப்பட்டது',
+
+        'offline.notice': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். பதிவுகள் இந்தச் சாதனத்திலேயே வைக்கப்பட்டு, இணைப்பு திரும்பியதும் பதிவேற்றப்படும்.',
+
+        'export.format': 'வடிவம்',
+        'export.formatOriginal': 'அசல் (பதிவுசெய்தபடி)',
+        'export.formatWav16': 'WAV (16-பிட் PCM)',
+        'export.formatWav32f': 'WAV (32-பிட் ஃப்ளோட்)',
+        'export.sampleRate': 'மாதிரி விகிதம்',
+        'export.channels': 'சேனல்கள்',
+        'export.asRecorded': 'பதிவானபடியே',
+        'export.mono': 'மோனோ',
+        'export.stereo': 'ஸ்டீரியோ',
+        'export.filename': 'கோப்பின் பெயர்',
+        'export.filenameHint': 'நிரப்பும் பகுதிகள்: {date}, {time}, {title}, {tags}, {language}, {device}, {id}, {ext}',
+        'export.metadata': 'மெட்டாடேட்டா',
+        'export.metadataEmbed': 'WAV கோப்புகளுக்குள்',
+        'export.metadataSidecar': 'உடன் JSON கோப்பு',
+        'export.metadataNone': 'சேர்க்க வேண்டாம்',
+        'export.splitTracks': 'மைக்ரோஃபோனையும் மறுபக்க ஆடியோவையும் தனித்தனி கோப்புகளாகச் சேமி',
+
+        'details.heading': 'இந்தப் பதிவைப் பற்றி',
+        'details.title': 'தலைப்பு',
+        'details.tags': 'குறிச்சொற்கள்',
+        'details.tagsHint': 'குறிச்சொற்களைக் காற்புள்ளிகளால் பிரிக்கவும்.',
+        'details.notes': 'குறிப்புகள்',
+
+        'download.button': 'பதிவைப் பதிவிறக்கு',
+        'download.preparing': 'பதிவிறக்கம் தயாராகிறது...',
+        'download.ready': 'பதிவிறக்கம் தயார்',
+        'download.failed': 'பதிவைப் பதிவிறக்குவதில் பிழை. மீண்டும் முயலவும்.',
+
+        'library.heading': 'எனது பதிவுகள்',
+        'library.export': 'தேர்ந்தவற்றை ஏற்றுமதி செய்',
+        'library.delete': 'தேர்ந்தவற்றை நீக்கு',
+        'library.defaultTitle': 'பதிவு {date}',
+        'library.usage': 'பதிவுகளுக்கு {limit} இல் {used} பயன்படுத்தப்படுகிறது',
+        'library.usageAlmostFull': 'பதிவுகளுக்கு {limit} இல் {used} பயன்படுத்தப்படுகிறது. சேமிப்பிடம் கிட்டத்தட்ட நிரம்பிவிட்டது: பழைய பதிவுகளை ஏற்றுமதி செய்து நீக்கவும்.',
+        'library.usageFull': 'பதிவுகளுக்கு {limit} இல் {used} பயன்படுத்தப்படுகிறது. சேமிப்பிடம் நிரம்பிவிட்டது: சிலவற்றை நீக்கும் வரை புதிய பதிவுகள் சேமிக்கப்படாது.',
+        'library.empty': 'உங்கள் பதிவுகள் இங்கே தோன்றும்.',
+        'library.select': '{title} ஐத் தேர்ந்தெடு',
+        'library.title': 'பதிவின் தலைப்பு',
+        'library.uploadedId': 'பதிவேற்றப்பட்டது (ID: {id})',
+        'library.upload': 'பதிவேற்று',
+        'library.uploadAgain': 'மீண்டும் பதிவேற்று',
+        'library.download': 'பதிவிறக்கு',
+        'library.deleteOne': 'நீக்கு',
+        'library.uploading': 'பதிவேற்றப்படுகிறது...',
+        'library.uploadFailed': 'பதிவேற்றம் தோல்வியடைந்தது',
+        'library.confirmDelete': '{count} பதிவு(களை) நீக்கவா? இதைத் திரும்பப் பெற முடியாது.',
+        'sync.queued': 'இணைப்புக்காகக் காத்திருக்கிறது',
+        'sync.uploading': 'பதிவேற்றப்படுகிறது...',
+        'sync.failed': 'பதிவேற்றம் தோல்வியடைந்தது',
+        'sync.synced': 'பதிவேற்றப்பட்டது'
+    }
+};
@@ -0,0 +1,144 @@
+// Describes a take once it leaves the browser: what the user wrote about it
+// (title, tags, notes) and what was known when it was recorded. Exported files
+// are named from a template such as "{date}_{title}.{ext}" and carry the
+// description as a JSON sidecar, or inside the file as a LIST/INFO chunk when
+// it is a WAV.
+class TakeMetadata {
+    // `record` is shaped like a library record (see RecordingLibrary.save)
+    static fromRecord(record) {
+        return {
+            title: record.title || 'Recording',
+            tags: record.tags || [],
+            notes: record.notes || '',
+            recordedAt: record.createdAt,
+            updatedAt: record.updatedAt || record.createdAt,
+            exportedAt: new Date().toISOString(),
+            duration: Math.round((record.duration || 0) * 100) / 100,
+            mimeType: record.mimeType,
+            sampleRate: record.sampleRate || null,
+            channels: record.channelCount || null,
+            // 'separate' takes hold the microphone on the left channel, the other side on the right
+            capture: record.capture || 'microphone',
+            device: record.deviceLabel || null,
+            language: record.language || null,
+            browser: record.browser || null,
+            id: record.id || null,
+            remoteId: record.remoteId || null
+        };
+    }
+
+    static parseTags(text) {
+        const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    static filename(template, metadata, extension) {
+        const recorded = new Date(metadata.recordedAt);
+        const pad = (value) => String(value).padStart(2, '0');
+        const values = {
+            date: `${recorded.getFullYear()}-${pad(recorded.getMonth() + 1)}-${pad(recorded.getDate())}`,
+            time: `${pad(recorded.getHours())}-${pad(recorded.getMinutes())}-${pad(recorded.getSeconds())}`,
+            title: metadata.title,
+            tags: metadata.tags.join('-'),
+            language: metadata.language || '',
+            device: metadata.device || '',
+            id: (metadata.id || '').slice(0, 8),
+            ext: extension
+        };
+
+        template = template || TakeMetadata.defaultTemplate;
+        let name = TakeMetadata.sanitize(
+            template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? TakeMetadata.sanitize(values[key]) : match))
+        );
+        // Always end in the real extension, whatever the template says
+        if (!name.endsWith(`.${extension}`)) {
+            name += `.${extension}`;
+        }
+        // Fill-ins that came out empty leave doubled or dangling separators behind
+        name = name.replace(/[_-]{2,}/g, match => match[0]).replace(/^[_-]+|[_-]+(?=\.)/g, '');
+        return name.startsWith('.') ? `recording${name}` : name;
+    }
+
+    static sanitize(value) {
+        return String(value)
+            .replace(/[\\/:]+/g, '-')
+            .replace(/[*?"<>|,\u0000-\u001f]+/g, '')
+            .trim()
+            .replace(/\s+/g, '_');
+    }
+
+    // The files to save for one exported take, following the `mode` chosen in
+    // the export options: 'sidecar', 'embed' (WAV only) or 'none'
+    static files({ name, blob, date }, metadata, mode) {
+        if (mode === 'embed' && blob.type === 'audio/wav') {
+            return [{ name, blob: TakeMetadata.embedInWav(blob, metadata), date }];
+        }
+        if (mode === 'sidecar') {
+            const sidecar = new Blob(
+                [JSON.stringify({ file: name, ...metadata }, null, 2)],
+                { type: 'application/json' }
+            );
+            return [{ name, blob, date }, { name: `${name}.json`, blob: sidecar, date }];
+        }
+        return [{ name, blob, date }];
+    }
+
+    // Appends a LIST/INFO chunk after the audio and fixes up the RIFF size.
+    // Expects a WAV from AudioTranscoder.encodeWav, whose header is 12 bytes.
+    static embedInWav(blob, metadata) {
+        const encoder = new TextEncoder();
+        const fields = Object.entries(TakeMetadata.infoFields)
+            .map(([id, read]) => [id, encoder.encode(read(metadata) || '')])
+            .filter(([, text]) => text.length > 0);
+
+        // Each value is null-terminated and padded to an even length
+        const fieldSize = (text) => 8 + text.length + 1 + ((text.length + 1) % 2);
+        const listSize = 4 + fields.reduce((sum, [, text]) => sum + fieldSize(text), 0);
+        const padding = blob.size % 2;
+
+        const view = new DataView(new ArrayBuffer(8 + listSize));
+        let offset = 0;
+        const writeString = (value) => {
+            for (let i = 0; i < value.length; i++) {
+                view.setUint8(offset++, value.charCodeAt(i));
+            }
+        };
+        writeString('LIST');
+        view.setUint32(offset, listSize, true);
+        offset += 4;
+        writeString('INFO');
+        for (const [id, text] of fields) {
+            writeString(id);
+            view.setUint32(offset, text.length + 1, true);
+            offset += 4;
+            new Uint8Array(view.buffer, offset, text.length).set(text);
+            offset += fieldSize(text) - 8;
+        }
+
+        const header = new DataView(new ArrayBuffer(12));
+        new Uint8Array(header.buffer).set(encoder.encode('RIFF'), 0);
+        header.setUint32(4, blob.size - 8 + padding + view.byteLength, true);
+        new Uint8Array(header.buffer).set(encoder.encode('WAVE'), 8);
+
+        return new Blob(
+            [header, blob.slice(12), new Uint8Array(padding), view],
+            { type: 'audio/wav' }
+        );
+    }
+}
+
+TakeMetadata.defaultTemplate = '{date}_{title}.{ext}';
+
+// RIFF INFO fields written into WAV exports
+TakeMetadata.infoFields = {
+    INAM: (metadata) => metadata.title,
+    IKEY: (metadata) => metadata.tags.join('; '),
+    ICMT: (metadata) => metadata.notes,
+    ICRD: (metadata) => metadata.recordedAt,
+    ILNG: (metadata) => metadata.language,
+    ISRF: (metadata) => metadata.device,
+    ISFT: (metadata) => {
+        const browser = metadata.browser;
+        return `Tech Vistara Voice Recorder${browser ? ` (${browser.name} ${browser.version})` : ''}`;
+    }
+};
@@ -0,0 +1,51 @@
+// AudioWorklet for the processing chain's noise gate. Loaded with
+// audioWorklet.addModule(), so it runs in the audio rendering thread.
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.envelope = 0;
+        this.gain = 0;
+        this.holdSamples = 0;
+
+        const coefficient = (seconds) => 1 - Math.exp(-1 / (sampleRate * seconds));
+        this.envelopeAttack = coefficient(0.002);
+        this.envelopeRelease = coefficient(0.05);
+        this.gateOpen = coefficient(0.005);
+        this.gateClose = coefficient(0.08);
+        this.hold = Math.round(sampleRate * 0.15);  // Bridges short pauses between words
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (input.length === 0) return true;
+
+        const threshold = Math.pow(10, parameters.threshold[0] / 20);
+        for (let i = 0; i < input[0].length; i++) {
+            let level = 0;
+            for (const channel of input) {
+                level = Math.max(level, Math.abs(channel[i]));
+            }
+            this.envelope += (level > this.envelope ? this.envelopeAttack : this.envelopeRelease) * (level - this.envelope);
+
+            if (this.envelope >= threshold) {
+                this.holdSamples = this.hold;
+            } else if (this.holdSamples > 0) {
+                this.holdSamples--;
+            }
+            const target = this.holdSamples > 0 ? 1 : 0;
+            this.gain += (target > this.gain ? this.gateOpen : this.gateClose) * (target - this.gain);
+
+            for (let channel = 0; channel < input.length; channel++) {
+                output[channel][i] = input[channel][i] * this.gain;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('noise-gate', NoiseGateProcessor);
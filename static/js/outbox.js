@@ -0,0 +1,113 @@
+// Takes that couldn't be uploaded for want of a connection, sent once it
+// comes back. The takes are the library's own IndexedDB records, so the
+// outbox survives reloads; a record is in it while its syncStatus is
+// 'queued' (or 'uploading', if the tab closed mid-upload). `upload` sends one
+// record and resolves with the server's recording. Every recorder on the page
+// and every open tab has an outbox over the same records, so each record is
+// claimed with a Web Lock before it's sent and only one of them sends it.
+class UploadOutbox {
+    constructor({ library, upload, onUploaded = null, options = {} }) {
+        this.library = library;
+        this.upload = upload;
+        this.onUploaded = onUploaded;
+
+        // "Online" on a weak mobile signal doesn't mean requests get through,
+        // so failures are retried on a timer as well as on the online event
+        this.retryDelay = options.retryDelay ?? 15000;
+        this.maxRetryDelay = options.maxRetryDelay ?? 5 * 60 * 1000;
+
+        this.failures = 0;
+        this.retryTimeout = null;
+        this.flushPromise = null;
+
+        this.handleOnline = () => {
+            this.failures = 0;
+            this.flush();
+        };
+        window.addEventListener('online', this.handleOnline);
+    }
+
+    destroy() {
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.retryTimeout);
+    }
+
+    get pending() {
+        return this.library.records
+            .filter(record => record.syncStatus === 'queued' || record.syncStatus === 'uploading')
+            // Oldest first, so takes reach the server in the order they were made
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async add(recordId) {
+        await this.library.setSyncStatus(recordId, 'queued');
+        if (navigator.onLine) this.scheduleRetry();
+    }
+
+    flush() {
+        if (!this.flushPromise) {
+            this.flushPromise = this.drain().finally(() => {
+                this.flushPromise = null;
+            });
+        }
+        return this.flushPromise;
+    }
+
+    async drain() {
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = null;
+
+        const tried = new Set();
+        let record;
+        while (navigator.onLine && (record = this.pending.find(item => !tried.has(item.id)))) {
+            tried.add(record.id);
+            const carryOn = await this.claim(record);
+            if (!carryOn) return;
+        }
+    }
+
+    // Resolves with false once a failed upload has been put off until later
+    async claim(record) {
+        if (!navigator.locks) return this.send(record);
+        return navigator.locks.request(UploadOutbox.lockName(record.id), { ifAvailable: true },
+            // Held elsewhere: that recorder or tab is sending it
+            lock => lock ? this.send(record) : true);
+    }
+
+    async send(record) {
+        // It may have been sent or deleted elsewhere since the library was loaded
+        const current = await this.library.reload(record.id);
+        if (!current || !['queued', 'uploading'].includes(current.syncStatus)) return true;
+
+        await this.library.setSyncStatus(record.id, 'uploading');
+        try {
+            const result = await this.upload(current);
+            this.failures = 0;
+            await this.library.setSyncStatus(record.id, 'synced', { remoteId: result.id });
+            if (this.onUploaded) this.onUploaded(current, result);
+            return true;
+        } catch (error) {
+            if (!error.retryable) {
+                // Refused by the server (too large, unsupported...); retrying won't help
+                console.error('Queued upload was refused:', error);
+                await this.library.setSyncStatus(record.id, 'failed', { syncError: error.message });
+                return true;
+            }
+            console.warn('Queued upload failed, will retry:', error);
+            await this.library.setSyncStatus(record.id, 'queued');
+            this.scheduleRetry();
+            return false;
+        }
+    }
+
+    scheduleRetry() {
+        const delay = Math.min(this.retryDelay * 2 ** this.failures, this.maxRetryDelay);
+        this.failures++;
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = setTimeout(() => this.flush(), delay);
+    }
+
+    static lockName(recordId) {
+        return `upload-outbox-${recordId}`;
+    }
+}
@@ -0,0 +1,340 @@
+// Optional Web Audio processing between the microphone and MediaRecorder:
+// input gain -> high-pass filter -> noise gate -> compressor/limiter.
+class ProcessingChain {
+    constructor(options = {}) {
+        this.workletUrl = options.workletUrl || '/static/js/noise-gate-processor.js';
+        this.settings = { ...ProcessingChain.defaults };
+        this.audioContext = null;
+        this.nodes = null;
+    }
+
+    async attach(audioContext) {
+        this.detach();
+
+        const nodes = {
+            input: audioContext.createGain(),
+            gain: audioContext.createGain(),
+            highPass: audioContext.createBiquadFilter(),
+            noiseGate: null,
+            compressor: audioContext.createDynamicsCompressor(),
+            output: audioContext.createGain()
+        };
+        nodes.highPass.type = 'highpass';
+        nodes.highPass.Q.value = Math.SQRT1_2;
+
+        try {
+            await audioContext.audioWorklet.addModule(this.workletUrl);
+            nodes.noiseGate = new AudioWorkletNode(audioContext, 'noise-gate');
+        } catch (error) {
+            console.warn('Noise gate unavailable:', error);
+        }
+
+        this.audioContext = audioContext;
+        this.nodes = nodes;
+        this.apply();
+        return { input: nodes.input, output: nodes.output };
+    }
+
+    detach() {
+        if (this.nodes) {
+            Object.values(this.nodes).forEach(node => node?.disconnect());
+        }
+        this.nodes = null;
+        this.audioContext = null;
+    }
+
+    update(settings) {
+        this.settings = { ...this.settings, ...settings };
+        if (this.nodes) this.apply();
+    }
+
+    apply() {
+        const { input, gain, highPass, noiseGate, compressor, output } = this.nodes;
+        const settings = this.settings;
+        const now = this.audioContext.currentTime;
+
+        // Ramp rather than jump, so adjusting a slider mid-take doesn't click
+        gain.gain.setTargetAtTime(Math.pow(10, settings.inputGain / 20), now, 0.02);
+        highPass.frequency.setTargetAtTime(settings.highPassFrequency, now, 0.02);
+        noiseGate?.parameters.get('threshold').setValueAtTime(settings.noiseGateThreshold, now);
+
+        const dynamics = settings.compressorMode === 'limiter'
+            ? { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }
+            : { threshold: settings.compressorThreshold, knee: 10, ratio: 4, attack: 0.01, release: 0.25 };
+        Object.entries(dynamics).forEach(([param, value]) => compressor[param].setValueAtTime(value, now));
+
+        const stages = settings.enabled ? [
+            gain,
+            settings.highPassEnabled && highPass,
+            settings.noiseGateEnabled && noiseGate,
+            settings.compressorMode !== 'off' && compressor
+        ].filter(Boolean) : [];
+
+        [input, gain, highPass, noiseGate, compressor].forEach(node => node?.disconnect());
+        [input, ...stages, output].reduce((from, to) => {
+            from.connect(to);
+            return to;
+        });
+    }
+}
+
+ProcessingChain.defaults = {
+    enabled: false,
+    inputGain: 0,            // dB
+    highPassEnabled: true,
+    highPassFrequency: 80,   // Hz
+    noiseGateEnabled: false,
+    noiseGateThreshold: -50, // dBFS
+    compressorMode: 'compressor',
+    compressorThreshold: -24 // dBFS
+};
+
+// Shown under the processing.builtIn.* messages, see ProcessingPanel.renderPresets
+ProcessingChain.presets = {
+    quietLaptop: {
+        enabled: true, inputGain: 12, highPassEnabled: true, highPassFrequency: 100,
+        noiseGateEnabled: true, noiseGateThreshold: -55, compressorMode: 'compressor', compressorThreshold: -30
+    },
+    podcastVoice: {
+        enabled: true, inputGain: 0, highPassEnabled: true, highPassFrequency: 80,
+        noiseGateEnabled: false, noiseGateThreshold: -50, compressorMode: 'compressor', compressorThreshold: -20
+    },
+    noisyRoom: {
+        enabled: true, inputGain: 0, highPassEnabled: true, highPassFrequency: 150,
+        noiseGateEnabled: true, noiseGateThreshold: -40, compressorMode: 'limiter', compressorThreshold: -24
+    }
+};
+
+// Settings panel for the chain. Every control carries data-setting="<key>";
+// the current settings and saved presets are remembered in localStorage,
+// under the keys in `storageKeys`.
+class ProcessingPanel {
+    constructor({ container, presetSelect, saveButton, deleteButton, chain, storageKeys = {}, signal, t }) {
+        this.container = container;
+        this.storageKeys = { presets: 'processingPresets', settings: 'processingSettings', ...storageKeys };
+        this.presetSelect = presetSelect;
+        this.saveButton = saveButton;
+        this.deleteButton = deleteButton;
+        this.chain = chain;
+        this.t = t;  // Translates message keys, see Localizer
+        this.signal = signal;  // Aborting it removes every listener added here
+        this.controls = Array.from(container.querySelectorAll('[data-setting]'));
+
+        this.userPresets = this.load(this.storageKeys.presets) || {};
+        this.chain.update(this.load(this.storageKeys.settings) || {});
+
+        this.controls.forEach(control => {
+            control.addEventListener('input', () => this.handleControlChange(), { signal });
+        });
+        this.presetSelect.addEventListener('change', () => this.applyPreset(this.presetSelect.value), { signal });
+        this.saveButton.addEventListener('click', () => this.savePreset(), { signal });
+        this.deleteButton.addEventListener('click', () => this.deletePreset(), { signal });
+
+        this.renderPresets();
+        this.writeControls();
+    }
+
+    handleControlChange() {
+        const settings = {};
+        this.controls.forEach(control => {
+            const key = control.dataset.setting;
+            if (control.type === 'checkbox') {
+                settings[key] = control.checked;
+            } else if (control.type === 'range') {
+                settings[key] = Number(control.value);
+            } else {
+                settings[key] = control.value;
+            }
+        });
+
+        this.chain.update(settings);
+        this.save(this.storageKeys.settings, this.chain.settings);
+        this.presetSelect.value = '';
+        this.updateValueLabels();
+        this.deleteButton.disabled = true;
+    }
+
+    writeControls() {
+        this.controls.forEach(control => {
+            const value = this.chain.settings[control.dataset.setting];
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+        });
+        this.updateValueLabels();
+    }
+
+    updateValueLabels() {
+        const units = { inputGain: ' dB', highPassFrequency: ' Hz', noiseGateThreshold: ' dB', compressorThreshold: ' dB' };
+        this.container.querySelectorAll('[data-setting-value]').forEach(label => {
+            const key = label.dataset.settingValue;
+            const value = this.chain.settings[key];
+            label.textContent = `${key === 'inputGain' && value > 0 ? '+' : ''}${value}${units[key] || ''}`;
+        });
+
+        const settings = this.chain.settings;
+        this.container.querySelector('[data-setting="highPassFrequency"]').disabled = !settings.highPassEnabled;
+        this.container.querySelector('[data-setting="noiseGateThreshold"]').disabled = !settings.noiseGateEnabled;
+        this.container.querySelector('[data-setting="compressorThreshold"]').disabled = settings.compressorMode !== 'compressor';
+    }
+
+    renderPresets() {
+        // Re-rendered when the language changes, so keep whatever is chosen
+        const selected = this.presetSelect.value;
+        this.presetSelect.innerHTML = '';
+        this.presetSelect.add(new Option(this.t('processing.custom'), ''));
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = this.t('processing.presets');
+        Object.keys(ProcessingChain.presets).forEach(name => {
+            builtIn.appendChild(new Option(this.t(`processing.builtIn.${name}`), `preset:${name}`));
+        });
+        this.presetSelect.appendChild(builtIn);
+
+        const names = Object.keys(this.userPresets);
+        if (names.length > 0) {
+            const saved = document.createElement('optgroup');
+            saved.label = this.t('processing.saved');
+            names.forEach(name => saved.appendChild(new Option(name, `user:${name}`)));
+            this.presetSelect.appendChild(saved);
+        }
+        this.presetSelect.value = selected;
+        if (this.presetSelect.selectedIndex < 0) this.presetSelect.value = '';
+        this.deleteButton.disabled = !this.presetSelect.value.startsWith('user:');
+    }
+
+    applyPreset(value) {
+        const [source, ...rest] = value.split(':');
+        const name = rest.join(':');
+        const preset = source === 'preset' ? ProcessingChain.presets[name] : this.userPresets[name];
+        this.deleteButton.disabled = source !== 'user';
+        if (!preset) return;
+
+        this.chain.update({ ...ProcessingChain.defaults, ...preset });
+        this.save(this.storageKeys.settings, this.chain.settings);
+        this.writeControls();
+    }
+
+    savePreset() {
+        const name = prompt(this.t('processing.namePreset'))?.trim();
+        if (!name) return;
+
+        this.userPresets[name] = { ...this.chain.settings };
+        this.save(this.storageKeys.presets, this.userPresets);
+        this.renderPresets();
+        this.presetSelect.value = `user:${name}`;
+        this.deleteButton.disabled = false;
+    }
+
+    deletePreset() {
+        const value = this.presetSelect.value;
+        if (!value.startsWith('user:')) return;
+
+        delete this.userPresets[value.slice('user:'.length)];
+        this.save(this.storageKeys.presets, this.userPresets);
+        this.renderPresets();
+    }
+
+    load(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            console.error(`Error loading ${key}:`, e);
+            return null;
+        }
+    }
+
+    save(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.error(`Error persisting ${key}:`, e);
+        }
+    }
+}
+
+// Integrated loudness per ITU-R BS.1770: K-weighted, 400 ms blocks with
+// 75% overlap, an absolute gate at -70 LUFS and a relative gate 10 LU down.
+class LoudnessNormalizer {
+    static async measure(buffer) {
+        const OfflineContextClass = AudioTranscoder.getOfflineContextClass();
+        const context = new OfflineContextClass(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        // Web Audio approximation of the K-weighting pre-filter and RLB high-pass
+        const shelf = context.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1681.97;
+        shelf.gain.value = 4;
+        const highPass = context.createBiquadFilter();
+        highPass.type = 'highpass';
+        highPass.frequency.value = 38.13;
+        highPass.Q.value = 0.5;
+
+        source.connect(shelf).connect(highPass).connect(context.destination);
+        source.start();
+        const weighted = await context.startRendering();
+
+        const channels = Array.from({ length: weighted.numberOfChannels }, (_, i) => weighted.getChannelData(i));
+        const blockSize = Math.min(weighted.length, Math.round(weighted.sampleRate * 0.4));
+        const step = Math.max(1, Math.round(blockSize / 4));
+        const blocks = [];
+        for (let start = 0; start + blockSize <= weighted.length; start += step) {
+            let power = 0;
+            for (const data of channels) {
+                let sum = 0;
+                for (let i = start; i < start + blockSize; i++) {
+                    sum += data[i] * data[i];
+                }
+                power += sum / blockSize;
+            }
+            blocks.push(power);
+        }
+
+        const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const audible = blocks.filter(power => toLufs(power) > -70);
+        if (audible.length === 0) return -Infinity;
+        const relativeGate = toLufs(mean(audible)) - 10;
+        const gated = audible.filter(power => toLufs(power) > relativeGate);
+        return toLufs(mean(gated));
+    }
+
+    static async normalize(blob, { sampleRate, target = -16 }) {
+        const buffer = await AudioTranscoder.decode(blob, sampleRate);
+        const loudness = await LoudnessNormalizer.measure(buffer);
+        if (!isFinite(loudness)) {
+            throw Object.assign(new Error('The recording is too quiet to measure'), { code: 'tooQuiet' });
+        }
+        const gainDb = target - loudness;
+
+        // Apply the gain and catch the peaks it pushes over -1 dBFS
+        const OfflineContextClass = AudioTranscoder.getOfflineContextClass();
+        const context = new OfflineContextClass(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        const gain = context.createGain();
+        gain.gain.value = Math.pow(10, gainDb / 20);
+        const limiter = context.createDynamicsCompressor();
+        limiter.threshold.value = -1;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.001;
+        limiter.release.value = 0.1;
+
+        source.connect(gain).connect(limiter).connect(context.destination);
+        source.start();
+        const result = await context.startRendering();
+
+        return {
+            blob: AudioTranscoder.encodeWav(result),
+            duration: result.duration,
+            loudness,
+            gainDb
+        };
+    }
+}
@@ -1,14 +1,61 @@
-class AudioRecorder {
-    constructor() {
+// Pass { container } to look the recorder's elements up inside that element
+// or shadow root instead of the document, or { elements: { recordButton, ... } }
+// to hand individual elements over directly. { id } keeps the instance's saved
+// conversation and upload session apart from other recorders on the page.
+// { baseUrl } is the recorder's server, by default the one this script came from.
+class AudioRecorder extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.root = options.container || document;
+        this.baseUrl = new URL(options.baseUrl || AudioRecorder.defaultBaseUrl, window.location.href).href;
+        this.listeners = new AbortController();
+        this.state = 'idle';
+        this.permissionState = null;
+        this.permissionStatus = null;
+
         // Core properties
         this.mediaRecorder = null;
         this.audioChunks = [];
-        this.isRecording = false;
-        this.permissionGranted = false;
         this.retryAttempts = 0;
         this.maxRetryAttempts = 3;
         this.connectionMonitorInterval = null;
         this.streamRetryTimeout = null;
+        this.lastRecording = null;
+        this.uploader = new RecordingUploader({ endpoint: this.url('api/recordings') });
+        this.streamingUpload = null;
+        this.liveTurn = null;
+        this.liveReplyTurn = null;
+        this.streamingPlayer = new StreamingAudioPlayer();
+        this.bargeIn = null;
+        this.bargeInTimeout = null;
+        this.duckedReply = null;
+        this.ownsStream = true;
+        this.handsFreeStream = null;
+        this.vad = null;
+        this.inputStream = null;
+        this.systemStream = null;
+        // Sharing another tab's or the system's audio; not offered on mobile browsers
+        this.canCaptureSystemAudio = Boolean(navigator.mediaDevices?.getDisplayMedia);
+        this.processingChain = new ProcessingChain({ workletUrl: this.url('static/js/noise-gate-processor.js') });
+        this.inputRouter = new InputRouter({ chain: this.processingChain });
+        this.segments = [];
+        this.segmentTarget = { mode: 'new' };
+        this.segmentStartedAt = 0;
+        this.segmentDuration = 0;
+        this.pausedAt = null;
+        this.pausedMs = 0;
+        this.takeLibraryId = null;
+        this.takeHistory = [];
+        this.database = new LocalDatabase();
+        this.journal = null;
+        this.announceTimeout = null;
+        this.recordedBytes = 0;
+        this.limitInterval = null;
+        this.limitWarned = false;
+        this.countdownTimeout = null;
+        this.cancelCountdown = null;
+        this.trackInfo = null;
         
         // Browser detection
         this.browserInfo = this.detectBrowser();
@@ -20,22 +67,424 @@ class AudioRecorder {
             getUserMedia: navigator.mediaDevices && 'getUserMedia' in navigator.mediaDevices
         };
         
+        // Other components render their text through this, so it comes first
+        this.localizer = new Localizer({
+            select: this.element('localeSelect'),
+            spokenSelect: this.element('spokenLanguageSelect'),
+            storageKey: this.storageKey('locale'),
+            onChange: () => this.applyLocale()
+        });
+        this.t = (key, params) => this.localizer.t(key, params);
+
         // DOM elements
-        this.recordButton = document.getElementById('recordButton');
-        this.stopButton = document.getElementById('stopButton');
-        this.statusIndicator = document.getElementById('statusIndicator');
-        this.audioPlayer = document.getElementById('audioPlayer');
-        this.audioContainer = document.getElementById('audioContainer');
-        this.downloadButton = document.getElementById('downloadButton');
-        this.permissionSection = document.getElementById('permissionSection');
-        this.permissionButton = document.getElementById('permissionButton');
-        this.browserInstructions = document.getElementById('browserInstructions');
+        this.recordButton = this.element('recordButton');
+        this.stopButton = this.element('stopButton');
+        this.pauseButton = this.element('pauseButton');
+        this.pauseLabel = this.pauseButton.querySelector('[data-i18n]');
+        this.statusIndicator = this.element('statusIndicator');
+        this.statusAnnouncer = this.element('statusAnnouncer');
+        this.alertAnnouncer = this.element('alertAnnouncer');
+        this.audioPlayer = this.element('audioPlayer');
+        this.audioContainer = this.element('audioContainer');
+        this.downloadButton = this.element('downloadButton');
+        this.permissionSection = this.element('permissionSection');
+        this.permissionButton = this.element('permissionButton');
+        this.browserInstructions = this.element('browserInstructions');
+        this.uploadProgress = this.element('uploadProgress');
+        this.uploadProgressBar = this.element('uploadProgressBar');
+        this.uploadStatus = this.element('uploadStatus');
+        this.retryUploadButton = this.element('retryUploadButton');
+        this.uploadTakeButton = this.element('uploadTakeButton');
+        this.segmentList = this.element('segmentList');
+        this.appendSegmentButton = this.element('appendSegmentButton');
+        this.trimButton = this.element('trimButton');
+        this.recoverySection = this.element('recoverySection');
+        this.recoveryList = this.element('recoveryList');
+        this.conversationThread = this.element('conversationThread');
+        this.newConversationButton = this.element('newConversationButton');
+        this.liveConversationToggle = this.element('liveConversationToggle');
+        this.bargeInToggle = this.element('bargeInToggle');
+        this.handsFreeToggle = this.element('handsFreeToggle');
+        this.silenceDuration = this.element('silenceDuration');
+        this.silenceDurationLabel = this.element('silenceDurationLabel');
+        this.waveformCanvas = this.element('waveformCanvas');
+        this.levelMeter = this.element('levelMeter');
+        this.levelWarning = this.element('levelWarning');
+        this.elapsedTime = this.element('elapsedTime');
+        this.countdownDisplay = this.element('countdownDisplay');
+        this.limitWarning = this.element('limitWarning');
+        this.captureWarning = this.element('captureWarning');
+        this.captureSource = this.element('captureSource');
+        this.captureSourceHint = this.element('captureSourceHint');
+        this.microphoneLevel = this.element('microphoneLevel');
+        this.microphoneLevelValue = this.element('microphoneLevelValue');
+        this.systemLevel = this.element('systemLevel');
+        this.systemLevelValue = this.element('systemLevelValue');
+        this.offlineNotice = this.element('offlineNotice');
+        this.exportFormat = this.element('exportFormat');
+        this.exportSampleRate = this.element('exportSampleRate');
+        this.exportChannels = this.element('exportChannels');
+        this.exportFilename = this.element('exportFilename');
+        this.exportMetadata = this.element('exportMetadata');
+        this.exportSplitTracks = this.element('exportSplitTracks');
+        this.splitTracksOption = this.element('splitTracksOption');
+        this.takeTitle = this.element('takeTitle');
+        this.takeTags = this.element('takeTags');
+        this.takeNotes = this.element('takeNotes');
+        this.deviceSelect = this.element('deviceSelect');
+
+        this.diagnostics = new DiagnosticsPanel({
+            container: this.element('diagnosticsPanel'),
+            summary: this.element('diagnosticsSummary'),
+            log: this.element('diagnosticsLog'),
+            copyButton: this.element('copyDiagnosticsButton'),
+            status: this.element('diagnosticsStatus'),
+            collect: () => this.collectDiagnostics(),
+            t: this.t,
+            getLocale: () => this.localizer.locale
+        });
+
+        this.library = new RecordingLibrary({
+            database: this.database,
+            list: this.element('libraryList'),
+            quotaDisplay: this.element('libraryQuota'),
+            exportButton: this.element('exportSelectedButton'),
+            deleteButton: this.element('deleteSelectedButton'),
+            onUpload: (record) => this.uploadLibraryRecord(record),
+            getFileSettings: () => this.getFileSettings(),
+            signal: this.listeners.signal,
+            t: this.t,
+            getLocale: () => this.localizer.locale
+        });
+
+        this.outbox = new UploadOutbox({
+            library: this.library,
+            upload: (record) => this.uploadLibraryRecord(record),
+            onUploaded: (record, result) => this.handleQueuedUpload(record, result)
+        });
+
+        this.deviceManager = new DeviceManager({
+            select: this.deviceSelect,
+            toggles: {
+                echoCancellation: this.element('echoCancellationToggle'),
+                noiseSuppression: this.element('noiseSuppressionToggle'),
+                autoGainControl: this.element('autoGainControlToggle')
+            },
+            onSelectionChange: () => this.handleDeviceSelectionChange(),
+            onDevicesChange: () => this.checkActiveDevice(),
+            storageKeys: {
+                deviceId: this.storageKey('microphoneDeviceId'),
+                processing: this.storageKey('microphoneProcessing')
+            },
+            signal: this.listeners.signal,
+            t: this.t
+        });
+
+        this.visualizer = new AudioVisualizer({
+            canvas: this.waveformCanvas,
+            meter: this.levelMeter,
+            onWarning: (warning) => this.showLevelWarning(warning),
+            onLevel: (level) => this.emit('level', level)
+        });
+
+        this.replyPlayer = new ReplyPlayer({
+            voiceSelect: this.element('replyVoice'),
+            rateInput: this.element('replyRate'),
+            rateOutput: this.element('replyRateValue'),
+            pitchInput: this.element('replyPitch'),
+            pitchOutput: this.element('replyPitchValue'),
+            autoplaySelect: this.element('replyAutoplay'),
+            storageKey: this.storageKey('replyPlayback'),
+            getLanguage: () => this.localizer.speechLanguage,
+            onChange: () => this.conversation.renderPlayback(),
+            t: this.t
+        });
+
+        this.conversation = new Conversation({
+            container: this.conversationThread,
+            provider: this.createReplyProvider(),
+            player: this.replyPlayer,
+            baseUrl: this.baseUrl,
+            storageKey: this.storageKey('conversationThread'),
+            t: this.t,
+            getLocale: () => this.localizer.locale
+        });
+
+        this.processingPanel = new ProcessingPanel({
+            container: this.element('processingSettings'),
+            presetSelect: this.element('processingPreset'),
+            saveButton: this.element('saveProcessingPresetButton'),
+            deleteButton: this.element('deleteProcessingPresetButton'),
+            chain: this.processingChain,
+            storageKeys: {
+                presets: this.storageKey('processingPresets'),
+                settings: this.storageKey('processingSettings')
+            },
+            signal: this.listeners.signal,
+            t: this.t
+        });
+
+        this.trimEditor = new TrimEditor({
+            container: this.element('trimEditor'),
+            canvas: this.element('trimCanvas'),
+            rangeLabel: this.element('trimRange'),
+            buttons: {
+                trimSilence: this.element('trimSilenceButton'),
+                preview: this.element('previewTrimButton'),
+                apply: this.element('applyTrimButton'),
+                undo: this.element('undoTrimButton')
+            },
+            onApply: (blob, duration) => this.applyEdit(blob, duration),
+            onUndo: () => this.undoEdit(),
+            t: this.t
+        });
+        this.normalizeButton = this.element('normalizeButton');
+        this.loudnessTarget = this.element('loudnessTarget');
+        this.loudnessStatus = this.element('loudnessStatus');
+
+        this.transcript = new TranscriptView({
+            container: this.element('transcriptSection'),
+            wordList: this.element('transcriptWords'),
+            status: this.element('transcriptStatus'),
+            player: this.audioPlayer,
+            provider: new ServerTranscriptionProvider({ endpoint: this.url('api/transcriptions') }),
+            downloadButtons: {
+                txt: this.element('transcriptTxtButton'),
+                srt: this.element('transcriptSrtButton'),
+                vtt: this.element('transcriptVttButton')
+            },
+            t: this.t
+        });
+
+        this.limits = new RecordingLimits({
+            durationSelect: this.element('maxDurationSelect'),
+            sizeSelect: this.element('maxSizeSelect'),
+            countdownSelect: this.element('countdownSelect'),
+            endpoint: this.url('api/recordings/limits'),
+            storageKey: this.storageKey('recordingLimits'),
+            t: this.t
+        });
+
+        this.shortcuts = new KeyboardShortcuts({
+            // An embedded recorder only answers keys pressed while focus is inside it
+            target: this.options.container || document,
+            list: this.element('shortcutList'),
+            resetButton: this.element('resetShortcutsButton'),
+            pushToTalkToggle: this.element('pushToTalkToggle'),
+            onPushToTalk: (pressed) => this.handlePushToTalk(pressed),
+            storageKey: this.storageKey('keyboardShortcuts'),
+            signal: this.listeners.signal,
+            t: this.t,
+            actions: {
+                toggleRecord: { label: 'shortcuts.toggleRecord', button: this.recordButton, run: () => this.toggleRecording() },
+                stop: { label: 'shortcuts.stop', button: this.stopButton, run: () => this.stopRecording() },
+                pause: { label: 'shortcuts.pause', button: this.pauseButton, run: () => this.togglePause() },
+                play: { label: 'shortcuts.play', button: this.audioPlayer, run: () => this.togglePlayback() },
+                download: { label: 'shortcuts.download', button: this.downloadButton, run: () => this.downloadRecording() }
+            }
+        });
 
         // Initialize recorder
         this.initializeRecorder();
     }
 
+    element(id) {
+        return this.options.elements?.[id] || this.root.querySelector(`#${id}`);
+    }
+
+    // Server paths are relative to baseUrl, so a recorder embedded in another
+    // site's page still talks to its own server
+    url(path) {
+        return new URL(path, this.baseUrl).href;
+    }
+
+    storageKey(name) {
+        return this.options.id ? `${name}:${this.options.id}` : name;
+    }
+
+    emit(type, detail = {}) {
+        // Levels and audio data arrive many times a second and would drown out the rest
+        if (type !== 'level' && type !== 'data') {
+            this.diagnostics.log(type, detail);
+        }
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // Recorder state machine; see AudioRecorder.transitions at the end of the file
+
+    get isRecording() {
+        return this.state === 'recording' || this.state === 'paused';
+    }
+
+    get isBusy() {
+        return this.isRecording || this.state === 'countdown' || this.state === 'processing';
+    }
+
+    get permissionGranted() {
+        return this.permissionState === 'granted';
+    }
+
+    canTransition(state) {
+        return state === this.state || AudioRecorder.transitions[this.state].includes(state);
+    }
+
+    transition(state) {
+        if (!this.canTransition(state)) {
+            console.warn(`Ignoring illegal state change: ${this.state} -> ${state}`);
+            return false;
+        }
+
+        const previousState = this.state;
+        // Only a document or shadow root knows its focused element, not a plain container
+        const focused = this.root.activeElement ?? document.activeElement;
+        const permissionFocused = this.permissionSection.contains(focused);
+        this.state = state;
+        this.renderState();
+
+        // Don't strand keyboard focus in the permission section once it hides,
+        // and bring it back there when a permission request fails
+        if (permissionFocused && this.permissionSection.classList.contains('d-none')) {
+            this.recordButton.focus();
+        } else if (previousState === 'requesting-permission' && !this.permissionGranted) {
+            this.permissionButton.focus();
+        }
+        if (state !== previousState) {
+            this.emit('statechange', { state, previousState });
+        }
+        return true;
+    }
+
+    renderState() {
+        const state = this.state;
+        const canRecord = this.canTransition('recording') && !this.isBusy;
+
+        this.recordButton.disabled = !canRecord && state !== 'idle';
+        // Stop also cancels a countdown
+        this.stopButton.disabled = !this.isRecording && state !== 'countdown';
+        this.pauseButton.disabled = !this.isRecording;
+        this.pauseLabel.dataset.i18n = state === 'paused' ? 'controls.resume' : 'controls.pause';
+        this.pauseLabel.textContent = this.t(this.pauseLabel.dataset.i18n);
+        [this.appendSegmentButton, this.trimButton, this.normalizeButton].forEach(button => {
+            button.disabled = this.isBusy;
+        });
+        this.segmentList.querySelectorAll('button').forEach(button => {
+            button.disabled = this.isBusy;
+        });
+
+        const needsPermission = !this.permissionGranted && ['idle', 'requesting-permission', 'error'].includes(state);
+        this.permissionSection.className =
+            `permission-section ${this.permissionState === 'denied' || state === 'error' ? 'error' : 'warning'}`;
+        this.permissionSection.classList.toggle('d-none', !needsPermission);
+        this.permissionButton.disabled = state === 'requesting-permission';
+
+        // Errors are reported with their own message by whoever raised them
+        if (AudioRecorder.stateMessages[state]) {
+            const [key, type] = AudioRecorder.stateMessages[state];
+            this.updateStatus(this.t(key), type);
+        }
+    }
+
+    // Re-renders everything with text in it after the interface language changes
+    applyLocale() {
+        this.localizer.apply(this.root);
+        this.renderSilenceDuration();
+        this.renderState();
+        this.limits.renderDurationOptions();
+        this.limits.renderSizeOptions();
+        this.shortcuts.render();
+        this.deviceManager.refresh();
+        this.replyPlayer.renderVoices();
+        this.renderExportFormats();
+        this.processingPanel.renderPresets();
+        this.trimEditor.refresh();
+        this.transcript.renderStatus();
+        this.conversation.render();
+        this.library.render();
+        if (this.diagnostics.container.open) this.diagnostics.render();
+        this.renderSegments();
+        this.checkForOrphans();
+        if (this.supportedMimeTypes) {
+            this.updateBrowserInstructions();
+        }
+    }
+
+    // Public API for pages that embed or script the recorder
+
+    start() {
+        return this.startRecording();
+    }
+
+    stop() {
+        this.stopRecording();
+    }
+
+    pause() {
+        if (this.mediaRecorder?.state === 'recording') this.togglePause();
+    }
+
+    resume() {
+        if (this.mediaRecorder?.state === 'paused') this.togglePause();
+    }
+
+    getBlob() {
+        return this.lastRecording?.blob || null;
+    }
+
+    toggleRecording() {
+        if (this.isRecording || this.state === 'countdown') {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    togglePlayback() {
+        if (!this.lastRecording) return;
+        if (this.audioPlayer.paused) {
+            this.audioPlayer.play().catch(error => console.error('Error playing recording:', error));
+        } else {
+            this.audioPlayer.pause();
+        }
+    }
+
+    async handlePushToTalk(pressed) {
+        if (!pressed) {
+            this.stopRecording();
+            return;
+        }
+        await this.startRecording(null, { mode: 'new' }, { countdown: false });
+        // Space may have been let go while the permission prompt was open
+        if (!this.shortcuts.pushToTalkHeld) this.stopRecording();
+    }
+
+    destroy() {
+        // A take in progress is stopped and still processed into the library
+        this.disarmHandsFree();
+        this.stopRecording();
+        this.stopConnectionMonitoring();
+        clearTimeout(this.streamRetryTimeout);
+
+        this.listeners.abort();
+        if (this.permissionStatus) {
+            this.permissionStatus.onchange = null;
+        }
+        this.deviceManager.destroy();
+        this.shortcuts.destroy();
+        this.outbox.destroy();
+        this.disarmBargeIn();
+        this.streamingPlayer.stop();
+        this.replyPlayer.destroy();
+        this.visualizer.destroy();
+        this.trimEditor.close();
+        this.inputRouter.close();
+        this.releaseSystemAudio();
+    }
+
     async initializeRecorder() {
+        this.localizer.apply(this.root);
+        this.renderSilenceDuration();
+        this.statusIndicator.textContent = this.t('status.checking');
+
         // Check browser compatibility
         const compatibilityCheck = this.checkBrowserCompatibility();
         if (!compatibilityCheck.supported) {
@@ -44,8 +493,17 @@ class AudioRecorder {
         }
 
         this.initializeEventListeners();
+        await this.limits.load();
+        this.uploader.maxBytes = this.limits.serverBytes;
         await this.checkInitialPermissions();
-        this.loadPersistedPermissionState();
+        if (!this.permissionState) {
+            this.loadPersistedPermissionState();
+        }
+        await this.deviceManager.refresh();
+        await this.library.load();
+        this.outbox.flush();
+        await this.checkForOrphans();
+        await this.recoverInterruptedUpload();
     }
 
     detectBrowser() {
@@ -85,7 +543,7 @@ class AudioRecorder {
         if (missingFeatures.length > 0) {
             return {
                 supported: false,
-                message: `Your browser is missing required features: ${missingFeatures.join(', ')}. Please use a modern browser.`
+                message: this.t('compatibility.missingFeatures', { features: missingFeatures.join(', ') })
             };
         }
 
@@ -95,11 +553,11 @@ class AudioRecorder {
         if (this.supportedMimeTypes.length === 0) {
             return {
                 supported: false,
-                message: 'Your browser does not support any of the required audio formats.'
+                message: this.t('compatibility.noFormats')
             };
         }
 
-        return { supported: true, message: 'Browser compatibility check passed' };
+        return { supported: true, message: this.t('compatibility.passed') };
     }
 
     getSupportedMimeTypes() {
@@ -143,219 +601,104 @@ class AudioRecorder {
         return supported;
     }
 
-    updateBrowserInstructions() {
-        let instructions = '';
-        
-        // Add mobile-specific instructions
-        if (this.browserInfo.isMobile) {
-            instructions = `
-                <ol class="text-start">
-                    <li>Tap the three dots menu in your browser</li>
-                    <li>Look for "Site Settings" or "Permissions"</li>
-                    <li>Enable microphone access for this site</li>
-                    <li>Refresh the page</li>
-                </ol>`;
-        } else {
-            switch(this.browserInfo.name) {
-                case 'chrome':
-                    instructions = `
-                        <ol class="text-start">
-                            <li>Click the camera icon in the address bar</li>
-                            <li>Select "Allow" for microphone access</li>
-                            <li>Refresh the page</li>
-                        </ol>`;
-                    break;
-                case 'firefox':
-                    instructions = `
-                        <ol class="text-start">
-                            <li>Click the microphone icon in the address bar</li>
-                            <li>Choose "Remember this decision"</li>
-                            <li>Click "Allow"</li>
-                        </ol>`;
-                    break;
-                case 'safari':
-                    instructions = `
-                        <ol class="text-start">
-                            <li>Click Safari > Preferences > Websites</li>
-                            <li>Find Microphone in the left sidebar</li>
-                            <li>Allow access for this website</li>
-                            <li>Refresh the page</li>
-                        </ol>`;
-                    break;
-                default:
-                    instructions = `
-                        <ol class="text-start">
-                            <li>Look for the microphone icon in your browser's address bar</li>
-                            <li>Click it and select "Allow"</li>
-                            <li>Refresh the page if needed</li>
-                        </ol>`;
-            }
-        }
-        
-        this.browserInstructions.innerHTML = `
-            <p class="mb-2"><strong>Browser-specific instructions:</strong></p>
-            ${instructions}
-            <p class="mt-3"><small>Supported formats: ${this.supportedMimeTypes.join(', ')}</small></p>`;
-    }
-
-    initializeEventListeners() {
-        this.recordButton.addEventListener('click', () => this.startRecording());
-        this.stopButton.addEventListener('click', () => this.stopRecording());
-        this.downloadButton.addEventListener('click', () => this.downloadRecording());
-        this.permissionButton.addEventListener('click', () => this.requestPermission());
-        
-        // Add audio player error handling
-        this.audioPlayer.addEventListener('error', (e) => {
-            console.error('Audio player error:', e);
-            this.updateStatus('Error playing audio. Please try recording again.', 'error');
-        });
+    collectDiagnostics() {
+        return {
+            state: this.state,
+            language: { interface: this.localizer.locale, spoken: this.localizer.speechLanguage },
+            browser: this.browserInfo,
+            features: this.supportedFeatures,
+            formats: {
+                supported: this.supportedMimeTypes || [],
+                chosen: this.primaryMimeType || null,
+                recorder: this.mediaRecorder?.mimeType || null
+            },
+            permission: {
+                state: this.permissionState,
+                // Null where the Permissions API can't be asked about the microphone
+                query: this.permissionStatus?.state || null
+            },
+            devices: {
+                selected: this.deviceManager.deviceId,
+                processing: this.deviceManager.processing,
+                available: this.deviceManager.devices.map(device => ({ label: device.label, deviceId: device.deviceId }))
+            },
+            track: this.trackInfo,
+            capture: this.captureSettings || null,
+            systemAudio: {
+                supported: this.canCaptureSystemAudio,
+                source: this.captureSource.value,
+                sharing: this.systemStream?.getAudioTracks()[0]?.label || null
+            },
+            limits: { maxDuration: this.limits.maxDuration, maxBytes: this.limits.maxBytes }
+        };
     }
 
-    async startRecording() {
-        if (!this.permissionGranted) {
-            await this.requestPermission();
-            if (!this.permissionGranted) return;
-        }
-
-        try {
-            const stream = await this.getAudioStream();
-            
-            if (!this.validateStream(stream)) {
-                throw new Error('Invalid audio stream');
-            }
+    // Steps for the user's browser in the interface language, built as DOM
+    // rather than HTML so translated text is never parsed as markup
+    updateBrowserInstructions() {
+        const heading = document.createElement('p');
+        heading.className = 'mb-2';
+        const strong = document.createElement('strong');
+        strong.textContent = this.t('permission.instructions');
+        heading.appendChild(strong);
 
-            // Try creating MediaRecorder with primary format
-            try {
-                this.mediaRecorder = new MediaRecorder(stream, {
-                    mimeType: this.primaryMimeType,
-                    audioBitsPerSecond: 128000
-                });
-            } catch (error) {
-                console.warn('Failed to create MediaRecorder with primary format:', error);
-                // Try fallback format
-                const fallbackFormat = this.supportedMimeTypes.find(type => type !== this.primaryMimeType);
-                if (!fallbackFormat) {
-                    throw new Error('No supported recording format available');
-                }
-                this.mediaRecorder = new MediaRecorder(stream, {
-                    mimeType: fallbackFormat,
-                    audioBitsPerSecond: 128000
-                });
-            }
-            
-            this.audioChunks = [];
-            this.isRecording = true;
-            
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.audioChunks.push(event.data);
-                }
-            };
-            
-            this.mediaRecorder.onstop = () => {
-                this.processRecording();
-            };
-            
-            this.mediaRecorder.start(1000);
-            this.updateUI(true);
-            this.startConnectionMonitoring();
-            
-        } catch (error) {
-            this.handleRecordingError(error);
-        }
-    }
+        const steps = document.createElement('ol');
+        steps.className = 'text-start';
+        this.t(`permissionHelp.${this.permissionHelpTopic()}`).forEach(step => {
+            const item = document.createElement('li');
+            item.textContent = step;
+            steps.appendChild(item);
+        });
 
-    stopRecording() {
-        if (this.mediaRecorder && this.isRecording) {
-            this.isRecording = false;
-            this.mediaRecorder.stop();
-            this.stopConnectionMonitoring();
-            
-            if (this.mediaRecorder.stream) {
-                this.releaseStream(this.mediaRecorder.stream);
-            }
-            
-            this.updateUI(false);
-        }
-    }
+        const formats = document.createElement('p');
+        formats.className = 'mt-3';
+        const small = document.createElement('small');
+        small.textContent = this.t('permission.supportedFormats', { formats: this.supportedMimeTypes.join(', ') });
+        formats.appendChild(small);
 
-    processRecording() {
-        if (this.audioChunks.length === 0) return;
-        
-        try {
-            const audioBlob = new Blob(this.audioChunks, { type: this.primaryMimeType });
-            const audioUrl = URL.createObjectURL(audioBlob);
-            
-            // Clean up old audio URL
-            if (this.audioPlayer.dataset.oldUrl) {
-                URL.revokeObjectURL(this.audioPlayer.dataset.oldUrl);
-            }
-            
-            this.audioPlayer.src = audioUrl;
-            this.audioPlayer.dataset.oldUrl = audioUrl;
-            this.audioContainer.classList.remove('d-none');
-            
-        } catch (error) {
-            console.error('Error processing recording:', error);
-            this.updateStatus('Error processing recording. Please try again.', 'error');
-        }
+        this.browserInstructions.replaceChildren(heading, steps, formats);
     }
 
-    downloadRecording() {
-        if (this.audioChunks.length === 0) return;
-        
-        try {
-            const audioBlob = new Blob(this.audioChunks, { type: this.primaryMimeType });
-            const url = URL.createObjectURL(audioBlob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            
-            // Get file extension from MIME type
-            const extension = this.primaryMimeType.split('/')[1].split(';')[0];
-            a.download = `recording.${extension}`;
-            
-            document.body.appendChild(a);
-            a.click();
-            
-            setTimeout(() => {
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }, 100);
-        } catch (error) {
-            console.error('Error downloading recording:', error);
-            this.updateStatus('Error downloading recording. Please try again.', 'error');
+    permissionHelpTopic() {
+        if (this.browserInfo.isMobile) {
+            return /iphone|ipad|ipod/i.test(navigator.userAgent) ? 'ios' : 'android';
         }
+        return ['chrome', 'firefox', 'safari'].includes(this.browserInfo.name) ? this.browserInfo.name : 'default';
     }
 
-    updateUI(recording) {
-        this.recordButton.disabled = recording;
-        this.stopButton.disabled = !recording;
-        this.statusIndicator.textContent = recording ? 'Recording...' : 'Ready to record';
-        this.statusIndicator.className = `status-indicator ${recording ? 'recording' : ''}`;
-    }
-
-    updateStatus(message, type = 'info') {
-        this.statusIndicator.textContent = message;
-        this.statusIndicator.className = `status-indicator ${type}`;
-    }
-
-    // Helper methods from previous implementation...
     async checkInitialPermissions() {
         try {
             const permissionStatus = await navigator.permissions.query({ name: 'microphone' });
+            this.permissionStatus = permissionStatus;
             
             permissionStatus.onchange = () => {
                 this.handlePermissionChange(permissionStatus.state);
                 this.persistPermissionState(permissionStatus.state);
             };
 
-            await this.handlePermissionChange(permissionStatus.state);
+            this.handlePermissionChange(permissionStatus.state);
             this.updateBrowserInstructions();
         } catch (error) {
             console.error('Error checking permissions:', error);
-            this.showPermissionSection('error');
-            this.updateStatus('Permission check failed. Please ensure your browser supports microphone access.', 'error');
+            this.renderState();
+            this.updateStatus(this.t('permission.checkFailed'), 'error');
+        }
+    }
+
+    loadSetting(name) {
+        try {
+            return localStorage.getItem(this.storageKey(name));
+        } catch (e) {
+            console.error(`Error loading ${name}:`, e);
+            return null;
+        }
+    }
+
+    saveSetting(name, value) {
+        try {
+            localStorage.setItem(this.storageKey(name), value);
+        } catch (e) {
+            console.error(`Error persisting ${name}:`, e);
         }
     }
 
@@ -378,49 +721,126 @@ class AudioRecorder {
         }
     }
 
-    async handlePermissionChange(state) {
-        switch (state) {
-            case 'granted':
-                this.permissionGranted = true;
-                this.hidePermissionSection();
-                this.recordButton.disabled = false;
-                this.updateStatus('Ready to record', 'success');
-                break;
-            case 'denied':
-                this.permissionGranted = false;
-                this.showPermissionSection('error');
-                this.updateStatus('Microphone access denied. Please grant permission to continue.', 'error');
-                break;
-            case 'prompt':
-                this.permissionGranted = false;
-                this.showPermissionSection('warning');
-                this.updateStatus('Microphone permission required', 'warning');
-                break;
+    handlePermissionChange(state) {
+        if (state !== this.permissionState) {
+            this.permissionState = state;
+            this.emit('permissionchange', { state });
         }
-    }
-
-    showPermissionSection(type = 'warning') {
-        this.permissionSection.classList.remove('d-none');
-        this.permissionSection.className = `permission-section ${type}`;
-        this.recordButton.disabled = true;
-    }
 
-    hidePermissionSection() {
-        this.permissionSection.classList.add('d-none');
-        this.recordButton.disabled = false;
+        if (state === 'granted') {
+            // A take or upload in progress keeps its state
+            if (['idle', 'requesting-permission', 'error'].includes(this.state)) {
+                this.transition('ready');
+            }
+            // Device labels only become visible once access is granted
+            this.deviceManager.refresh();
+        } else if (['denied', 'prompt'].includes(state)) {
+            this.transition('idle');
+            if (state === 'denied') {
+                this.updateStatus(this.t('permission.denied'), 'error');
+            }
+        }
     }
 
     initializeEventListeners() {
-        this.recordButton.addEventListener('click', () => this.startRecording());
-        this.stopButton.addEventListener('click', () => this.stopRecording());
-        this.downloadButton.addEventListener('click', () => this.downloadRecording());
-        this.permissionButton.addEventListener('click', () => this.requestPermission());
+        // Aborted by destroy(), so a discarded recorder stops reacting to its controls
+        const { signal } = this.listeners;
+        this.recordButton.addEventListener('click', () => this.startRecording(), { signal });
+        this.stopButton.addEventListener('click', () => this.stopRecording(), { signal });
+        this.downloadButton.addEventListener('click', () => this.downloadRecording(), { signal });
+        this.permissionButton.addEventListener('click', () => this.requestPermission(), { signal });
+        this.retryUploadButton.addEventListener('click', () => this.uploadRecording(), { signal });
+        this.uploadTakeButton.addEventListener('click', () => this.uploadRecording(), { signal });
+        this.pauseButton.addEventListener('click', () => this.togglePause(), { signal });
+        this.appendSegmentButton.addEventListener('click', () => this.startRecording(null, { mode: 'append' }), { signal });
+        this.normalizeButton.addEventListener('click', () => this.normalizeTake(), { signal });
+        this.trimButton.addEventListener('click', () => {
+            this.trimEditor.toggle(this.lastRecording?.blob, this.lastRecording?.sampleRate);
+        }, { signal });
+        this.newConversationButton.addEventListener('click', () => this.conversation.clear(), { signal });
+        this.liveConversationToggle.checked = this.loadSetting('liveConversation') === 'true';
+        this.liveConversationToggle.addEventListener('change', () => {
+            this.saveSetting('liveConversation', String(this.liveConversationToggle.checked));
+        }, { signal });
+        this.bargeInToggle.addEventListener('change', () => {
+            if (this.bargeInToggle.checked) {
+                this.armBargeIn();
+            } else {
+                this.disarmBargeIn();
+            }
+        }, { signal });
+        this.initializeExportOptions();
+        this.initializeCaptureOptions();
+        this.handsFreeToggle.addEventListener('change', () => {
+            if (this.handsFreeToggle.checked) {
+                this.armHandsFree();
+            } else {
+                this.disarmHandsFree();
+            }
+        }, { signal });
+        const renderConnection = () => this.offlineNotice.classList.toggle('d-none', navigator.onLine);
+        window.addEventListener('online', renderConnection, { signal });
+        window.addEventListener('offline', renderConnection, { signal });
+        renderConnection();
+        [this.takeTitle, this.takeTags, this.takeNotes].forEach(input => {
+            input.addEventListener('change', () => this.saveTakeDetails(), { signal });
+        });
+        this.silenceDuration.addEventListener('input', () => {
+            this.renderSilenceDuration();
+            this.vad?.setSilenceDuration(parseFloat(this.silenceDuration.value) * 1000);
+        }, { signal });
         
         // Add audio player error handling
         this.audioPlayer.addEventListener('error', (e) => {
             console.error('Audio player error:', e);
-            this.updateStatus('Error playing audio. Please try recording again.', 'error');
+            this.updateStatus(this.t('recording.playbackFailed'), 'error');
+        }, { signal });
+    }
+
+    initializeCaptureOptions() {
+        const signal = this.listeners.signal;
+        if (this.canCaptureSystemAudio) {
+            const saved = this.loadSetting('captureSource');
+            if (['mixed', 'separate'].includes(saved)) this.captureSource.value = saved;
+        } else {
+            Array.from(this.captureSource.options).forEach(option => {
+                option.disabled = option.value !== 'microphone';
+            });
+            this.captureSourceHint.dataset.i18n = 'capture.unsupported';
+            this.captureSourceHint.textContent = this.t('capture.unsupported');
+        }
+        this.captureSource.addEventListener('change', () => {
+            this.saveSetting('captureSource', this.captureSource.value);
+            // Stop sharing as soon as it's no longer wanted, rather than at the next take
+            if (this.captureSource.value === 'microphone' && !this.isRecording) this.releaseSystemAudio();
+            this.renderCaptureOptions();
+        }, { signal });
+
+        // Levels are kept as percentages, the way the sliders show them
+        [
+            ['microphone', this.microphoneLevel, this.microphoneLevelValue],
+            ['system', this.systemLevel, this.systemLevelValue]
+        ].forEach(([name, input, output]) => {
+            const saved = parseInt(this.loadSetting(`${name}Level`));
+            if (!isNaN(saved)) input.value = saved;
+            const apply = () => {
+                output.textContent = `${input.value}%`;
+                this.inputRouter.setLevel(name, parseInt(input.value) / 100);
+            };
+            input.addEventListener('input', apply, { signal });
+            input.addEventListener('change', () => this.saveSetting(`${name}Level`, input.value), { signal });
+            apply();
         });
+        this.renderCaptureOptions();
+    }
+
+    renderCaptureOptions() {
+        this.systemLevel.disabled = this.captureSource.value === 'microphone';
+    }
+
+    renderSilenceDuration() {
+        const seconds = parseFloat(this.silenceDuration.value).toFixed(1);
+        this.silenceDurationLabel.textContent = this.t('handsFree.stopAfter', { seconds });
     }
 
     startConnectionMonitoring() {
@@ -442,15 +862,15 @@ class AudioRecorder {
     }
 
     async requestPermission() {
+        if (!this.transition('requesting-permission')) return;
+
         try {
             const stream = await this.getAudioStream();
             
             // Test the stream and release it
             this.releaseStream(stream);
             
-            this.permissionGranted = true;
-            this.hidePermissionSection();
-            this.updateStatus('Ready to record', 'success');
+            this.handlePermissionChange('granted');
             
             // Reset retry attempts on successful permission
             this.retryAttempts = 0;
@@ -459,26 +879,35 @@ class AudioRecorder {
         }
     }
 
-    async getAudioStream(retryCount = 0) {
+    async getAudioStream(retryCount = 0, deviceId = this.deviceManager.deviceId, overrides = {}) {
         try {
             const stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    sampleRate: 44100
-                }
+                audio: { ...this.deviceManager.getConstraints(deviceId), ...overrides }
             });
 
             if (!this.validateStream(stream)) {
                 throw new Error('Invalid audio stream');
             }
 
+            const track = stream.getAudioTracks()[0];
+            this.trackInfo = {
+                label: track.label,
+                settings: track.getSettings?.() || {},
+                constraints: track.getConstraints?.() || {}
+            };
+            this.diagnostics.log('stream', { label: track.label, settings: this.trackInfo.settings });
+
             return stream;
         } catch (error) {
+            // A remembered microphone that is unplugged shouldn't block recording
+            if (deviceId && ['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+                console.warn('Selected microphone unavailable, falling back to the default device');
+                return this.getAudioStream(retryCount, null, overrides);
+            }
             if (retryCount < this.maxRetryAttempts) {
                 console.log(`Retrying stream acquisition (${retryCount + 1}/${this.maxRetryAttempts})`);
                 await new Promise(resolve => setTimeout(resolve, 1000));
-                return this.getAudioStream(retryCount + 1);
+                return this.getAudioStream(retryCount + 1, deviceId, overrides);
             }
             throw error;
         }
@@ -502,70 +931,429 @@ class AudioRecorder {
 
     handlePermissionError(error) {
         console.error('Permission error:', error);
+        this.diagnostics.log('exception', { context: 'permission', error });
         this.retryAttempts++;
+        if (error.name === 'NotAllowedError' && this.permissionState !== 'denied') {
+            this.permissionState = 'denied';
+            this.emit('permissionchange', { state: 'denied' });
+        }
         
-        let errorMessage = 'Could not access microphone. ';
+        let errorMessage = this.t('permission.couldNotAccess');
         
         if (error.name === 'NotAllowedError') {
-            errorMessage = 'Microphone access was denied. ';
+            errorMessage = this.t('permission.notAllowed');
         } else if (error.name === 'NotFoundError') {
-            errorMessage = 'No microphone found. Please connect a microphone and try again. ';
+            errorMessage = this.t('permission.notFound');
         } else if (error.name === 'NotReadableError') {
-            errorMessage = 'Microphone is in use by another application. ';
+            errorMessage = this.t('permission.notReadable');
         }
         
         if (this.retryAttempts < this.maxRetryAttempts) {
             this.updateStatus(
-                `${errorMessage} Retrying... (Attempt ${this.retryAttempts}/${this.maxRetryAttempts})`,
+                this.t('permission.retrying', { reason: errorMessage, attempt: this.retryAttempts, max: this.maxRetryAttempts }),
                 'warning'
             );
-            this.showPermissionSection('warning');
             
             // Set up automatic retry
             if (this.streamRetryTimeout) clearTimeout(this.streamRetryTimeout);
             this.streamRetryTimeout = setTimeout(() => this.requestPermission(), 2000);
         } else {
-            this.updateStatus(
-                `${errorMessage} Please check your browser settings and reload the page.`,
-                'error'
-            );
-            this.showPermissionSection('error');
+            this.retryAttempts = 0;
+            this.transition('error');
+            this.updateStatus(this.t('permission.giveUp', { reason: errorMessage }), 'error');
         }
     }
 
-    handleRecordingError(error) {
-        console.error('Recording error:', error);
-        this.stopRecording();
-        this.updateStatus('Recording failed. Please try again.', 'error');
-        
-        // Clean up any existing streams
-        if (this.mediaRecorder && this.mediaRecorder.stream) {
-            this.releaseStream(this.mediaRecorder.stream);
+    // The other side of a call or demo. The browser asks which tab, window or
+    // screen to share; the share is kept for the following takes until the
+    // user stops it or goes back to the microphone alone.
+    async getSystemAudioStream() {
+        if (this.systemStream?.getAudioTracks().some(track => track.readyState === 'live')) {
+            return this.systemStream;
+        }
+        if (!this.canCaptureSystemAudio) {
+            throw Object.assign(new Error('Tab and system audio capture is not supported'), { name: 'NotSupportedError' });
+        }
+
+        // Browsers only share audio along with a picture, which isn't wanted here
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+            systemAudio: 'include'
+        });
+        stream.getVideoTracks().forEach(track => track.stop());
+
+        const track = stream.getAudioTracks()[0];
+        if (!track) {
+            throw Object.assign(new Error('No audio was shared'), { name: 'NoAudioSharedError' });
         }
+        // Fires when sharing is stopped from the browser's own controls
+        track.addEventListener('ended', () => this.handleSystemAudioLost(stream), { once: true });
+        this.diagnostics.log('stream', { source: 'system', label: track.label, settings: track.getSettings?.() || {} });
+        this.systemStream = stream;
+        return stream;
     }
 
-    async startRecording() {
-        const compatibilityCheck = this.checkBrowserCompatibility();
-        if (!compatibilityCheck.supported) {
-            this.updateStatus(compatibilityCheck.message, 'error');
-            return;
+    releaseSystemAudio() {
+        this.releaseStream(this.systemStream);
+        this.systemStream = null;
+    }
+
+    // Unlike the microphone, the other side is optional: the take goes ahead
+    // with the microphone alone, and sharing is asked for again next take
+    handleSystemAudioError(error) {
+        console.error('System audio error:', error);
+        this.diagnostics.log('exception', { context: 'system-audio', error });
+
+        let errorMessage = this.t('capture.couldNotAccess');
+
+        if (error.name === 'NotAllowedError') {
+            errorMessage = this.t('capture.notAllowed');
+        } else if (error.name === 'NotSupportedError') {
+            errorMessage = this.t('capture.unsupported');
+        } else if (error.name === 'NoAudioSharedError') {
+            errorMessage = this.t('capture.noAudio');
+        } else if (error.name === 'NotReadableError') {
+            errorMessage = this.t('capture.notReadable');
         }
 
-        if (!this.permissionGranted) {
-            await this.requestPermission();
-            if (!this.permissionGranted) return;
+        this.showCaptureWarning(this.t('capture.microphoneOnly', { reason: errorMessage }));
+    }
+
+    handleSystemAudioLost(stream) {
+        if (stream !== this.systemStream) return;
+        this.systemStream = null;
+        console.warn('Tab or system audio sharing stopped');
+        this.diagnostics.log('stream', { source: 'system', ended: true });
+        if (this.isRecording) {
+            this.inputRouter.disconnectSystem();
+            this.showCaptureWarning(this.t('capture.ended'));
         }
+    }
 
-        try {
-            const stream = await this.getAudioStream();
-            
-            if (!this.validateStream(stream)) {
-                throw new Error('Invalid audio stream');
-            }
+    showCaptureWarning(message) {
+        this.captureWarning.textContent = message;
+        this.captureWarning.classList.toggle('d-none', !message);
+    }
 
-            // Try creating MediaRecorder with primary format first
+    handleRecordingError(error) {
+        console.error('Recording error:', error);
+        // MediaRecorder reports its failures as an event wrapping the error
+        this.diagnostics.log('exception', { context: 'recording', error: error.error || error });
+        // Enter the error state before stopping, so the stopped MediaRecorder's
+        // onstop doesn't go on to process and upload a broken take
+        this.transition('error');
+        this.updateStatus(this.t('recording.failed'), 'error');
+        this.stopLimitTimer();
+        this.discardLiveTurn();
+        this.disarmHandsFree();
+        this.stopConnectionMonitoring();
+        this.visualizer.stopLive();
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            try {
+                this.mediaRecorder.stop();
+            } catch (e) {
+                console.warn('Error stopping failed recorder:', e);
+            }
+        }
+
+        // Whatever was captured so far stays journaled; offer it back right away
+        if (this.journal) {
+            const journal = this.journal;
+            this.journal = null;
+            journal.release().then(() => this.checkForOrphans());
+        }
+        
+        // Clean up any existing streams
+        this.inputRouter.close();
+        if (this.inputStream) {
+            this.releaseStream(this.inputStream);
+            this.inputStream = null;
+        }
+    }
+
+    watchInputTrack(stream) {
+        const track = stream.getAudioTracks()[0];
+        // Fires when the device is unplugged or otherwise goes away
+        track.addEventListener('ended', () => this.handleInputLost(stream), { once: true });
+    }
+
+    async handleInputLost(lostStream) {
+        const inUse = (this.isRecording && lostStream === this.inputStream) || lostStream === this.handsFreeStream;
+        if (!inUse) return;
+
+        console.warn('Microphone disconnected, switching to another input');
+        try {
+            const stream = await this.getAudioStream(0, null);
+            await this.replaceInputStream(lostStream, stream);
+            const label = stream.getAudioTracks()[0].label || this.t('devices.defaultLabel');
+            this.updateStatus(this.t('devices.switched', { label }), 'warning');
+        } catch (error) {
+            this.handleRecordingError(error);
+        }
+    }
+
+    async replaceInputStream(previous, stream) {
+        this.watchInputTrack(stream);
+
+        if (this.isRecording && previous === this.inputStream) {
+            this.inputRouter.connect(stream);
+            this.inputStream = stream;
+        }
+        if (previous === this.handsFreeStream) {
+            this.handsFreeStream = stream;
+            await this.vad?.start(stream);
+        }
+
+        this.releaseStream(previous);
+    }
+
+    async handleDeviceSelectionChange() {
+        // Idle: the next take picks up the new settings by itself
+        const active = this.handsFreeStream || (this.isRecording ? this.inputStream : null);
+        if (!active) return;
+
+        try {
+            const stream = await this.getAudioStream();
+            await this.replaceInputStream(active, stream);
+        } catch (error) {
+            console.error('Error switching microphone:', error);
+            this.updateStatus(this.t('devices.switchFailed'), 'warning');
+        }
+    }
+
+    checkActiveDevice() {
+        // Not every browser ends the track when its device is unplugged
+        const active = this.handsFreeStream || (this.isRecording ? this.inputStream : null);
+        const deviceId = active?.getAudioTracks()[0]?.getSettings?.().deviceId;
+        if (deviceId && this.deviceManager.devices.length > 0 && !this.deviceManager.isAvailable(deviceId)) {
+            this.handleInputLost(active);
+        }
+    }
+
+    async armHandsFree() {
+        if (!this.permissionGranted) {
+            await this.requestPermission();
+            if (!this.permissionGranted) {
+                this.handsFreeToggle.checked = false;
+                return;
+            }
+        }
+
+        try {
+            this.handsFreeStream = await this.getAudioStream();
+            this.vad = new VoiceActivityDetector({
+                silenceMs: parseFloat(this.silenceDuration.value) * 1000,
+                onSpeechStart: () => this.handleSpeechStart(),
+                onSpeechEnd: () => this.handleSpeechEnd()
+            });
+            await this.vad.start(this.handsFreeStream);
+            this.updateStatus(this.t('handsFree.listening'), 'info');
+        } catch (error) {
+            console.error('Error starting hands-free mode:', error);
+            this.disarmHandsFree();
+            this.updateStatus(this.t('handsFree.failed'), 'error');
+        }
+    }
+
+    disarmHandsFree() {
+        if (this.vad) {
+            this.vad.stop();
+            this.vad = null;
+        }
+        if (this.isRecording && !this.ownsStream) {
+            this.stopRecording();
+        }
+        if (this.handsFreeStream) {
+            this.releaseStream(this.handsFreeStream);
+            this.handsFreeStream = null;
+        }
+        this.handsFreeToggle.checked = false;
+    }
+
+    handleSpeechStart() {
+        // Don't let a reply coming out of the speakers start a new turn
+        if (this.isRecording || this.isPlaybackActive()) return;
+        this.startRecording(this.handsFreeStream);
+    }
+
+    handleSpeechEnd() {
+        if (!this.isRecording || this.ownsStream) return;
+        this.stopRecording();
+    }
+
+    // Barge-in: while a reply plays, listen on an echo-cancelled input and let
+    // the user cut the reply off by talking over it, like on a phone call
+    async armBargeIn() {
+        if (!this.permissionGranted) {
+            await this.requestPermission();
+            if (!this.permissionGranted) {
+                this.bargeInToggle.checked = false;
+                return;
+            }
+        }
+
+        try {
+            // Without echo cancellation the reply would hear itself and stop
+            const stream = await this.getAudioStream(0, this.deviceManager.deviceId, { echoCancellation: true });
+            const vad = new VoiceActivityDetector({
+                speechRatio: 4,
+                minSpeechMs: 250,
+                silenceMs: 250,
+                calibrationMs: 500,
+                onSpeechStart: () => this.handleBargeInSpeech(),
+                onSpeechEnd: () => this.restoreDuckedReply()
+            });
+            this.bargeIn = { stream, vad };
+            await vad.start(stream);
+        } catch (error) {
+            console.error('Error starting barge-in:', error);
+            this.disarmBargeIn();
+            this.updateStatus(this.t('conversation.bargeInFailed'), 'error');
+        }
+    }
+
+    disarmBargeIn() {
+        this.restoreDuckedReply();
+        if (this.bargeIn) {
+            this.bargeIn.vad.stop();
+            this.releaseStream(this.bargeIn.stream);
+            this.bargeIn = null;
+        }
+        this.bargeInToggle.checked = false;
+    }
+
+    // Whichever reply is playing, as { turn, duck, restore, stop, progress }
+    playingReply() {
+        if (this.streamingPlayer.isPlaying) {
+            const audio = this.streamingPlayer.audio;
+            const volume = audio.volume;
+            return {
+                turn: this.liveReplyTurn,
+                duck: () => { audio.volume = volume * 0.2; },
+                restore: () => { audio.volume = volume; },
+                stop: () => this.streamingPlayer.stop(),
+                progress: () => ({ heardSeconds: audio.currentTime, duration: audio.duration })
+            };
+        }
+        if (this.replyPlayer.isPlaying) {
+            const player = this.replyPlayer;
+            return {
+                turn: player.current.turn,
+                duck: () => player.duck(),
+                restore: () => player.restore(),
+                stop: () => player.stop(),
+                progress: () => player.progress()
+            };
+        }
+        return null;
+    }
+
+    handleBargeInSpeech() {
+        const reply = this.playingReply();
+        if (!reply || this.isBusy) return;
+
+        // Duck straight away, and only cut the reply off if the user keeps talking
+        this.duckedReply = reply;
+        reply.duck();
+        this.bargeInTimeout = setTimeout(() => {
+            this.bargeInTimeout = null;
+            if (this.bargeIn?.vad.speaking) this.interruptReply(reply);
+        }, 400);
+    }
+
+    restoreDuckedReply() {
+        clearTimeout(this.bargeInTimeout);
+        this.bargeInTimeout = null;
+        if (this.duckedReply) {
+            this.duckedReply.restore();
+            this.duckedReply = null;
+        }
+    }
+
+    interruptReply(reply) {
+        const { heardSeconds, duration, heardText } = reply.progress();
+        this.restoreDuckedReply();
+        reply.stop();
+        if (reply.turn) {
+            this.conversation.markInterrupted(reply.turn, heardSeconds, duration, heardText);
+        }
+
+        // Hands-free mode ends the new turn on silence; otherwise it's stopped as usual
+        if (this.handsFreeStream) {
+            this.startRecording(this.handsFreeStream);
+        } else {
+            this.startRecording(null, { mode: 'new' }, { countdown: false });
+        }
+    }
+
+    showLevelWarning(warning) {
+        this.levelWarning.textContent = warning ? this.t(`level.${warning}`) : '';
+        this.levelWarning.classList.toggle('d-none', !warning);
+    }
+
+    isPlaybackActive() {
+        const players = [this.audioPlayer, this.streamingPlayer.audio, ...this.conversationThread.querySelectorAll('audio')];
+        return this.replyPlayer.isPlaying || players.some(player => !player.paused && !player.ended);
+    }
+
+    async startRecording(providedStream = null, target = { mode: 'new' }, { countdown = true } = {}) {
+        const compatibilityCheck = this.checkBrowserCompatibility();
+        if (!compatibilityCheck.supported) {
+            this.updateStatus(compatibilityCheck.message, 'error');
+            return;
+        }
+
+        if (!this.permissionGranted) {
+            await this.requestPermission();
+            if (!this.permissionGranted) return;
+        }
+        // Already recording or counting down, or the previous take is still being processed
+        if (this.isBusy || !this.canTransition('recording')) return;
+
+        // Asked for before the countdown, while the click that started the take
+        // still counts as the user gesture the share picker needs
+        const captureSource = this.captureSource.value;
+        let systemStream = null;
+        if (captureSource !== 'microphone') {
+            try {
+                systemStream = await this.getSystemAudioStream();
+                this.showCaptureWarning('');
+            } catch (error) {
+                this.handleSystemAudioError(error);
+            }
+        }
+
+        // Hands-free takes start on speech, so there's nothing to count down to
+        if (countdown && !providedStream && !(await this.runCountdown())) return;
+
+        try {
+            // Hands-free mode records from its armed stream and keeps it open between takes
+            const stream = providedStream || await this.getAudioStream();
+            this.ownsStream = !providedStream;
+            
+            if (!this.validateStream(stream)) {
+                throw new Error('Invalid audio stream');
+            }
+
+            this.inputStream = stream;
+            this.watchInputTrack(stream);
+            // Record the routed stream so the microphone behind it can be swapped mid-take
+            const recordingStream = await this.inputRouter.open(stream, { systemStream, layout: captureSource });
+
+            const track = stream.getAudioTracks()[0];
+            this.captureSettings = {
+                ...(track.getSettings?.() || {}),
+                sampleRate: this.inputRouter.sampleRate,
+                deviceLabel: track.label,
+                language: this.localizer.speechLanguage,
+                channelCount: this.inputRouter.channelCount,
+                capture: systemStream ? captureSource : 'microphone'
+            };
+
+            // Try creating MediaRecorder with primary format first
             try {
-                this.mediaRecorder = new MediaRecorder(stream, {
+                this.mediaRecorder = new MediaRecorder(recordingStream, {
                     mimeType: this.primaryMimeType
                 });
             } catch (error) {
@@ -576,23 +1364,52 @@ class AudioRecorder {
                 if (!fallbackFormat) {
                     throw new Error('No supported recording format available');
                 }
-                this.mediaRecorder = new MediaRecorder(stream, {
+                this.mediaRecorder = new MediaRecorder(recordingStream, {
                     mimeType: fallbackFormat
                 });
                 console.log(`Falling back to ${fallbackFormat} format`);
+                this.diagnostics.log('format', { fallback: fallbackFormat, error });
             }
             
             this.audioChunks = [];
+            this.segmentTarget = target;
+            // Only a brand-new take can be streamed as-is; edited takes are assembled first.
+            // Offline takes go to the outbox once they're processed instead.
+            this.streamingUpload = null;
+            this.liveTurn = null;
+            if (target.mode === 'new' && navigator.onLine) {
+                const mimeType = this.mediaRecorder.mimeType || this.primaryMimeType;
+                if (this.liveConversationToggle.checked) {
+                    this.liveTurn = this.startLiveTurn(mimeType);
+                } else {
+                    this.startStreamingUpload(mimeType);
+                }
+            }
+            const liveTurn = this.liveTurn;
+            
+            const journal = new SessionJournal(this.database);
+            this.journal = journal;
+            journal.begin({
+                mimeType: this.mediaRecorder.mimeType || this.primaryMimeType,
+                deviceLabel: this.captureSettings.deviceLabel,
+                sampleRate: this.captureSettings.sampleRate,
+                language: this.captureSettings.language
+            }).catch(error => console.warn('Recording will not be crash-safe:', error));
             
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     this.audioChunks.push(event.data);
+                    this.recordedBytes += event.data.size;
+                    this.streamingUpload?.enqueue(event.data);
+                    liveTurn?.transport.send(event.data);
+                    journal.append(event.data);
+                    this.emit('data', { blob: event.data });
                 }
             };
 
             this.mediaRecorder.onstop = () => {
                 this.stopConnectionMonitoring();
-                this.processRecording();
+                this.processRecording(journal);
             };
 
             this.mediaRecorder.onerror = (error) => {
@@ -600,10 +1417,17 @@ class AudioRecorder {
                 this.handleRecordingError(error);
             };
 
+            this.recordedBytes = 0;
             this.mediaRecorder.start(100);
-            this.isRecording = true;
-            this.updateUI(true);
+            this.segmentStartedAt = Date.now();
+            this.pausedAt = null;
+            this.pausedMs = 0;
+            this.transition('recording');
+            this.startLimitTimer(target);
             this.startConnectionMonitoring();
+            this.visualizer.startLive(recordingStream).catch(error => {
+                console.warn('Could not start level meter:', error);
+            });
             
         } catch (error) {
             console.error('Error starting recording:', error);
@@ -611,34 +1435,697 @@ class AudioRecorder {
         }
     }
 
-    processRecording() {
+    runCountdown() {
+        const seconds = this.limits.countdown;
+        if (!seconds) return Promise.resolve(true);
+        if (!this.transition('countdown')) return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const finish = (started) => {
+                clearTimeout(this.countdownTimeout);
+                this.cancelCountdown = null;
+                this.countdownDisplay.classList.add('d-none');
+                resolve(started);
+            };
+            const tick = (remaining) => {
+                if (remaining === 0) {
+                    finish(true);
+                    return;
+                }
+                this.countdownDisplay.textContent = remaining;
+                this.countdownTimeout = setTimeout(() => tick(remaining - 1), 1000);
+            };
+
+            this.cancelCountdown = () => {
+                finish(false);
+                this.transition('ready');
+            };
+            this.countdownDisplay.classList.remove('d-none');
+            tick(seconds);
+        });
+    }
+
+    elapsedSeconds() {
+        const now = Date.now();
+        const paused = this.pausedMs + (this.pausedAt ? now - this.pausedAt : 0);
+        return (now - this.segmentStartedAt - paused) / 1000;
+    }
+
+    startLimitTimer(target) {
+        // The rest of the take counts towards its limits when recording into it
+        const others = target.mode === 'append' ? this.segments
+            : target.mode === 'replace' ? this.segments.filter((_, index) => index !== target.index)
+            : [];
+        const used = {
+            duration: others.reduce((sum, segment) => sum + segment.duration, 0),
+            // A take of several segments is uploaded as the WAV assembleTake() makes of them
+            assembled: others.length > 0
+        };
+
+        this.stopLimitTimer();
+        this.limitWarned = false;
+        this.showLimitWarning('');
+        this.updateLimitTimer(used);
+        this.limitInterval = setInterval(() => this.updateLimitTimer(used), 250);
+    }
+
+    stopLimitTimer() {
+        clearInterval(this.limitInterval);
+        this.limitInterval = null;
+    }
+
+    updateLimitTimer(used) {
+        const duration = used.duration + this.elapsedSeconds();
+        const maxDuration = this.limits.maxDuration;
+        this.elapsedTime.textContent = RecordingLimits.formatTime(duration) +
+            (maxDuration ? ` / ${RecordingLimits.formatTime(maxDuration)}` : '');
+
+        const size = used.assembled
+            ? AudioTranscoder.wavSize(duration, this.captureSettings?.sampleRate || 48000, this.captureSettings?.channelCount || 1)
+            : this.recordedBytes;
+        const status = this.limits.check({ duration, size });
+        this.elapsedTime.classList.toggle('warning', Boolean(status.warning || status.reached));
+        if (status.reached) {
+            this.stopRecording();
+            this.showLimitWarning(this.t(status.reached === 'duration' ? 'limits.reachedDuration' : 'limits.reachedSize'));
+        } else if (status.warning && !this.limitWarned) {
+            this.limitWarned = true;
+            this.showLimitWarning(status.warning === 'duration'
+                ? this.t('limits.warningDuration', { seconds: status.remaining })
+                : this.t('limits.warningSize'));
+        }
+    }
+
+    showLimitWarning(message) {
+        this.limitWarning.textContent = message;
+        this.limitWarning.classList.toggle('d-none', !message);
+    }
+
+    async processRecording(journal = null) {
+        // A take that ended in an error is left to crash recovery instead
+        if (this.state !== 'processing') return;
+
         try {
             const mimeType = this.mediaRecorder?.mimeType || this.primaryMimeType;
-            const audioBlob = new Blob(this.audioChunks, { type: mimeType });
-            
-            // Clean up old audio URL before setting new one
-            if (this.audioPlayer.dataset.oldUrl) {
-                URL.revokeObjectURL(this.audioPlayer.dataset.oldUrl);
+            const segment = {
+                id: crypto.randomUUID(),
+                blob: new Blob(this.audioChunks, { type: mimeType }),
+                duration: this.segmentDuration
+            };
+
+            const target = this.segmentTarget;
+            if (target.mode === 'append') {
+                this.segments.push(segment);
+            } else if (target.mode === 'replace') {
+                this.segments.splice(target.index, 1, segment);
+            } else {
+                this.segments = [segment];
+                this.takeLibraryId = null;
+                this.takeHistory = [];
+                this.loudnessStatus.textContent = '';
+                this.renderTakeDetails();
+            }
+
+            const saved = await this.showTake();
+
+            // Once the take is safely in the library its crash journal is no longer needed
+            if (journal) {
+                if (journal === this.journal) this.journal = null;
+                await (saved ? journal.discard() : journal.release());
+                this.checkForOrphans();
+            }
+
+            if (target.mode === 'new') {
+                this.finishRecordingUpload();
+            } else {
+                this.transition('ready');
+                this.offerTakeUpload();
             }
-            
-            const audioUrl = URL.createObjectURL(audioBlob);
-            this.audioPlayer.src = audioUrl;
-            this.audioPlayer.dataset.oldUrl = audioUrl;
-            this.audioContainer.classList.remove('d-none');
         } catch (error) {
             console.error('Error processing recording:', error);
-            this.updateStatus('Error processing recording. Please try again.', 'error');
+            this.transition('error');
+            this.updateStatus(this.t('recording.processingFailed'), 'error');
+            if (journal) {
+                if (journal === this.journal) this.journal = null;
+                journal.release().then(() => this.checkForOrphans());
+            }
+        }
+    }
+
+    async showTake() {
+        const audioBlob = await this.assembleTake();
+
+        // Clean up old audio URL before setting new one
+        if (this.audioPlayer.dataset.oldUrl) {
+            URL.revokeObjectURL(this.audioPlayer.dataset.oldUrl);
+        }
+
+        const audioUrl = URL.createObjectURL(audioBlob);
+        this.audioPlayer.src = audioUrl;
+        this.audioPlayer.dataset.oldUrl = audioUrl;
+        this.audioContainer.classList.remove('d-none');
+        this.visualizer.showRecording(audioBlob, this.audioPlayer);
+
+        this.lastRecording = {
+            blob: audioBlob,
+            mimeType: audioBlob.type,
+            id: null,
+            sampleRate: this.captureSettings?.sampleRate || null,
+            channelCount: this.captureSettings?.channelCount || null,
+            language: this.captureSettings?.language || this.localizer.speechLanguage,
+            capture: this.captureSettings?.capture || 'microphone'
+        };
+        this.splitTracksOption.classList.toggle('d-none', this.lastRecording.capture !== 'separate');
+        this.renderSegments();
+        this.transcript.transcribe(this.lastRecording);
+        this.trimEditor.setUndoAvailable(this.takeHistory.length > 0);
+        if (this.trimEditor.isOpen) {
+            this.trimEditor.load(audioBlob, this.lastRecording.sampleRate);
         }
+        return this.saveTakeToLibrary(this.lastRecording);
+    }
+
+    async saveTakeToLibrary(recording) {
+        try {
+            // Edits to the current take update its library entry instead of adding another
+            const record = await this.library.save({
+                id: this.takeLibraryId,
+                blob: recording.blob,
+                mimeType: recording.mimeType,
+                duration: this.segments.reduce((sum, segment) => sum + segment.duration, 0),
+                deviceLabel: this.captureSettings?.deviceLabel || '',
+                language: recording.language,
+                sampleRate: recording.sampleRate,
+                channelCount: recording.channelCount,
+                browser: this.describeBrowser(),
+                capture: recording.capture
+            });
+            this.takeLibraryId = record.id;
+            recording.libraryId = record.id;
+            this.renderTakeDetails(record);
+            if (recording.id) {
+                this.library.update(record.id, { remoteId: recording.id });
+            }
+            return true;
+        } catch (error) {
+            console.error('Error saving recording to library:', error);
+            this.updateStatus(
+                this.t(error.name === 'QuotaExceededError' ? 'recording.libraryFull' : 'recording.librarySaveFailed'),
+                'warning'
+            );
+            return false;
+        }
+    }
+
+    async checkForOrphans() {
+        try {
+            const sessions = await SessionJournal.findOrphans(this.database);
+            this.renderRecoveryList(sessions);
+        } catch (error) {
+            console.error('Error checking for unfinished recordings:', error);
+        }
+    }
+
+    renderRecoveryList(sessions) {
+        this.recoveryList.innerHTML = '';
+        this.recoverySection.classList.toggle('d-none', sessions.length === 0);
+
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'recovery-item';
+
+            const label = document.createElement('span');
+            label.textContent = [
+                this.t('recovery.started', { time: new Date(session.startedAt).toLocaleString(this.localizer.locale) }),
+                RecordingLibrary.formatBytes(session.size),
+                session.deviceLabel
+            ].filter(Boolean).join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'btn-group btn-group-sm';
+            [
+                [this.t('recovery.recover'), () => this.recoverSession(session)],
+                [this.t('recovery.play'), () => this.playRecoverableSession(session)],
+                [this.t('recovery.discard'), () => this.discardSession(session)]
+            ].forEach(([text, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline-secondary';
+                button.textContent = text;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+
+            item.append(label, actions);
+            this.recoveryList.appendChild(item);
+        });
+    }
+
+    async recoverSession(session) {
+        if (this.isRecording) return;
+
+        try {
+            const blob = await SessionJournal.assemble(this.database, session);
+            if (blob.size === 0) {
+                throw new Error('No audio was saved for this recording');
+            }
+
+            let duration = 0;
+            try {
+                duration = (await AudioTranscoder.decode(blob, session.sampleRate || 48000)).duration;
+            } catch (e) {
+                console.warn('Could not measure recovered recording:', e);
+            }
+
+            this.segments = [{ id: session.id, blob, duration }];
+            this.takeLibraryId = null;
+            this.takeHistory = [];
+            this.renderTakeDetails();
+            this.captureSettings = { deviceLabel: session.deviceLabel, sampleRate: session.sampleRate, language: session.language };
+
+            const saved = await this.showTake();
+            this.offerTakeUpload();
+            if (saved) {
+                await SessionJournal.remove(this.database, session.id);
+            }
+            this.updateStatus(this.t('recovery.recovered'), 'success');
+        } catch (error) {
+            console.error('Error recovering recording:', error);
+            this.updateStatus(this.t('recovery.failed'), 'error');
+        }
+
+        this.checkForOrphans();
+    }
+
+    async playRecoverableSession(session) {
+        try {
+            const blob = await SessionJournal.assemble(this.database, session);
+            this.playSegment({ blob });
+        } catch (error) {
+            console.error('Error playing unfinished recording:', error);
+        }
+    }
+
+    async discardSession(session) {
+        if (!confirm(this.t('recovery.confirmDiscard'))) return;
+
+        try {
+            await SessionJournal.remove(this.database, session.id);
+        } catch (error) {
+            console.error('Error discarding unfinished recording:', error);
+        }
+        this.checkForOrphans();
+    }
+
+    async assembleTake() {
+        if (this.segments.length === 1) {
+            return this.segments[0].blob;
+        }
+
+        const sampleRate = this.captureSettings?.sampleRate || 48000;
+        const buffer = await AudioTranscoder.concatenate(this.segments.map(segment => segment.blob), sampleRate);
+        return AudioTranscoder.encodeWav(buffer);
+    }
+
+    offerTakeUpload() {
+        // An edited take is only sent once the user says it's ready
+        this.retryUploadButton.classList.add('d-none');
+        this.uploadTakeButton.classList.remove('d-none');
+        this.uploadStatus.textContent = this.t('trim.edited');
+    }
+
+    clearTake() {
+        this.segments = [];
+        this.takeHistory = [];
+        this.lastRecording = null;
+        this.visualizer.detachPlayer();
+        this.trimEditor.close();
+        this.loudnessStatus.textContent = '';
+
+        if (this.audioPlayer.dataset.oldUrl) {
+            URL.revokeObjectURL(this.audioPlayer.dataset.oldUrl);
+            delete this.audioPlayer.dataset.oldUrl;
+        }
+        this.audioPlayer.removeAttribute('src');
+        this.audioContainer.classList.add('d-none');
+        this.transcript.clear();
+        this.renderSegments();
+    }
+
+    async applyEdit(blob, duration) {
+        // The segments before the edit are kept so it can be undone
+        this.takeHistory.push(this.segments);
+        this.segments = [{ id: crypto.randomUUID(), blob, duration }];
+        await this.rebuildTake();
+    }
+
+    async undoEdit() {
+        if (this.takeHistory.length === 0) return;
+        this.segments = this.takeHistory.pop();
+        this.loudnessStatus.textContent = '';
+        await this.rebuildTake();
+    }
+
+    async normalizeTake() {
+        if (!this.lastRecording) return;
+
+        this.normalizeButton.disabled = true;
+        this.loudnessStatus.textContent = this.t('loudness.measuring');
+        try {
+            const target = Number(this.loudnessTarget.value);
+            const result = await LoudnessNormalizer.normalize(this.lastRecording.blob, {
+                sampleRate: this.lastRecording.sampleRate || 48000,
+                target
+            });
+            await this.applyEdit(result.blob, result.duration);
+            this.loudnessStatus.textContent = this.t('loudness.result', {
+                loudness: result.loudness.toFixed(1),
+                gain: `${result.gainDb > 0 ? '+' : ''}${result.gainDb.toFixed(1)}`,
+                target
+            });
+        } catch (error) {
+            console.error('Error normalizing loudness:', error);
+            this.loudnessStatus.textContent = this.t(error.code === 'tooQuiet' ? 'loudness.tooQuiet' : 'loudness.failed');
+        }
+        this.normalizeButton.disabled = false;
+    }
+
+    async rebuildTake() {
+        try {
+            await this.showTake();
+            this.offerTakeUpload();
+        } catch (error) {
+            console.error('Error rebuilding recording:', error);
+            this.updateStatus(this.t('recording.processingFailed'), 'error');
+        }
+    }
+
+    async deleteSegment(index) {
+        this.segments.splice(index, 1);
+        if (this.segments.length === 0) {
+            this.clearTake();
+            return;
+        }
+        await this.rebuildTake();
+    }
+
+    playSegment(segment) {
+        const url = URL.createObjectURL(segment.blob);
+        const audio = new Audio(url);
+        audio.addEventListener('ended', () => URL.revokeObjectURL(url), { once: true });
+        audio.play().catch(error => {
+            console.error('Error playing segment:', error);
+            URL.revokeObjectURL(url);
+        });
+    }
+
+    renderSegments() {
+        this.segmentList.innerHTML = '';
+        this.segmentList.classList.toggle('d-none', this.segments.length === 0);
+
+        this.segments.forEach((segment, index) => {
+            const item = document.createElement('li');
+            item.className = 'segment-item';
+
+            const label = document.createElement('span');
+            label.textContent = this.t('segments.item', { number: index + 1, seconds: segment.duration.toFixed(1) });
+
+            const actions = document.createElement('div');
+            actions.className = 'btn-group btn-group-sm';
+            [
+                [this.t('segments.play'), () => this.playSegment(segment)],
+                [this.t('segments.rerecord'), () => this.startRecording(null, { mode: 'replace', index })],
+                [this.t('segments.delete'), () => this.deleteSegment(index)]
+            ].forEach(([text, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline-secondary';
+                button.textContent = text;
+                button.disabled = this.isBusy;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+
+            item.append(label, actions);
+            this.segmentList.appendChild(item);
+        });
+    }
+
+    togglePause() {
+        if (!this.mediaRecorder || !this.isRecording) return;
+
+        try {
+            if (this.mediaRecorder.state === 'recording') {
+                this.mediaRecorder.pause();
+                this.pausedAt = Date.now();
+                this.transition('paused');
+            } else if (this.mediaRecorder.state === 'paused') {
+                this.mediaRecorder.resume();
+                this.pausedMs += Date.now() - this.pausedAt;
+                this.pausedAt = null;
+                this.transition('recording');
+            }
+        } catch (error) {
+            console.error('Error pausing recording:', error);
+            this.handleRecordingError(error);
+        }
+    }
+
+    startStreamingUpload(mimeType) {
+        const uploader = new ChunkedUploader({
+            endpoint: this.url('api/recordings/sessions'),
+            storageKey: this.storageKey(ChunkedUploader.storageKey),
+            onProgress: ({ acknowledged, pending }) => {
+                if (uploader !== this.streamingUpload) return;
+                this.uploadStatus.textContent = pending > 0
+                    ? this.t('upload.streaming', { saved: acknowledged, pending })
+                    : this.t('upload.streamed', { saved: acknowledged });
+            }
+        });
+        this.streamingUpload = uploader;
+        uploader.start(mimeType, { language: this.captureSettings.language });
+    }
+
+    // Live conversation: the take streams over a WebSocket while it's recorded
+    // and the reply is shown and played while the server is still sending it
+    startLiveTurn(mimeType) {
+        const turns = this.conversation.startLiveTurn();
+        let replyText = '';
+        const transport = new StreamingTransport({
+            url: StreamingTransport.urlFor(this.conversation.id, this.baseUrl),
+            onEvent: (event) => {
+                if (event.type === 'partial') {
+                    turns.userTurn.text = event.text;
+                    this.conversation.updateTurn(turns.userTurn);
+                } else if (event.type === 'reply') {
+                    replyText += event.delta;
+                    turns.replyTurn.text = replyText.trim();
+                    this.conversation.updateTurn(turns.replyTurn);
+                } else if (event.type === 'audio') {
+                    this.liveReplyTurn = turns.replyTurn;
+                    this.replyPlayer.stop();
+                    this.streamingPlayer.begin(event.mimeType);
+                    this.replyPlayer.applyRate(this.streamingPlayer.audio);
+                }
+            },
+            onAudio: (data) => this.streamingPlayer.append(data)
+        });
+        transport.start(mimeType, { language: this.captureSettings.language });
+        return { ...turns, transport };
+    }
+
+    async finishLiveTurn() {
+        const recording = this.lastRecording;
+        const liveTurn = this.liveTurn;
+        this.liveTurn = null;
+
+        this.transition('uploading');
+        this.retryUploadButton.classList.add('d-none');
+        this.uploadTakeButton.classList.add('d-none');
+        this.uploadStatus.textContent = this.t('upload.waitingForReply');
+
+        try {
+            const done = await liveTurn.transport.finish();
+            this.streamingPlayer.end();
+            this.conversation.completeLiveTurn(liveTurn, done);
+            // A reply the server sent as text only is read aloud instead
+            if (this.liveReplyTurn !== liveTurn.replyTurn && this.replyPlayer.shouldAutoplay(liveTurn.replyTurn)) {
+                this.replyPlayer.enqueue(liveTurn.replyTurn);
+            }
+            this.handleRecordingUploaded(recording, done.recording, { replied: true });
+        } catch (error) {
+            console.warn('Live conversation failed, uploading the whole recording instead:', error);
+            this.streamingPlayer.stop();
+            this.conversation.discardTurns(liveTurn);
+            if (recording === this.lastRecording) this.uploadRecording();
+        }
+    }
+
+    discardLiveTurn() {
+        if (!this.liveTurn) return;
+        this.liveTurn.transport.abort();
+        this.conversation.discardTurns(this.liveTurn);
+        this.liveTurn = null;
+    }
+
+    async finishRecordingUpload() {
+        if (this.liveTurn) {
+            this.finishLiveTurn();
+            return;
+        }
+
+        const recording = this.lastRecording;
+        const uploader = this.streamingUpload;
+        this.streamingUpload = null;
+
+        if (!uploader) {
+            this.uploadRecording();
+            return;
+        }
+
+        this.transition('uploading');
+        this.retryUploadButton.classList.add('d-none');
+        this.uploadTakeButton.classList.add('d-none');
+        this.uploadStatus.textContent = this.t('upload.finishing');
+
+        try {
+            const result = await uploader.finish();
+            this.handleRecordingUploaded(recording, result);
+        } catch (error) {
+            console.warn('Streaming upload failed, uploading the whole recording instead:', error);
+            ChunkedUploader.clearPersistedSession(uploader.sessionId, uploader.storageKey);
+            if (recording === this.lastRecording) this.uploadRecording();
+        }
+    }
+
+    async recoverInterruptedUpload() {
+        try {
+            const recovered = await ChunkedUploader.recoverPendingSession(this.storageKey(ChunkedUploader.storageKey));
+            if (recovered) {
+                this.updateStatus(this.t('upload.recovered', { id: recovered.id }), 'success');
+            }
+        } catch (error) {
+            console.error('Error recovering interrupted upload:', error);
+        }
+    }
+
+    async uploadRecording() {
+        const recording = this.lastRecording;
+        if (!recording) return;
+        // No point trying without a connection; the outbox sends it once there is one
+        if (!navigator.onLine && recording.libraryId) {
+            this.queueUpload(recording);
+            return;
+        }
+        if (!this.transition('uploading')) return;
+
+        this.retryUploadButton.classList.add('d-none');
+        this.uploadTakeButton.classList.add('d-none');
+        this.setUploadProgress(0);
+        this.uploadProgress.classList.remove('d-none');
+        this.uploadStatus.textContent = this.t('upload.uploading');
+
+        try {
+            const result = await this.uploader.upload(recording.blob, {
+                mimeType: recording.mimeType,
+                language: recording.language,
+                onProgress: (fraction) => {
+                    if (recording === this.lastRecording) this.setUploadProgress(fraction);
+                },
+                onRetry: (attempt) => {
+                    if (recording !== this.lastRecording) return;
+                    this.uploadStatus.textContent =
+                        this.t('upload.retrying', { attempt, max: this.uploader.maxRetryAttempts });
+                }
+            });
+
+            this.handleRecordingUploaded(recording, result);
+        } catch (error) {
+            console.error('Error uploading recording:', error);
+            if (recording !== this.lastRecording) return;
+
+            // The connection went away: keep the take for the outbox rather than failing it
+            if (!error.status && error.retryable && recording.libraryId) {
+                this.queueUpload(recording);
+                return;
+            }
+            this.uploadStatus.textContent = this.t('upload.failed', { error: error.message });
+            this.retryUploadButton.classList.remove('d-none');
+            if (this.state === 'uploading') this.transition('error');
+            this.updateStatus(this.t('upload.error'), 'error');
+        } finally {
+            if (recording === this.lastRecording) {
+                this.uploadProgress.classList.add('d-none');
+            }
+        }
+    }
+
+    queueUpload(recording) {
+        if (['processing', 'uploading', 'error'].includes(this.state)) this.transition('ready');
+        this.retryUploadButton.classList.add('d-none');
+        this.uploadTakeButton.classList.add('d-none');
+        this.uploadStatus.textContent = this.t('upload.queued');
+        this.updateStatus(this.t('status.savedOffline'), 'warning');
+        this.outbox.add(recording.libraryId);
+    }
+
+    uploadLibraryRecord(record) {
+        return this.uploader.upload(record.blob, { mimeType: record.mimeType, language: record.language });
+    }
+
+    handleQueuedUpload(record, result) {
+        // The take still on screen carries on as if it had uploaded straight away
+        const recording = this.lastRecording;
+        if (recording?.libraryId === record.id && !recording.id) {
+            this.handleRecordingUploaded(recording, result);
+        }
+    }
+
+    handleRecordingUploaded(recording, result, { replied = false } = {}) {
+        recording.id = result.id;
+        if (recording.libraryId) {
+            this.library.update(recording.libraryId, { remoteId: result.id });
+        }
+        // A live turn has had its reply already
+        if (!replied) this.conversation.respondTo(recording);
+
+        // A newer take may have replaced this one while the upload was in flight
+        if (recording !== this.lastRecording) return;
+
+        this.uploadStatus.textContent = this.t('upload.done', { id: result.id });
+        if (this.state === 'uploading') this.transition('ready');
+        this.updateStatus(this.t('upload.success'), 'success');
+    }
+
+    createReplyProvider() {
+        // ?replyProvider=echo answers in the browser without asking the server for a reply
+        const name = new URLSearchParams(window.location.search).get('replyProvider');
+        return name === 'echo' ? new EchoReplyProvider() : new ServerReplyProvider({ endpoint: this.url('api/conversations') });
+    }
+
+    setUploadProgress(fraction) {
+        const percent = Math.round(fraction * 100);
+        this.uploadProgressBar.style.width = `${percent}%`;
+        this.uploadProgress.setAttribute('aria-valuenow', percent);
     }
 
     stopRecording() {
+        if (this.cancelCountdown) {
+            this.cancelCountdown();
+            return;
+        }
         if (this.mediaRecorder && this.isRecording) {
             try {
+                this.segmentDuration = this.elapsedSeconds();
+                this.stopLimitTimer();
+
+                this.transition('processing');
                 this.mediaRecorder.stop();
-                this.isRecording = false;
-                this.updateUI(false);
+                this.visualizer.stopLive();
+                this.inputRouter.close();
                 
-                this.releaseStream(this.mediaRecorder.stream);
+                if (this.ownsStream) {
+                    this.releaseStream(this.inputStream);
+                }
+                this.inputStream = null;
             } catch (error) {
                 console.error('Error stopping recording:', error);
                 this.handleRecordingError(error);
@@ -646,45 +2133,163 @@ class AudioRecorder {
         }
     }
 
-    downloadRecording() {
-        if (this.audioChunks.length === 0) return;
+    async downloadRecording() {
+        // The button stays disabled while a download is being prepared
+        if (!this.lastRecording || this.downloadButton.disabled) return;
         
         try {
-            const mimeType = this.mediaRecorder?.mimeType || this.primaryMimeType;
-            const audioBlob = new Blob(this.audioChunks, { type: mimeType });
-            const url = URL.createObjectURL(audioBlob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            
-            // Get the appropriate file extension
-            let extension = mimeType.split('/')[1].split(';')[0];
-            if (extension === 'webm' && !this.browserInfo.name.includes('chrome')) {
-                extension = 'wav'; // Fallback for non-Chrome browsers
-            }
-            
-            a.download = `recording.${extension}`;
-            
-            document.body.appendChild(a);
-            a.click();
-            
-            setTimeout(() => {
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }, 100);
+            this.downloadButton.disabled = true;
+            this.updateStatus(this.t('download.preparing'), 'info');
+
+            // Re-encode rather than rename, so the file really is what its extension says
+            const split = this.lastRecording.capture === 'separate' && this.exportSplitTracks.checked;
+            const tracks = split
+                ? await AudioTranscoder.splitChannels(this.lastRecording.blob, this.getExportSettings())
+                : [await AudioTranscoder.transcode(this.lastRecording.blob, this.getExportSettings())];
+            const { filenameTemplate, metadata: mode } = this.getFileSettings();
+            const metadata = TakeMetadata.fromRecord(this.currentTakeRecord());
+            tracks.forEach(({ blob, extension }, index) => {
+                let name = TakeMetadata.filename(filenameTemplate, metadata, extension);
+                let trackMetadata = metadata;
+                if (split) {
+                    const track = AudioRecorder.trackNames[index];
+                    name = name.replace(/(\.\w+)$/, `_${track}$1`);
+                    trackMetadata = { ...metadata, track };
+                }
+                TakeMetadata.files({ name, blob }, trackMetadata, mode)
+                    .forEach(file => RecordingLibrary.saveBlob(file.blob, file.name));
+            });
+            this.updateStatus(this.t('download.ready'), 'success');
         } catch (error) {
             console.error('Error downloading recording:', error);
-            this.updateStatus('Error downloading recording. Please try again.', 'error');
+            this.updateStatus(this.t('download.failed'), 'error');
+        } finally {
+            this.downloadButton.disabled = false;
         }
     }
 
-    updateUI(recording) {
-        this.recordButton.disabled = recording;
-        this.stopButton.disabled = !recording;
-        this.updateStatus(
-            recording ? 'Recording in progress...' : 'Recording stopped',
-            recording ? 'recording' : 'success'
-        );
+    initializeExportOptions() {
+        Object.keys(AudioTranscoder.formats).forEach(value => this.exportFormat.add(new Option('', value)));
+        this.renderExportFormats();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey('exportSettings')));
+            if (saved) {
+                this.exportFormat.value = saved.format in AudioTranscoder.formats ? saved.format : 'wav16';
+                this.exportSampleRate.value = saved.sampleRate || '';
+                this.exportChannels.value = saved.channels || '';
+                this.exportFilename.value = saved.filenameTemplate || TakeMetadata.defaultTemplate;
+                this.exportMetadata.value = saved.metadata || 'embed';
+                this.exportSplitTracks.checked = Boolean(saved.splitTracks);
+            } else {
+                this.exportFormat.value = 'wav16';
+                this.exportFilename.value = TakeMetadata.defaultTemplate;
+            }
+        } catch (e) {
+            console.error('Error loading export settings:', e);
+        }
+        this.exportFilename.placeholder = TakeMetadata.defaultTemplate;
+
+        const onChange = () => {
+            this.updateExportOptionsState();
+            try {
+                localStorage.setItem(this.storageKey('exportSettings'), JSON.stringify({
+                    format: this.exportFormat.value,
+                    sampleRate: this.exportSampleRate.value,
+                    channels: this.exportChannels.value,
+                    filenameTemplate: this.exportFilename.value.trim(),
+                    metadata: this.exportMetadata.value,
+                    splitTracks: this.exportSplitTracks.checked
+                }));
+            } catch (e) {
+                console.error('Error persisting export settings:', e);
+            }
+        };
+        [this.exportFormat, this.exportSampleRate, this.exportChannels, this.exportFilename, this.exportMetadata, this.exportSplitTracks].forEach(control => {
+            control.addEventListener('change', onChange, { signal: this.listeners.signal });
+        });
+        this.updateExportOptionsState();
+    }
+
+    renderExportFormats() {
+        Array.from(this.exportFormat.options).forEach(option => {
+            option.textContent = this.t(AudioTranscoder.formats[option.value].label);
+        });
+    }
+
+    updateExportOptionsState() {
+        // Sample rate and channel layout only apply when re-encoding
+        const original = this.exportFormat.value === 'original';
+        this.exportSampleRate.disabled = original;
+        this.exportChannels.disabled = original;
+    }
+
+    getExportSettings() {
+        return {
+            format: this.exportFormat.value,
+            sampleRate: parseInt(this.exportSampleRate.value) || this.lastRecording.sampleRate || 48000,
+            channels: parseInt(this.exportChannels.value) || null
+        };
+    }
+
+    getFileSettings() {
+        return {
+            filenameTemplate: this.exportFilename.value.trim() || TakeMetadata.defaultTemplate,
+            metadata: this.exportMetadata.value
+        };
+    }
+
+    describeBrowser() {
+        const { name, version, isMobile } = this.browserInfo;
+        return { name, version, isMobile };
+    }
+
+    // The current take as the library holds it, or as it would have if saving it failed
+    currentTakeRecord() {
+        const recording = this.lastRecording;
+        const record = this.library.records.find(item => item.id === recording.libraryId);
+        if (record) return record;
+        return {
+            ...this.readTakeDetails(),
+            createdAt: new Date().toISOString(),
+            duration: this.segments.reduce((sum, segment) => sum + segment.duration, 0),
+            mimeType: recording.mimeType,
+            sampleRate: recording.sampleRate,
+            channelCount: recording.channelCount,
+            deviceLabel: this.captureSettings?.deviceLabel || '',
+            language: recording.language,
+            browser: this.describeBrowser(),
+            capture: recording.capture,
+            remoteId: recording.id
+        };
+    }
+
+    readTakeDetails() {
+        return {
+            title: this.takeTitle.value.trim(),
+            tags: TakeMetadata.parseTags(this.takeTags.value),
+            notes: this.takeNotes.value.trim()
+        };
+    }
+
+    // Fills the take's title, tags and notes from its library record; a new
+    // take that isn't saved yet starts blank
+    renderTakeDetails(record = null) {
+        this.takeTitle.value = record?.title || '';
+        this.takeTags.value = (record?.tags || []).join(', ');
+        this.takeNotes.value = record?.notes || '';
+    }
+
+    async saveTakeDetails() {
+        const record = this.library.records.find(item => item.id === this.lastRecording?.libraryId);
+        if (!record) return;
+
+        const details = this.readTakeDetails();
+        // A take always keeps a title, so its files always have a name
+        details.title = details.title || record.title;
+        await this.library.update(record.id, details);
+        this.renderTakeDetails(record);
+        await this.library.render();
     }
 
     updateStatus(message, type) {
@@ -694,6 +2299,7 @@ class AudioRecorder {
         switch (type) {
             case 'error':
                 this.statusIndicator.style.color = 'var(--bs-danger)';
+                this.emit('error', { message });
                 break;
             case 'warning':
                 this.statusIndicator.style.color = 'var(--bs-warning)';
@@ -707,10 +2313,65 @@ class AudioRecorder {
             default:
                 this.statusIndicator.style.color = 'var(--bs-secondary)';
         }
+        this.announce(message, type === 'error');
+    }
+
+    announce(message, urgent = false) {
+        // Errors interrupt the screen reader; everything else waits its turn
+        const region = urgent ? this.alertAnnouncer : this.statusAnnouncer;
+        // Clear first so a repeated message is read out again
+        clearTimeout(this.announceTimeout);
+        region.textContent = '';
+        this.announceTimeout = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
     }
 }
 
-// Initialize the recorder when the page loads
+AudioRecorder.events = ['statechange', 'data', 'error', 'permissionchange', 'level'];
+
+// Legal moves between recorder states. Anything not listed is refused by transition().
+AudioRecorder.transitions = {
+    idle: ['requesting-permission', 'ready', 'error'],
+    'requesting-permission': ['ready', 'idle', 'error'],
+    ready: ['requesting-permission', 'countdown', 'recording', 'uploading', 'idle', 'error'],
+    countdown: ['recording', 'ready', 'error'],
+    recording: ['paused', 'processing', 'error'],
+    paused: ['recording', 'processing', 'error'],
+    processing: ['ready', 'uploading', 'error'],
+    uploading: ['ready', 'countdown', 'recording', 'idle', 'error'],
+    error: ['requesting-permission', 'ready', 'countdown', 'recording', 'uploading', 'idle']
+};
+
+// Message keys (see locales.js) and status types shown on entering each state
+AudioRecorder.stateMessages = {
+    idle: ['status.idle', 'warning'],
+    'requesting-permission': ['status.requestingPermission', 'info'],
+    ready: ['status.ready', 'success'],
+    countdown: ['status.countdown', 'info'],
+    recording: ['status.recording', 'recording'],
+    paused: ['status.paused', 'warning'],
+    processing: ['status.processing', 'info'],
+    uploading: ['status.uploading', 'info']
+};
+
+// The server that served this script, which lives under its static/js/. It can
+// only be read while the script first runs; bundled or inline copies fall back to the page's origin.
+AudioRecorder.defaultBaseUrl = document.currentScript?.src
+    ? new URL('../../', document.currentScript.src).href
+    : new URL('/', window.location.href).href;
+
+// Channel order of takes recorded with the 'separate' capture source, see InputRouter
+AudioRecorder.trackNames = ['microphone', 'system'];
+
+// Initialize the page's own recorder when it has one. Other pages create
+// AudioRecorder instances themselves or use the <voice-recorder> element.
 document.addEventListener('DOMContentLoaded', () => {
-    new AudioRecorder();
+    if (document.getElementById('recordButton')) {
+        window.voiceRecorder = new AudioRecorder();
+        // Offline support is for the app's own page; sites embedding the recorder have their own
+        navigator.serviceWorker?.register('/service-worker.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
+        });
+    }
 });
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Journals a take's chunks to IndexedDB as they are captured, so a crashed
+// tab or an unexpected stop leaves something behind to recover.
+class SessionJournal {
+    constructor(database) {
+        this.database = database;
+        this.session = null;
+        this.sequence = 0;
+        this.writes = Promise.resolve();
+        this.releaseLock = null;
+        this.failed = false;
+    }
+
+    begin(details) {
+        this.session = {
+            id: crypto.randomUUID(),
+            startedAt: new Date().toISOString(),
+            updatedAt: Date.now(),
+            size: 0,
+            chunkCount: 0,
+            ...details
+        };
+        this.holdLock();
+
+        return this.database.put('sessions', this.session).catch(error => {
+            this.failed = true;
+            this.release();
+            throw error;
+        });
+    }
+
+    holdLock() {
+        // The lock is dropped automatically if the tab dies, which is what marks a session orphaned
+        if (!navigator.locks) return;
+        navigator.locks.request(SessionJournal.lockName(this.session.id), () => new Promise(resolve => {
+            this.releaseLock = resolve;
+        }));
+    }
+
+    append(blob) {
+        if (!this.session || this.failed) return;
+
+        const session = this.session;
+        const sequence = this.sequence++;
+        this.writes = this.writes
+            .then(async () => {
+                await this.database.put('sessionChunks', { sessionId: session.id, sequence, blob });
+                session.size += blob.size;
+                session.chunkCount = sequence + 1;
+
+                // Doubles as a heartbeat where Web Locks aren't available
+                if (Date.now() - session.updatedAt >= 1000) {
+                    session.updatedAt = Date.now();
+                    await this.database.put('sessions', session);
+                }
+            })
+            .catch(error => console.error('Error saving recording chunk:', error));
+    }
+
+    // Stop guarding the session but keep its data for recovery
+    async release() {
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+        if (this.session && !this.failed) {
+            await this.writes;
+            this.session.updatedAt = 0;
+            await this.database.put('sessions', this.session).catch(e => console.error('Error saving session:', e));
+        }
+    }
+
+    async discard() {
+        await this.writes;
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+        if (this.session) {
+            await SessionJournal.remove(this.database, this.session.id);
+        }
+    }
+
+    static lockName(sessionId) {
+        return `recording-session-${sessionId}`;
+    }
+
+    static range(sessionId) {
+        return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+    }
+
+    static async findOrphans(database, staleAfterMs = 10000) {
+        const sessions = await database.getAll('sessions');
+
+        let held = null;
+        if (navigator.locks?.query) {
+            const state = await navigator.locks.query();
+            held = new Set(state.held.map(lock => lock.name));
+        }
+
+        return sessions
+            .filter(session => held
+                ? !held.has(SessionJournal.lockName(session.id))
+                : Date.now() - session.updatedAt > staleAfterMs)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    static async assemble(database, session) {
+        const chunks = await database.run('sessionChunks', 'readonly', store => store.getAll(SessionJournal.range(session.id)));
+        return new Blob(chunks.map(chunk => chunk.blob), { type: session.mimeType });
+    }
+
+    static async remove(database, sessionId) {
+        await database.run('sessionChunks', 'readwrite', store => store.delete(SessionJournal.range(sessionId)));
+        await database.delete('sessions', sessionId);
+    }
+}
@@ -0,0 +1,317 @@
+// Plays assistant replies one after another: the server's audio when a reply
+// has some, and otherwise its text read aloud through the browser's speech
+// synthesis. Speed applies to both; voice and pitch only to read-aloud text.
+// Live conversation replies stream through StreamingAudioPlayer instead.
+class ReplyPlayer {
+    constructor({ voiceSelect, rateInput, rateOutput, pitchInput, pitchOutput, autoplaySelect, storageKey = 'replyPlayback', getLanguage = () => null, onChange = null, t }) {
+        this.voiceSelect = voiceSelect;
+        this.rateInput = rateInput;
+        this.rateOutput = rateOutput;
+        this.pitchInput = pitchInput;
+        this.pitchOutput = pitchOutput;
+        this.autoplaySelect = autoplaySelect;
+        this.storageKey = storageKey;
+        this.getLanguage = getLanguage;  // Spoken language of the conversation, for picking a voice
+        this.onChange = onChange;
+        this.t = t;  // Translates message keys, see Localizer
+
+        this.synth = window.speechSynthesis || null;
+        this.audio = new Audio();
+        this.queue = [];
+        this.current = null;  // { turn, kind: 'audio' | 'speech', ... } while a reply plays
+        this.duckedVolume = null;
+
+        this.audio.addEventListener('ended', () => this.next());
+        this.audio.addEventListener('error', () => {
+            if (this.current?.kind !== 'audio') return;
+            console.error('Error playing reply audio:', this.audio.error);
+            this.next();
+        });
+
+        const saved = this.loadSettings();
+        this.rateInput.value = saved.rate ?? '1';
+        this.pitchInput.value = saved.pitch ?? '1';
+        this.autoplaySelect.value = saved.autoplay ?? 'always';
+        this.savedVoice = saved.voice ?? '';
+
+        this.rateInput.addEventListener('input', () => {
+            this.renderValues();
+            // Read-aloud text picks the new speed up from its next sentence
+            if (this.current?.kind === 'audio') this.applyRate(this.audio);
+        });
+        this.pitchInput.addEventListener('input', () => this.renderValues());
+        [this.rateInput, this.pitchInput, this.autoplaySelect, this.voiceSelect].forEach(control => {
+            control.addEventListener('change', () => this.saveSettings());
+        });
+
+        this.handleVoicesChanged = () => this.renderVoices();
+        this.synth?.addEventListener('voiceschanged', this.handleVoicesChanged);
+        this.pitchInput.disabled = !this.synth;
+        this.renderValues();
+        this.renderVoices();
+    }
+
+    destroy() {
+        this.synth?.removeEventListener('voiceschanged', this.handleVoicesChanged);
+        this.stop();
+    }
+
+    get rate() {
+        return parseFloat(this.rateInput.value) || 1;
+    }
+
+    get pitch() {
+        return parseFloat(this.pitchInput.value) || 1;
+    }
+
+    get isPlaying() {
+        return this.current !== null;
+    }
+
+    isPlayingTurn(turn) {
+        return this.current?.turn === turn;
+    }
+
+    canPlay(turn) {
+        return Boolean(turn.audioUrl || (turn.text && this.synth));
+    }
+
+    // The auto-play setting: 'always', 'audio' (only replies the server
+    // recorded) or 'never'. Browsers may still block playback until the page
+    // has been interacted with; the reply's Play button works either way.
+    shouldAutoplay(turn) {
+        switch (this.autoplaySelect.value) {
+            case 'always':
+                return this.canPlay(turn);
+            case 'audio':
+                return Boolean(turn.audioUrl);
+            default:
+                return false;
+        }
+    }
+
+    enqueue(turn) {
+        this.queue.push(turn);
+        if (!this.current) this.next();
+    }
+
+    // Replay: drop whatever is playing or queued and play this reply now
+    play(turn) {
+        this.stop();
+        this.enqueue(turn);
+    }
+
+    stop() {
+        this.queue = [];
+        this.finishCurrent();
+        this.notify();
+    }
+
+    next() {
+        this.finishCurrent();
+        const turn = this.queue.shift();
+        if (turn?.audioUrl) {
+            this.playAudio(turn);
+        } else if (turn?.text && this.synth) {
+            this.speak(turn);
+        } else if (turn) {
+            this.next();
+            return;
+        }
+        this.notify();
+    }
+
+    finishCurrent() {
+        const current = this.current;
+        this.current = null;
+        this.duckedVolume = null;
+        if (current?.kind === 'audio') {
+            this.audio.pause();
+            this.audio.removeAttribute('src');
+            this.audio.load();
+        } else if (current?.kind === 'speech') {
+            this.synth.cancel();
+        }
+    }
+
+    playAudio(turn) {
+        this.current = { turn, kind: 'audio' };
+        this.audio.src = turn.audioUrl;
+        this.audio.volume = 1;
+        this.applyRate(this.audio);
+        this.audio.play().catch(error => {
+            // Autoplay policies may block this; the reply's Play button still works
+            console.warn('Could not play reply:', error);
+            if (this.current?.turn === turn) this.stop();
+        });
+    }
+
+    applyRate(audio) {
+        // Loading a new source resets playbackRate to defaultPlaybackRate
+        audio.defaultPlaybackRate = this.rate;
+        audio.playbackRate = this.rate;
+        audio.preservesPitch = true;
+    }
+
+    speak(turn) {
+        const current = {
+            turn,
+            kind: 'speech',
+            sentences: ReplyPlayer.splitSentences(turn.text),
+            index: 0,
+            charIndex: 0,
+            startedAt: performance.now(),
+            pausedAt: null,
+            pausedMs: 0
+        };
+        this.current = current;
+        this.speakSentence(current);
+    }
+
+    // One utterance per sentence keeps each short, which some engines need
+    // (long utterances can stop partway), and lets speed changes apply mid-reply
+    speakSentence(current) {
+        if (current !== this.current) return;
+        if (current.index >= current.sentences.length) {
+            this.next();
+            return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(current.sentences[current.index]);
+        const voice = this.selectedVoice();
+        utterance.voice = voice;
+        utterance.lang = voice?.lang || this.getLanguage() || '';
+        utterance.rate = this.rate;
+        utterance.pitch = this.pitch;
+        utterance.onboundary = (event) => {
+            current.charIndex = event.charIndex;
+        };
+        utterance.onend = () => {
+            if (current !== this.current) return;
+            current.index++;
+            current.charIndex = 0;
+            this.speakSentence(current);
+        };
+        utterance.onerror = (event) => {
+            // Cancelled by stop() or a replay
+            if (current !== this.current) return;
+            console.warn('Could not read reply aloud:', event.error);
+            if (event.error === 'not-allowed') {
+                this.stop();
+            } else {
+                current.index++;
+                this.speakSentence(current);
+            }
+        };
+        this.synth.speak(utterance);
+    }
+
+    // How much of the current reply has played, for barge-in reports
+    progress() {
+        const current = this.current;
+        if (current?.kind === 'audio') {
+            return { heardSeconds: this.audio.currentTime, duration: this.audio.duration };
+        }
+        if (current?.kind === 'speech') {
+            const pausedMs = current.pausedMs + (current.pausedAt ? performance.now() - current.pausedAt : 0);
+            const spoken = current.sentences.slice(0, current.index);
+            const partial = current.sentences[current.index]?.slice(0, current.charIndex).trim();
+            if (partial) spoken.push(partial);
+            return {
+                heardSeconds: (performance.now() - current.startedAt - pausedMs) / 1000,
+                duration: NaN,
+                // Synthesis reports which word it's on, so this is exact
+                heardText: spoken.join(' ')
+            };
+        }
+        return null;
+    }
+
+    // Quiet the reply while the user may be starting to talk over it.
+    // Synthesized speech can't change volume mid-utterance, so it pauses.
+    duck() {
+        if (this.current?.kind === 'audio' && this.duckedVolume === null) {
+            this.duckedVolume = this.audio.volume;
+            this.audio.volume *= 0.2;
+        } else if (this.current?.kind === 'speech' && !this.current.pausedAt) {
+            this.current.pausedAt = performance.now();
+            this.synth.pause();
+        }
+    }
+
+    restore() {
+        if (this.current?.kind === 'audio' && this.duckedVolume !== null) {
+            this.audio.volume = this.duckedVolume;
+            this.duckedVolume = null;
+        } else if (this.current?.kind === 'speech' && this.current.pausedAt) {
+            this.current.pausedMs += performance.now() - this.current.pausedAt;
+            this.current.pausedAt = null;
+            this.synth.resume();
+        }
+    }
+
+    selectedVoice() {
+        const voices = this.synth?.getVoices() || [];
+        const chosen = voices.find(voice => voice.voiceURI === this.voiceSelect.value);
+        if (chosen) return chosen;
+
+        // Automatic: a voice for the conversation's language, else the browser's default
+        const language = this.getLanguage();
+        if (!language) return null;
+        return voices.find(voice => voice.lang.replace('_', '-') === language)
+            || voices.find(voice => voice.lang.split(/[-_]/)[0] === language.split('-')[0])
+            || null;
+    }
+
+    renderVoices() {
+        // Voices load asynchronously in some browsers; keep the choice across refreshes
+        const selected = this.voiceSelect.value || this.savedVoice;
+        const voices = this.synth?.getVoices() || [];
+
+        this.voiceSelect.innerHTML = '';
+        this.voiceSelect.add(new Option(this.t(this.synth ? 'replies.voiceAuto' : 'replies.noVoices'), ''));
+        voices.forEach(voice => {
+            this.voiceSelect.add(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+        });
+        this.voiceSelect.value = voices.some(voice => voice.voiceURI === selected) ? selected : '';
+        this.voiceSelect.disabled = !this.synth;
+    }
+
+    renderValues() {
+        this.rateOutput.textContent = `${this.rate.toFixed(2)}×`;
+        this.pitchOutput.textContent = this.pitch.toFixed(1);
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.error('Error loading reply playback settings:', e);
+            return {};
+        }
+    }
+
+    saveSettings() {
+        this.savedVoice = this.voiceSelect.value;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                voice: this.voiceSelect.value,
+                rate: this.rateInput.value,
+                pitch: this.pitchInput.value,
+                autoplay: this.autoplaySelect.value
+            }));
+        } catch (e) {
+            console.error('Error saving reply playback settings:', e);
+        }
+    }
+
+    static splitSentences(text) {
+        // Only punctuation followed by a space ends a sentence, so "3.5" stays
+        // whole; the danda ends sentences in Hindi and other Indic scripts
+        return text.split(/(?<=[.!?।])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    }
+}
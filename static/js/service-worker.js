@@ -0,0 +1,113 @@
+// Service worker for the recorder page, served at /service-worker.js (see
+// main.py) so its scope is the whole site rather than /static/. It keeps the
+// page and everything it loads in a cache, so the recorder still opens
+// without a connection. Requests go to the network first, so an online visit
+// always gets a page and scripts that match; the cache answers when the
+// network fails or is too slow. API calls and the WebSocket are left alone:
+// takes recorded offline wait in the page's upload outbox (outbox.js).
+const CACHE_NAME = 'voice-recorder-v5';
+const NETWORK_TIMEOUT = 4000;  // On a weak signal, show the cached copy after this long
+
+const PRECACHE_URLS = [
+    '/',
+    '/static/manifest.json',
+    '/static/css/style.css',
+    '/static/icons/app.svg',
+    '/static/icons/mic.svg',
+    '/static/icons/pause.svg',
+    '/static/icons/stop.svg',
+    '/static/js/i18n.js',
+    '/static/js/locales.js',
+    '/static/js/uploader.js',
+    '/static/js/chunk-uploader.js',
+    '/static/js/outbox.js',
+    '/static/js/conversation.js',
+    '/static/js/streaming.js',
+    '/static/js/reply-player.js',
+    '/static/js/vad.js',
+    '/static/js/visualizer.js',
+    '/static/js/transcoder.js',
+    '/static/js/metadata.js',
+    '/static/js/transcript.js',
+    '/static/js/editor.js',
+    '/static/js/processing.js',
+    '/static/js/noise-gate-processor.js',
+    '/static/js/devices.js',
+    '/static/js/storage.js',
+    '/static/js/zip.js',
+    '/static/js/library.js',
+    '/static/js/recovery.js',
+    '/static/js/limits.js',
+    '/static/js/shortcuts.js',
+    '/static/js/diagnostics.js',
+    '/static/js/recorder.js',
+    '/static/js/voice-recorder-element.js',
+    'https://cdn.replit.com/agent/bootstrap-agent-dark-theme.min.css'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.all(PRECACHE_URLS.map(url => precache(cache, url)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET' || !isCached(event.request)) return;
+    event.respondWith(networkFirst(event.request));
+});
+
+async function precache(cache, url) {
+    if (new URL(url, self.location.href).origin === self.location.origin) {
+        return cache.add(url);
+    }
+    // The CDN stylesheet has no CORS headers; an opaque copy still works in a <link>
+    try {
+        await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+    } catch (error) {
+        console.warn(`Could not cache ${url}:`, error);
+    }
+}
+
+function isCached(request) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return PRECACHE_URLS.includes(request.url);
+    }
+    return request.mode === 'navigate' ? url.pathname === '/' : url.pathname.startsWith('/static/');
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    // Settled below when there's no cached copy; don't report it twice
+    network.catch(() => {});
+
+    try {
+        const response = await Promise.race([
+            network,
+            new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+        ]);
+        if (response) return response;
+    } catch (error) {
+        console.warn(`Network request failed, trying the cache: ${request.url}`, error);
+    }
+
+    // "/?replyProvider=echo" is still the page cached as "/"
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    return cached || network;
+}
@@ -0,0 +1,211 @@
+// Keyboard shortcuts for the recorder, plus hold-Space push-to-talk. Bindings
+// are KeyboardEvent.code values with optional modifiers ("Shift+KeyR"), so
+// they stay on the same physical keys whatever the keyboard layout.
+class KeyboardShortcuts {
+    constructor({ target, actions, list, resetButton, pushToTalkToggle, onPushToTalk, storageKey = 'keyboardShortcuts', signal, t }) {
+        this.target = target;
+        this.actions = actions;  // { name: { label, run, button } }, label being a message key
+        this.t = t;  // Translates message keys, see Localizer
+        this.list = list;
+        this.resetButton = resetButton;
+        this.pushToTalkToggle = pushToTalkToggle;
+        this.onPushToTalk = onPushToTalk;
+        this.storageKey = storageKey;
+        this.signal = signal;  // Aborting it removes every listener added here
+
+        const saved = this.load() || {};
+        this.bindings = { ...KeyboardShortcuts.defaults, ...saved.bindings };
+        this.pushToTalkToggle.checked = Boolean(saved.pushToTalk);
+        this.capturing = null;
+        this.pushToTalkHeld = false;
+
+        this.handleKeyDown = (event) => this.keyDown(event);
+        this.handleKeyUp = (event) => this.keyUp(event);
+        this.handleBlur = () => this.releasePushToTalk();
+        this.target.addEventListener('keydown', this.handleKeyDown, { signal });
+        this.target.addEventListener('keyup', this.handleKeyUp, { signal });
+        window.addEventListener('blur', this.handleBlur, { signal });
+
+        this.pushToTalkToggle.addEventListener('change', () => {
+            this.releasePushToTalk();
+            this.save();
+        }, { signal });
+        this.resetButton.addEventListener('click', () => {
+            this.bindings = { ...KeyboardShortcuts.defaults };
+            this.save();
+            this.render();
+        }, { signal });
+
+        this.render();
+    }
+
+    destroy() {
+        this.target.removeEventListener('keydown', this.handleKeyDown);
+        this.target.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.handleBlur);
+    }
+
+    get pushToTalk() {
+        return this.pushToTalkToggle.checked;
+    }
+
+    keyDown(event) {
+        if (this.capturing) {
+            this.capture(event);
+            return;
+        }
+        if (event.defaultPrevented || KeyboardShortcuts.isTyping(event)) return;
+
+        // Space still toggles a focused checkbox or switch, including the push-to-talk one
+        const onInput = event.composedPath()[0].tagName === 'INPUT';
+        if (this.pushToTalk && event.code === 'Space' && !onInput && !KeyboardShortcuts.hasModifier(event)) {
+            // Also stops a focused button from being clicked by the Space key
+            event.preventDefault();
+            if (!event.repeat && !this.pushToTalkHeld) {
+                this.pushToTalkHeld = true;
+                this.onPushToTalk(true);
+            }
+            return;
+        }
+
+        if (event.repeat) return;
+        const combo = KeyboardShortcuts.comboFor(event);
+        const name = Object.keys(this.actions).find(action => this.bindings[action] === combo);
+        if (!name) return;
+
+        event.preventDefault();
+        this.actions[name].run();
+    }
+
+    keyUp(event) {
+        if (this.pushToTalkHeld && event.code === 'Space') {
+            event.preventDefault();
+            this.releasePushToTalk();
+        }
+    }
+
+    releasePushToTalk() {
+        if (!this.pushToTalkHeld) return;
+        this.pushToTalkHeld = false;
+        this.onPushToTalk(false);
+    }
+
+    startCapture(name) {
+        this.capturing = name;
+        this.render();
+        this.list.querySelector(`[data-action="${name}"]`)?.focus();
+    }
+
+    capture(event) {
+        // Wait for the key that goes with the modifiers
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const name = this.capturing;
+        this.capturing = null;
+        if (event.key !== 'Escape') {
+            const combo = KeyboardShortcuts.comboFor(event);
+            // Hand the old key to whichever action the new one is taken from
+            const previousOwner = Object.keys(this.bindings).find(action => this.bindings[action] === combo);
+            if (previousOwner && previousOwner !== name) {
+                this.bindings[previousOwner] = this.bindings[name];
+            }
+            this.bindings[name] = combo;
+            this.save();
+        }
+        this.render();
+        this.list.querySelector(`[data-action="${name}"]`)?.focus();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        Object.entries(this.actions).forEach(([name, action]) => {
+            const keys = KeyboardShortcuts.format(this.bindings[name]);
+            const actionLabel = this.t(action.label);
+            action.button?.setAttribute('aria-keyshortcuts', keys);
+
+            const item = document.createElement('li');
+            item.className = 'shortcut-item';
+
+            const label = document.createElement('span');
+            label.textContent = actionLabel;
+
+            const key = document.createElement('kbd');
+            key.textContent = keys;
+
+            const change = document.createElement('button');
+            change.type = 'button';
+            change.className = 'btn btn-outline-secondary btn-sm';
+            change.dataset.action = name;
+            if (this.capturing === name) {
+                change.textContent = this.t('shortcuts.pressKey');
+                change.setAttribute('aria-label', this.t('shortcuts.pressKeyLabel', { action: actionLabel }));
+            } else {
+                change.textContent = this.t('shortcuts.change');
+                change.setAttribute('aria-label', this.t('shortcuts.changeLabel', { action: actionLabel, keys }));
+            }
+            change.addEventListener('click', () => this.startCapture(name), { signal: this.signal });
+
+            item.append(label, key, change);
+            this.list.appendChild(item);
+        });
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.error('Error loading keyboard shortcuts:', e);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                bindings: this.bindings,
+                pushToTalk: this.pushToTalk
+            }));
+        } catch (e) {
+            console.error('Error persisting keyboard shortcuts:', e);
+        }
+    }
+
+    static comboFor(event) {
+        return [
+            event.ctrlKey && 'Ctrl',
+            event.altKey && 'Alt',
+            event.shiftKey && 'Shift',
+            event.metaKey && 'Meta',
+            event.code
+        ].filter(Boolean).join('+');
+    }
+
+    static hasModifier(event) {
+        return event.ctrlKey || event.altKey || event.shiftKey || event.metaKey;
+    }
+
+    // Typing into a field must never trigger a shortcut
+    static isTyping(event) {
+        const element = event.composedPath()[0];
+        if (element.isContentEditable) return true;
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+        return element.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(element.type);
+    }
+
+    // "Shift+KeyR" -> "Shift+R", which is also the aria-keyshortcuts syntax
+    static format(combo) {
+        return combo.split('+')
+            .map(part => part.replace(/^Key(?=[A-Z]$)/, '').replace(/^Digit(?=\d$)/, ''))
+            .join('+');
+    }
+}
+
+KeyboardShortcuts.defaults = {
+    toggleRecord: 'KeyR',
+    stop: 'KeyS',
+    pause: 'KeyP',
+    play: 'KeyK',
+    download: 'KeyD'
+};
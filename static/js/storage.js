@@ -0,0 +1,65 @@
+class LocalDatabase {
+    constructor(name = 'voiceRecorder') {
+        this.name = name;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, LocalDatabase.version);
+                request.onupgradeneeded = (event) => LocalDatabase.upgrade(request.result, event.oldVersion);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('Database upgrade is waiting for other tabs to close');
+            });
+            // Let a later call try again instead of caching the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Each schema version only adds to the previous one
+    static upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const recordings = db.createObjectStore('recordings', { keyPath: 'id' });
+            recordings.createIndex('createdAt', 'createdAt');
+        }
+        if (oldVersion < 2) {
+            // Crash journal: chunks are keyed by [sessionId, sequence] so they read back in order
+            db.createObjectStore('sessions', { keyPath: 'id' });
+            db.createObjectStore('sessionChunks', { keyPath: ['sessionId', 'sequence'] });
+        }
+    }
+
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+}
+
+LocalDatabase.version = 2;
@@ -0,0 +1,271 @@
+// Live conversation turns over a WebSocket (see /ws/conversations/<id> in
+// main.py). Audio is sent in sequence-numbered frames while the take is
+// recorded; the server answers with partial transcripts, the reply text as
+// it is produced and the reply audio as it arrives.
+class StreamingTransport {
+    constructor({ url, onEvent, onAudio, options = {} }) {
+        this.url = url;
+        this.onEvent = onEvent;
+        this.onAudio = onAudio;
+
+        this.highWaterMark = options.highWaterMark ?? 256 * 1024;  // Bytes queued in the socket before we hold back
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+        this.reconnectDelay = options.reconnectDelay ?? 500;
+
+        this.streamId = crypto.randomUUID().replace(/-/g, '');
+        this.mimeType = null;
+        this.language = null;
+        this.socket = null;
+        this.ready = false;
+        this.frames = [];        // Sent or waiting, until the server acknowledges them
+        this.unsent = 0;         // Index into frames of the first frame not yet sent
+        this.nextSequence = 0;
+        this.encoding = Promise.resolve();
+        this.stopping = false;
+        this.closed = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimeout = null;
+        this.pumpTimeout = null;
+        this.result = null;
+    }
+
+    static urlFor(conversationId, baseUrl = window.location.origin) {
+        const url = new URL(`ws/conversations/${conversationId}`, baseUrl);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        return url.href;
+    }
+
+    start(mimeType, { language = null } = {}) {
+        this.mimeType = mimeType;
+        this.language = language;
+        this.result = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+        // Settled by finish() or abort(); keep an early failure from going unhandled
+        this.result.catch(() => {});
+        this.connect();
+    }
+
+    send(blob) {
+        if (this.closed) return;
+        // blob.arrayBuffer() is async, so chain the conversions to keep frames in order
+        this.encoding = this.encoding.then(async () => {
+            const audio = new Uint8Array(await blob.arrayBuffer());
+            const frame = new Uint8Array(4 + audio.length);
+            new DataView(frame.buffer).setUint32(0, this.nextSequence);
+            frame.set(audio, 4);
+            this.frames.push({ sequence: this.nextSequence, data: frame.buffer });
+            this.nextSequence++;
+            this.pump();
+        });
+    }
+
+    // Resolves with the server's "done" event once the reply has been received
+    async finish() {
+        await this.encoding;
+        this.stopping = true;
+        this.pump();
+        return this.result;
+    }
+
+    abort() {
+        this.close();
+        this.reject?.(new Error('Stream aborted'));
+    }
+
+    connect() {
+        this.ready = false;
+        const socket = new WebSocket(this.url);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ type: 'start', streamId: this.streamId, mimeType: this.mimeType, language: this.language }));
+        };
+        socket.onmessage = (event) => {
+            if (typeof event.data === 'string') {
+                this.handleEvent(JSON.parse(event.data));
+            } else {
+                this.onAudio(event.data);
+            }
+        };
+        socket.onclose = () => {
+            if (socket === this.socket) this.handleDisconnect();
+        };
+    }
+
+    handleDisconnect() {
+        this.ready = false;
+        if (this.closed) return;
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.fail(new Error('Lost the connection to the server'));
+            return;
+        }
+        const delay = this.reconnectDelay * 2 ** this.reconnectAttempts;
+        this.reconnectAttempts++;
+        console.warn(`Stream disconnected, reconnecting in ${delay} ms`);
+        this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+    }
+
+    handleEvent(event) {
+        switch (event.type) {
+            case 'ready':
+                // Resend everything the server doesn't have yet
+                this.ready = true;
+                this.reconnectAttempts = 0;
+                this.acknowledge(event.nextSequence);
+                this.unsent = 0;
+                this.pump();
+                break;
+            case 'ack':
+                this.acknowledge(event.nextSequence);
+                break;
+            case 'done':
+                this.close();
+                this.resolve(event);
+                break;
+            case 'error':
+                this.fail(new Error(event.error));
+                break;
+            default:
+                this.onEvent(event);
+        }
+    }
+
+    acknowledge(nextSequence) {
+        const acknowledged = this.frames.findIndex(frame => frame.sequence >= nextSequence);
+        const count = acknowledged < 0 ? this.frames.length : acknowledged;
+        this.frames.splice(0, count);
+        this.unsent = Math.max(0, this.unsent - count);
+    }
+
+    pump() {
+        clearTimeout(this.pumpTimeout);
+        if (!this.ready || this.closed) return;
+
+        // Backpressure: leave frames queued here while the socket is still
+        // busy with earlier ones, rather than piling everything into its buffer
+        while (this.unsent < this.frames.length) {
+            if (this.socket.bufferedAmount > this.highWaterMark) {
+                this.pumpTimeout = setTimeout(() => this.pump(), 50);
+                return;
+            }
+            this.socket.send(this.frames[this.unsent].data);
+            this.unsent++;
+        }
+
+        if (this.stopping) {
+            this.socket.send(JSON.stringify({ type: 'stop', totalFrames: this.nextSequence }));
+        }
+    }
+
+    fail(error) {
+        this.close();
+        this.reject?.(error);
+    }
+
+    close() {
+        this.closed = true;
+        this.ready = false;
+        clearTimeout(this.reconnectTimeout);
+        clearTimeout(this.pumpTimeout);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.frames = [];
+    }
+}
+
+// Plays reply audio while it is still arriving. Uses Media Source Extensions
+// when the browser can stream the format, and otherwise plays the whole
+// reply once the last of it has arrived.
+class StreamingAudioPlayer {
+    constructor() {
+        this.audio = new Audio();
+        this.reset();
+    }
+
+    reset() {
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.queue = [];
+        this.chunks = null;
+        this.mimeType = null;
+        this.ended = false;
+    }
+
+    get isPlaying() {
+        return !this.audio.paused && !this.audio.ended;
+    }
+
+    begin(mimeType) {
+        this.stop();
+        this.mimeType = mimeType;
+
+        if (!window.MediaSource?.isTypeSupported(mimeType)) {
+            this.chunks = [];
+            return;
+        }
+
+        const mediaSource = new MediaSource();
+        this.mediaSource = mediaSource;
+        mediaSource.addEventListener('sourceopen', () => {
+            if (mediaSource !== this.mediaSource) return;
+            this.sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+            this.sourceBuffer.addEventListener('updateend', () => this.flush());
+            this.flush();
+        }, { once: true });
+        this.audio.src = URL.createObjectURL(mediaSource);
+        this.play();
+    }
+
+    append(data) {
+        if (this.chunks) {
+            this.chunks.push(data);
+        } else if (this.mediaSource) {
+            this.queue.push(data);
+            this.flush();
+        }
+    }
+
+    end() {
+        this.ended = true;
+        if (this.chunks) {
+            this.audio.src = URL.createObjectURL(new Blob(this.chunks, { type: this.mimeType }));
+            this.chunks = null;
+            this.play();
+        } else {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (!this.sourceBuffer || this.sourceBuffer.updating) return;
+        if (this.queue.length > 0) {
+            this.sourceBuffer.appendBuffer(this.queue.shift());
+        } else if (this.ended && this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    play() {
+        this.audio.play().catch(error => {
+            // Autoplay policies may block this; the reply is still in the conversation
+            console.warn('Could not auto-play reply:', error);
+        });
+    }
+
+    stop() {
+        this.audio.pause();
+        if (this.audio.src) {
+            URL.revokeObjectURL(this.audio.src);
+            this.audio.removeAttribute('src');
+            this.audio.load();
+        }
+        this.reset();
+    }
+}
@@ -0,0 +1,166 @@
+class AudioTranscoder {
+    static extensionFor(mimeType) {
+        const subtype = mimeType.split('/')[1].split(';')[0];
+        return AudioTranscoder.extensions[subtype] || subtype;
+    }
+
+    static getOfflineContextClass() {
+        return window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    }
+
+    // decodeAudioData resamples to the decoding context's rate, so decoding
+    // through an offline context at the target rate doubles as resampling.
+    static async decode(blob, sampleRate) {
+        const OfflineContextClass = AudioTranscoder.getOfflineContextClass();
+        const context = new OfflineContextClass(1, 1, sampleRate);
+        return context.decodeAudioData(await blob.arrayBuffer());
+    }
+
+    static async mixChannels(buffer, channels) {
+        if (channels === buffer.numberOfChannels) return buffer;
+
+        // The destination's channel count makes Web Audio up- or down-mix for us
+        const OfflineContextClass = AudioTranscoder.getOfflineContextClass();
+        const context = new OfflineContextClass(channels, buffer.length, buffer.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start();
+        return context.startRendering();
+    }
+
+    // Separately recorded files can't be joined byte-wise, so decode and join the audio
+    static async concatenate(blobs, sampleRate) {
+        const buffers = await Promise.all(blobs.map(blob => AudioTranscoder.decode(blob, sampleRate)));
+        const channels = Math.max(...buffers.map(buffer => buffer.numberOfChannels));
+        const length = buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+        const result = new AudioBuffer({ length, numberOfChannels: channels, sampleRate });
+
+        let offset = 0;
+        for (const buffer of buffers) {
+            for (let channel = 0; channel < channels; channel++) {
+                // A mono piece fills every channel of a stereo result
+                const data = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+                result.copyToChannel(data, channel, offset);
+            }
+            offset += buffer.length;
+        }
+        return result;
+    }
+
+    static async transcode(blob, { format = 'wav16', sampleRate, channels = null }) {
+        const settings = AudioTranscoder.formats[format];
+        if (!settings) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        if (format === 'original') {
+            return { blob, extension: AudioTranscoder.extensionFor(blob.type) };
+        }
+
+        const decoded = await AudioTranscoder.decode(blob, sampleRate);
+        const buffer = await AudioTranscoder.mixChannels(decoded, channels || decoded.numberOfChannels);
+        return {
+            blob: AudioTranscoder.encodeWav(buffer, settings),
+            extension: settings.extension
+        };
+    }
+
+    // One mono WAV per channel, for takes recorded with each source on its own channel
+    static async splitChannels(blob, { format = 'wav16', sampleRate }) {
+        const settings = AudioTranscoder.formats[format]?.extension
+            ? AudioTranscoder.formats[format]
+            : AudioTranscoder.formats.wav16;
+        const decoded = await AudioTranscoder.decode(blob, sampleRate);
+        return Array.from({ length: decoded.numberOfChannels }, (_, channel) => {
+            const buffer = new AudioBuffer({ length: decoded.length, numberOfChannels: 1, sampleRate: decoded.sampleRate });
+            buffer.copyToChannel(decoded.getChannelData(channel), 0);
+            return { blob: AudioTranscoder.encodeWav(buffer, settings), extension: settings.extension };
+        });
+    }
+
+    static encodeWav(buffer, { float = false } = {}) {
+        const channels = buffer.numberOfChannels;
+        const bytesPerSample = float ? 4 : 2;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = buffer.length * blockAlign;
+        // Non-PCM formats need the extended fmt chunk and a fact chunk
+        const fmtSize = float ? 18 : 16;
+        const factSize = float ? 12 : 0;
+        const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+        const view = new DataView(new ArrayBuffer(headerSize + dataSize));
+        let offset = 0;
+        const writeString = (value) => {
+            for (let i = 0; i < value.length; i++) {
+                view.setUint8(offset++, value.charCodeAt(i));
+            }
+        };
+        const writeUint32 = (value) => {
+            view.setUint32(offset, value, true);
+            offset += 4;
+        };
+        const writeUint16 = (value) => {
+            view.setUint16(offset, value, true);
+            offset += 2;
+        };
+
+        writeString('RIFF');
+        writeUint32(headerSize - 8 + dataSize);
+        writeString('WAVE');
+
+        writeString('fmt ');
+        writeUint32(fmtSize);
+        writeUint16(float ? 3 : 1);  // 3 = IEEE float, 1 = PCM
+        writeUint16(channels);
+        writeUint32(buffer.sampleRate);
+        writeUint32(buffer.sampleRate * blockAlign);
+        writeUint16(blockAlign);
+        writeUint16(bytesPerSample * 8);
+        if (float) {
+            writeUint16(0);
+            writeString('fact');
+            writeUint32(4);
+            writeUint32(buffer.length);
+        }
+
+        writeString('data');
+        writeUint32(dataSize);
+
+        const channelData = Array.from({ length: channels }, (_, i) => buffer.getChannelData(i));
+        for (let i = 0; i < buffer.length; i++) {
+            for (const data of channelData) {
+                const sample = Math.max(-1, Math.min(1, data[i]));
+                if (float) {
+                    view.setFloat32(offset, sample, true);
+                    offset += 4;
+                } else {
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                    offset += 2;
+                }
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    // Size of the 16-bit WAV encodeWav() makes of this much audio
+    static wavSize(seconds, sampleRate, channels) {
+        return 44 + Math.ceil(seconds * sampleRate) * channels * 2;
+    }
+}
+
+// Labels are message keys, see locales.js
+AudioTranscoder.formats = {
+    original: { label: 'export.formatOriginal' },
+    wav16: { label: 'export.formatWav16', extension: 'wav' },
+    wav32f: { label: 'export.formatWav32f', extension: 'wav', float: true }
+};
+
+// MIME subtypes whose usual file extension differs from the subtype itself
+AudioTranscoder.extensions = {
+    mp4: 'm4a',
+    'x-m4a': 'm4a',
+    mpeg: 'mp3',
+    wave: 'wav',
+    'x-wav': 'wav'
+};
@@ -0,0 +1,201 @@
+// Transcription providers turn an audio blob into a transcript of the shape
+// { text, language, words: [{ word, start, end }] } with times in seconds.
+
+class ServerTranscriptionProvider {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/transcriptions';
+    }
+
+    async transcribe({ blob, mimeType, language }) {
+        const formData = new FormData();
+        formData.append('audio', blob, `recording.${AudioTranscoder.extensionFor(mimeType)}`);
+        formData.append('mimeType', mimeType);
+        if (language) formData.append('language', language);
+
+        const response = await fetch(this.endpoint, { method: 'POST', body: formData });
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(body?.error || `Transcription failed with status ${response.status}`);
+        }
+        return { text: body.text, language: body.language || null, words: body.words || [] };
+    }
+}
+
+class TranscriptView {
+    constructor({ container, wordList, status, player, provider, downloadButtons, t }) {
+        this.container = container;
+        this.wordList = wordList;
+        this.status = status;
+        this.player = player;
+        this.provider = provider;
+        this.downloadButtons = downloadButtons;  // { txt: button, srt: button, vtt: button }
+        this.t = t;  // Translates message keys, see Localizer
+
+        this.transcript = null;
+        this.wordElements = [];
+        this.currentIndex = -1;
+        this.request = 0;
+        this.statusKey = null;
+
+        Object.entries(downloadButtons).forEach(([format, button]) => {
+            button.addEventListener('click', () => this.download(format));
+        });
+
+        const highlight = () => this.highlightCurrentWord();
+        ['timeupdate', 'seeked'].forEach(type => this.player.addEventListener(type, highlight));
+    }
+
+    async transcribe(recording) {
+        // A newer take may finish first; only the latest request gets to render
+        const request = ++this.request;
+        this.transcript = null;
+        this.render();
+        this.setStatus('transcript.transcribing');
+        this.container.classList.remove('d-none');
+
+        try {
+            const transcript = await this.provider.transcribe(recording);
+            if (request !== this.request) return;
+            this.transcript = transcript;
+            this.setStatus(transcript.words.length ? null : 'transcript.noSpeech');
+            this.render();
+        } catch (error) {
+            if (request !== this.request) return;
+            console.error('Error transcribing recording:', error);
+            this.setStatus('transcript.unavailable', 'error');
+        }
+    }
+
+    clear() {
+        this.request++;
+        this.transcript = null;
+        this.render();
+        this.setStatus(null);
+        this.container.classList.add('d-none');
+    }
+
+    // Kept as a message key so it can be shown again in another language
+    setStatus(key, type = 'info') {
+        this.statusKey = key;
+        this.status.textContent = key ? this.t(key) : '';
+        this.status.classList.toggle('error', type === 'error');
+    }
+
+    renderStatus() {
+        this.status.textContent = this.statusKey ? this.t(this.statusKey) : '';
+    }
+
+    render() {
+        this.wordList.innerHTML = '';
+        this.wordElements = [];
+        this.currentIndex = -1;
+
+        const words = this.transcript?.words || [];
+        if (this.transcript?.language) {
+            this.wordList.lang = this.transcript.language;
+        }
+        words.forEach((word, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'transcript-word';
+            button.textContent = word.word;
+            button.title = `${word.start.toFixed(1)}s`;
+            button.addEventListener('click', () => this.seekTo(index));
+            this.wordElements.push(button);
+            this.wordList.append(button, ' ');
+        });
+
+        Object.values(this.downloadButtons).forEach(button => {
+            button.disabled = words.length === 0;
+        });
+        this.highlightCurrentWord();
+    }
+
+    seekTo(index) {
+        this.player.currentTime = this.transcript.words[index].start;
+        this.highlightCurrentWord();
+    }
+
+    highlightCurrentWord() {
+        const words = this.transcript?.words || [];
+        const time = this.player.currentTime;
+        // Stay on the last word that started, so the highlight doesn't flicker in the gaps between words
+        let index = -1;
+        for (let i = 0; i < words.length && words[i].start <= time; i++) {
+            index = i;
+        }
+        if (index === this.currentIndex) return;
+
+        const previous = this.wordElements[this.currentIndex];
+        previous?.classList.remove('current');
+        previous?.removeAttribute('aria-current');
+
+        const current = this.wordElements[index];
+        current?.classList.add('current');
+        current?.setAttribute('aria-current', 'true');
+        this.currentIndex = index;
+    }
+
+    download(format) {
+        if (!this.transcript) return;
+        const formats = {
+            txt: ['text/plain', () => TranscriptView.toText(this.transcript)],
+            srt: ['application/x-subrip', () => TranscriptView.toSrt(this.transcript)],
+            vtt: ['text/vtt', () => TranscriptView.toVtt(this.transcript)]
+        };
+        const [type, serialize] = formats[format];
+        RecordingLibrary.saveBlob(new Blob([serialize()], { type }), `transcript.${format}`);
+    }
+
+    static toText(transcript) {
+        return `${transcript.text.trim()}\n`;
+    }
+
+    static toSrt(transcript) {
+        return TranscriptView.toCues(transcript.words)
+            .map((cue, index) => [
+                index + 1,
+                `${TranscriptView.formatTimestamp(cue.start, ',')} --> ${TranscriptView.formatTimestamp(cue.end, ',')}`,
+                cue.text
+            ].join('\n'))
+            .join('\n\n') + '\n';
+    }
+
+    static toVtt(transcript) {
+        const cues = TranscriptView.toCues(transcript.words).map(cue => [
+            `${TranscriptView.formatTimestamp(cue.start, '.')} --> ${TranscriptView.formatTimestamp(cue.end, '.')}`,
+            cue.text
+        ].join('\n'));
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+
+    // Group words into subtitle-sized cues, breaking after sentences or long lines
+    static toCues(words, { maxWords = 8, maxSeconds = 4 } = {}) {
+        const cues = [];
+        let current = null;
+
+        words.forEach(word => {
+            if (!current) {
+                current = { start: word.start, end: word.end, words: [] };
+                cues.push(current);
+            }
+            current.words.push(word.word);
+            current.end = word.end;
+
+            if (/[.!?]$/.test(word.word) || current.words.length >= maxWords || current.end - current.start >= maxSeconds) {
+                current = null;
+            }
+        });
+
+        return cues.map(cue => ({ start: cue.start, end: cue.end, text: cue.words.join(' ') }));
+    }
+
+    static formatTimestamp(seconds, separator) {
+        const totalMs = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+    }
+}
@@ -0,0 +1,92 @@
+class RecordingUploader {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/recordings';
+        this.maxRetryAttempts = options.maxRetryAttempts ?? 3;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.maxBytes = options.maxBytes ?? null;  // Largest upload the server accepts
+        this.currentRequest = null;
+    }
+
+    async upload(blob, { mimeType = blob.type, language = null, onProgress, onRetry } = {}) {
+        if (this.maxBytes && blob.size > this.maxBytes) {
+            const limit = (this.maxBytes / (1024 * 1024)).toFixed(1);
+            throw Object.assign(new Error(`Recording is larger than the ${limit} MB the server accepts`), {
+                status: 413,
+                retryable: false
+            });
+        }
+
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetryAttempts; attempt++) {
+            if (attempt > 0) {
+                if (onRetry) onRetry(attempt, lastError);
+                // Back off a little more on every failed attempt
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+            }
+
+            try {
+                return await this.send(blob, mimeType, language, onProgress);
+            } catch (error) {
+                console.warn(`Upload attempt ${attempt + 1} failed:`, error);
+                lastError = error;
+                if (!error.retryable) break;
+            }
+        }
+
+        throw lastError;
+    }
+
+    send(blob, mimeType, language, onProgress) {
+        return new Promise((resolve, reject) => {
+            const extension = mimeType.split('/')[1].split(';')[0];
+            const formData = new FormData();
+            formData.append('audio', blob, `recording.${extension}`);
+            formData.append('mimeType', mimeType);
+            if (language) formData.append('language', language);
+
+            // XMLHttpRequest rather than fetch so we get upload progress events
+            const xhr = new XMLHttpRequest();
+            this.currentRequest = xhr;
+            xhr.open('POST', this.endpoint);
+            xhr.responseType = 'json';
+
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable && onProgress) {
+                    onProgress(event.loaded / event.total);
+                }
+            };
+
+            xhr.onload = () => {
+                this.currentRequest = null;
+                if (xhr.status >= 200 && xhr.status < 300 && xhr.response?.id) {
+                    resolve(xhr.response);
+                    return;
+                }
+                const message = xhr.response?.error || `Upload failed with status ${xhr.status}`;
+                reject(Object.assign(new Error(message), {
+                    status: xhr.status,
+                    retryable: xhr.status >= 500 || xhr.status === 408 || xhr.status === 429
+                }));
+            };
+
+            xhr.onerror = () => {
+                this.currentRequest = null;
+                reject(Object.assign(new Error('Network error during upload'), { retryable: true }));
+            };
+
+            xhr.onabort = () => {
+                this.currentRequest = null;
+                reject(Object.assign(new Error('Upload cancelled'), { retryable: false }));
+            };
+
+            xhr.send(formData);
+        });
+    }
+
+    cancel() {
+        if (this.currentRequest) {
+            this.currentRequest.abort();
+        }
+    }
+}
@@ -0,0 +1,139 @@
+class VoiceActivityDetector {
+    constructor(options = {}) {
+        this.speechRatio = options.speechRatio ?? 3;          // Speech must be this many times louder than the noise floor
+        this.releaseRatio = options.releaseRatio ?? 1.8;      // ...and counts as silence again below this
+        this.minThreshold = options.minThreshold ?? 0.01;     // RMS floor so a dead-quiet room doesn't trigger on breathing
+        this.minSpeechMs = options.minSpeechMs ?? 200;
+        this.silenceMs = options.silenceMs ?? 1500;
+        this.calibrationMs = options.calibrationMs ?? 1000;
+        this.intervalMs = options.intervalMs ?? 50;
+
+        this.onSpeechStart = options.onSpeechStart || null;
+        this.onSpeechEnd = options.onSpeechEnd || null;
+        this.onLevel = options.onLevel || null;
+
+        this.audioContext = null;
+        this.source = null;
+        this.analyser = null;
+        this.samples = null;
+        this.interval = null;
+        this.reset();
+    }
+
+    reset() {
+        this.noiseFloor = 0;
+        this.calibrationSamples = [];
+        this.calibrating = true;
+        this.speaking = false;
+        this.aboveSince = null;
+        this.belowSince = null;
+    }
+
+    async start(stream) {
+        this.stop();
+        this.reset();
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new AudioContextClass();
+        // Contexts created outside a user gesture start suspended in some browsers
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.source.connect(this.analyser);
+
+        this.calibrationEndsAt = performance.now() + this.calibrationMs;
+        this.interval = setInterval(() => this.tick(), this.intervalMs);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close().catch(e => console.error('Error closing audio context:', e));
+            this.audioContext = null;
+        }
+        this.analyser = null;
+    }
+
+    get isRunning() {
+        return this.interval !== null;
+    }
+
+    setSilenceDuration(ms) {
+        this.silenceMs = ms;
+    }
+
+    measureLevel() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        let sum = 0;
+        for (const sample of this.samples) {
+            sum += sample * sample;
+        }
+        return Math.sqrt(sum / this.samples.length);
+    }
+
+    tick() {
+        const now = performance.now();
+        const level = this.measureLevel();
+
+        if (this.calibrating) {
+            this.calibrationSamples.push(level);
+            if (now >= this.calibrationEndsAt) {
+                this.noiseFloor = this.calibrationSamples.reduce((a, b) => a + b, 0) / this.calibrationSamples.length;
+                this.calibrating = false;
+            }
+            return;
+        }
+
+        const startThreshold = Math.max(this.noiseFloor * this.speechRatio, this.minThreshold);
+        const stopThreshold = Math.max(this.noiseFloor * this.releaseRatio, this.minThreshold * 0.6);
+
+        if (this.onLevel) {
+            this.onLevel({ level, noiseFloor: this.noiseFloor, threshold: startThreshold, speaking: this.speaking });
+        }
+
+        if (!this.speaking) {
+            this.adaptNoiseFloor(level);
+
+            if (level >= startThreshold) {
+                this.aboveSince = this.aboveSince ?? now;
+                if (now - this.aboveSince >= this.minSpeechMs) {
+                    this.speaking = true;
+                    this.belowSince = null;
+                    if (this.onSpeechStart) this.onSpeechStart();
+                }
+            } else {
+                this.aboveSince = null;
+            }
+            return;
+        }
+
+        if (level < stopThreshold) {
+            this.belowSince = this.belowSince ?? now;
+            if (now - this.belowSince >= this.silenceMs) {
+                this.speaking = false;
+                this.aboveSince = null;
+                if (this.onSpeechEnd) this.onSpeechEnd();
+            }
+        } else {
+            this.belowSince = null;
+        }
+    }
+
+    adaptNoiseFloor(level) {
+        // Follow a quieter room quickly, a noisier one slowly so speech onsets don't drag it up
+        const rate = level < this.noiseFloor ? 0.2 : 0.02;
+        this.noiseFloor += (level - this.noiseFloor) * rate;
+    }
+}
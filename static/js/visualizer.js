@@ -0,0 +1,276 @@
+class AudioVisualizer {
+    constructor({ canvas, meter, onWarning = null, onLevel = null, options = {} }) {
+        this.canvas = canvas;
+        this.context2d = canvas.getContext('2d');
+        this.meterRms = meter.querySelector('.level-meter-rms');
+        this.meterPeak = meter.querySelector('.level-meter-peak');
+        this.meter = meter;
+        this.onWarning = onWarning;
+        this.onLevel = onLevel;
+
+        this.clipLevel = options.clipLevel ?? 0.99;
+        this.silenceLevel = options.silenceLevel ?? 0.0005;   // About -66 dBFS
+        this.silenceWarningMs = options.silenceWarningMs ?? 2000;
+        this.waveColor = options.waveColor || '#8b4513';        // SaddleBrown
+        this.playheadColor = options.playheadColor || '#b22222'; // Firebrick
+
+        this.audioContext = null;
+        this.source = null;
+        this.analyser = null;
+        this.samples = null;
+        this.animationFrame = null;
+        this.liveRequest = 0;
+        this.history = [];
+        this.warning = null;
+
+        this.peaks = null;
+        this.duration = 0;
+        this.player = null;
+        this.handleSeekClick = (event) => this.seekFromClick(event);
+        this.canvas.addEventListener('click', this.handleSeekClick);
+    }
+
+    getAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext;
+    }
+
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    // Live view while recording
+
+    async startLive(stream) {
+        this.stopLive();
+        this.detachPlayer();
+        const request = this.liveRequest;
+
+        const audioContext = this.getAudioContext();
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+            // Stopped while resuming; the stream may already be released
+            if (request !== this.liveRequest) return;
+        }
+
+        this.source = audioContext.createMediaStreamSource(stream);
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.source.connect(this.analyser);
+
+        this.resizeCanvas();
+        this.history = [];
+        this.silentSince = performance.now();
+        this.setWarning(null);
+        this.drawLive();
+    }
+
+    stopLive() {
+        this.liveRequest++;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.analyser = null;
+        this.updateMeter(0, 0);
+    }
+
+    drawLive() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let min = 0;
+        let max = 0;
+        let sum = 0;
+        for (const sample of this.samples) {
+            if (sample < min) min = sample;
+            if (sample > max) max = sample;
+            sum += sample * sample;
+        }
+        const peak = Math.max(-min, max);
+        const rms = Math.sqrt(sum / this.samples.length);
+
+        this.updateMeter(peak, rms);
+        this.checkLevels(peak, rms);
+        if (this.onLevel) this.onLevel({ peak, rms });
+
+        // One column per frame, scrolling right to left
+        this.history.push([min, max]);
+        if (this.history.length > this.canvas.width) {
+            this.history.shift();
+        }
+        this.drawColumns(this.history, this.canvas.width - this.history.length);
+
+        this.animationFrame = requestAnimationFrame(() => this.drawLive());
+    }
+
+    checkLevels(peak, rms) {
+        const now = performance.now();
+
+        if (peak >= this.clipLevel) {
+            this.clippedAt = now;
+        }
+        if (rms > this.silenceLevel) {
+            this.silentSince = now;
+        }
+
+        if (this.clippedAt && now - this.clippedAt < 1000) {
+            this.setWarning('clipping');
+        } else if (now - this.silentSince >= this.silenceWarningMs) {
+            this.setWarning('silent');
+        } else {
+            this.setWarning(null);
+        }
+    }
+
+    setWarning(warning) {
+        if (warning === this.warning) return;
+        this.warning = warning;
+        if (this.onWarning) this.onWarning(warning);
+    }
+
+    updateMeter(peak, rms) {
+        // Show levels on a dB scale from -60 dBFS to 0
+        const toPercent = (value) => {
+            const db = 20 * Math.log10(Math.max(value, 1e-6));
+            return Math.min(100, Math.max(0, (db + 60) / 60 * 100));
+        };
+        this.meterRms.style.width = `${toPercent(rms)}%`;
+        this.meterPeak.style.insetInlineStart = `${toPercent(peak)}%`;
+        this.meter.classList.toggle('clipping', peak >= this.clipLevel);
+        this.meter.setAttribute('aria-valuenow', Math.round(toPercent(rms)));
+    }
+
+    drawColumns(columns, offset = 0) {
+        const { width, height } = this.canvas;
+        const middle = height / 2;
+        const ctx = this.context2d;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = this.waveColor;
+        columns.forEach(([min, max], x) => {
+            const top = middle - max * middle;
+            const bottom = middle - min * middle;
+            ctx.fillRect(offset + x, top, 1, Math.max(1, bottom - top));
+        });
+    }
+
+    // Static view of the finished take
+
+    async showRecording(blob, player) {
+        this.detachPlayer();
+        this.resizeCanvas();
+
+        try {
+            const buffer = await this.getAudioContext().decodeAudioData(await blob.arrayBuffer());
+            this.peaks = this.computePeaks(buffer, this.canvas.width);
+            this.duration = buffer.duration;
+        } catch (error) {
+            console.warn('Could not decode recording for waveform:', error);
+            this.peaks = null;
+            this.context2d.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            return;
+        }
+
+        const loudest = this.peaks.reduce((max, [min, peakMax]) => Math.max(max, -min, peakMax), 0);
+        this.setWarning(loudest <= this.silenceLevel * 4 ? 'silent' : null);
+
+        this.player = player;
+        this.handlePlayerUpdate = () => this.drawPlayhead();
+        ['timeupdate', 'seeked', 'loadedmetadata'].forEach(type => player.addEventListener(type, this.handlePlayerUpdate));
+        this.handlePlayerPlay = () => this.followPlayback();
+        player.addEventListener('play', this.handlePlayerPlay);
+
+        this.drawPlayhead();
+    }
+
+    computePeaks(buffer, columnCount) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        const samplesPerColumn = Math.max(1, Math.floor(buffer.length / columnCount));
+        const peaks = [];
+
+        for (let column = 0; column < columnCount; column++) {
+            let min = 0;
+            let max = 0;
+            const start = column * samplesPerColumn;
+            const end = Math.min(start + samplesPerColumn, buffer.length);
+            for (const data of channels) {
+                for (let i = start; i < end; i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                }
+            }
+            peaks.push([min, max]);
+        }
+        return peaks;
+    }
+
+    followPlayback() {
+        // timeupdate only fires a few times a second; animate smoothly while playing
+        this.drawPlayhead();
+        if (this.player && !this.player.paused && !this.player.ended) {
+            this.animationFrame = requestAnimationFrame(() => this.followPlayback());
+        }
+    }
+
+    drawPlayhead() {
+        if (!this.peaks) return;
+        this.drawColumns(this.peaks);
+
+        const duration = this.getDuration();
+        if (!duration) return;
+
+        const x = (this.player.currentTime / duration) * this.canvas.width;
+        this.context2d.fillStyle = this.playheadColor;
+        this.context2d.fillRect(Math.round(x), 0, 2, this.canvas.height);
+    }
+
+    getDuration() {
+        // MediaRecorder WebM files often report an Infinity duration until fully played
+        const duration = this.player?.duration;
+        return duration && isFinite(duration) ? duration : this.duration;
+    }
+
+    seekFromClick(event) {
+        if (!this.peaks || !this.player || !this.getDuration()) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = (event.clientX - rect.left) / rect.width;
+        this.player.currentTime = fraction * this.getDuration();
+    }
+
+    destroy() {
+        this.stopLive();
+        this.detachPlayer();
+        this.canvas.removeEventListener('click', this.handleSeekClick);
+        if (this.audioContext) {
+            this.audioContext.close().catch(e => console.error('Error closing audio context:', e));
+            this.audioContext = null;
+        }
+    }
+
+    detachPlayer() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        if (this.player) {
+            ['timeupdate', 'seeked', 'loadedmetadata'].forEach(type => this.player.removeEventListener(type, this.handlePlayerUpdate));
+            this.player.removeEventListener('play', this.handlePlayerPlay);
+            this.player = null;
+        }
+        this.peaks = null;
+    }
+}
@@ -0,0 +1,86 @@
+// <voice-recorder> renders the recorder UI into its own shadow root, so a
+// page can hold several of them. The markup comes from /embed/recorder on the
+// server that served the scripts, or from the element's src attribute; a
+// base-url attribute points the recorder at another server's API.
+//
+// The element re-dispatches the recorder's events (see AudioRecorder.events)
+// and forwards start/stop/pause/resume/getBlob to it. It fires `ready` once
+// its recorder exists.
+class VoiceRecorderElement extends HTMLElement {
+    constructor() {
+        super();
+        this.recorder = null;
+        this.loading = null;
+    }
+
+    connectedCallback() {
+        if (!this.recorder && !this.loading) {
+            this.loading = this.render().finally(() => {
+                this.loading = null;
+            });
+        }
+    }
+
+    disconnectedCallback() {
+        if (this.recorder) {
+            this.recorder.destroy();
+            this.recorder = null;
+        }
+    }
+
+    async render() {
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        try {
+            const response = await fetch(this.getAttribute('src') || new URL('embed/recorder', AudioRecorder.defaultBaseUrl).href);
+            if (!response.ok) {
+                throw new Error(`Recorder markup request failed with status ${response.status}`);
+            }
+            shadow.innerHTML = await response.text();
+        } catch (error) {
+            console.error('Error loading recorder:', error);
+            this.dispatchEvent(new CustomEvent('error', { detail: { message: error.message } }));
+            return;
+        }
+
+        // Removed from the page while the markup was loading
+        if (!this.isConnected) return;
+
+        this.recorder = new AudioRecorder({
+            container: shadow,
+            id: this.id || null,
+            baseUrl: this.getAttribute('base-url') || null
+        });
+        AudioRecorder.events.forEach(type => {
+            this.recorder.addEventListener(type, (event) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail }));
+            });
+        });
+        this.dispatchEvent(new CustomEvent('ready'));
+    }
+
+    get state() {
+        return this.recorder?.state || 'idle';
+    }
+
+    start() {
+        return this.recorder?.start();
+    }
+
+    stop() {
+        this.recorder?.stop();
+    }
+
+    pause() {
+        this.recorder?.pause();
+    }
+
+    resume() {
+        this.recorder?.resume();
+    }
+
+    getBlob() {
+        return this.recorder?.getBlob() || null;
+    }
+}
+
+customElements.define('voice-recorder', VoiceRecorderElement);
@@ -0,0 +1,62 @@
+// ES module entry point for pages that embed the recorder:
+//
+//   import { AudioRecorder } from 'https://<host>/static/js/voice-recorder.module.js';
+//
+// The recorder is written as classic scripts sharing one global scope, so this
+// loads them in order (unless the page already has) and re-exports the public
+// classes. Importing it also defines the <voice-recorder> element.
+const scripts = [
+    'i18n.js',
+    'locales.js',
+    'uploader.js',
+    'chunk-uploader.js',
+    'outbox.js',
+    'conversation.js',
+    'streaming.js',
+    'reply-player.js',
+    'vad.js',
+    'visualizer.js',
+    'transcoder.js',
+    'metadata.js',
+    'transcript.js',
+    'editor.js',
+    'processing.js',
+    'devices.js',
+    'storage.js',
+    'zip.js',
+    'library.js',
+    'recovery.js',
+    'limits.js',
+    'shortcuts.js',
+    'diagnostics.js',
+    'recorder.js',
+    'voice-recorder-element.js'
+];
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+if (typeof AudioRecorder === 'undefined') {
+    for (const name of scripts) {
+        await loadScript(new URL(name, import.meta.url).href);
+    }
+}
+
+// Classes declared by classic scripts are global bindings, not window properties
+const Recorder = AudioRecorder;
+const RecorderElement = VoiceRecorderElement;
+const Transcoder = AudioTranscoder;
+
+export {
+    Recorder as AudioRecorder,
+    RecorderElement as VoiceRecorderElement,
+    Transcoder as AudioTranscoder
+};
+export default Recorder;
@@ -0,0 +1,70 @@
+"""Streaming reply providers for live conversation turns.
+
+A provider is created for every streamed take with the take's MIME type and
+the conversation history, and kept when the client reconnects mid-take.
+``feed(data)`` is called with each audio frame as it arrives and returns
+events to send straight away, such as partial transcripts.
+``finish(recording, path)`` is called once the take is saved and yields the
+reply: ``reply`` events carrying text deltas, an ``audio`` event announcing
+the reply audio's MIME type followed by the audio itself as ``bytes``, and
+last a ``complete`` event with the reply ``text`` and ``audioUrl`` to keep in
+the conversation. Pick one with the STREAMING_PROVIDER environment variable.
+"""
+
+
+class EchoStream:
+    # Streams the caller's own audio back, so the whole live loop can be
+    # exercised locally without a speech or AI service
+    partial_every = 16 * 1024
+    audio_frame_size = 16 * 1024
+
+    def __init__(self, mime_type, history):
+        self.mime_type = mime_type
+        self.turn = len(history) // 2 + 1
+        self.received = 0
+
+    def feed(self, data):
+        before = self.received // self.partial_every
+        self.received += len(data)
+        if self.received // self.partial_every == before:
+            return []
+        return [{'type': 'partial', 'text': f'Heard {self.received / 1024:.0f} KB so far...'}]
+
+    def finish(self, recording, path):
+        text = f"Echo: I received your {recording['size'] / 1024:.1f} KB recording (turn {self.turn})."
+        for word in text.split(' '):
+            yield {'type': 'reply', 'delta': f'{word} '}
+
+        yield {'type': 'audio', 'mimeType': recording['mimeType']}
+        with open(path, 'rb') as f:
+            while frame := f.read(self.audio_frame_size):
+                yield frame
+
+        yield {'type': 'complete', 'text': text, 'audioUrl': f"/api/recordings/{recording['id']}/audio"}
+
+
+class StubStream:
+    def __init__(self, mime_type, history):
+        pass
+
+    def feed(self, data):
+        return []
+
+    def finish(self, recording, path):
+        text = 'This is a placeholder reply. Connect an AI provider to get real answers.'
+        for word in text.split(' '):
+            yield {'type': 'reply', 'delta': f'{word} '}
+        yield {'type': 'complete', 'text': text, 'audioUrl': None}
+
+
+PROVIDERS = {
+    'echo': EchoStream,
+    'stub': StubStream,
+}
+
+
+def get_provider(name):
+    try:
+        return PROVIDERS[name]
+    except KeyError:
+        raise ValueError(f'Unknown streaming provider: {name}')
@@ -0,0 +1,507 @@
+// AudioRecorder's state machine, run against the real page markup and scripts
+// in jsdom with MediaRecorder, getUserMedia and Web Audio stubbed out.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const root = path.join(__dirname, '..');
+
+// Scripts in the order the page loads them
+const scripts = [...fs.readFileSync(path.join(root, 'templates/index.html'), 'utf8')
+    .matchAll(/filename='js\/([\w-]+\.js)'/g)].map(match => match[1]);
+
+// The recorder's markup without its Jinja tags; the embed-only parts are left out
+const markup = fs.readFileSync(path.join(root, 'templates/recorder.html'), 'utf8')
+    .replace(/{% if embed %}[\s\S]*?{% endif %}/g, '')
+    .replace(/{%[\s\S]*?%}/g, '')
+    .replace(/{{[\s\S]*?}}/g, '');
+
+function fakeStream(label = 'Test microphone') {
+    const track = {
+        kind: 'audio',
+        label,
+        enabled: true,
+        readyState: 'live',
+        getSettings: () => ({ deviceId: 'default', sampleRate: 48000, channelCount: 1 }),
+        stop() { this.readyState = 'ended'; },
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    return {
+        get active() { return track.readyState === 'live'; },
+        getAudioTracks: () => [track],
+        getVideoTracks: () => [],
+        getTracks: () => [track]
+    };
+}
+
+function fakeParam() {
+    return {
+        value: 0,
+        setValueAtTime() {},
+        setTargetAtTime() {},
+        linearRampToValueAtTime() {},
+        cancelScheduledValues() {}
+    };
+}
+
+// Any audio node: connects to anything, and every other property reads as an AudioParam
+function fakeNode(properties = {}) {
+    const node = {
+        connect() {},
+        disconnect() {},
+        getFloatTimeDomainData() {},
+        parameters: { get: () => fakeParam() },
+        ...properties
+    };
+    return new Proxy(node, {
+        get(target, name) {
+            if (!(name in target) && typeof name === 'string' && name !== 'then') {
+                target[name] = fakeParam();
+            }
+            return target[name];
+        }
+    });
+}
+
+class FakeAudioContext {
+    constructor({ sampleRate = 48000 } = {}) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.audioWorklet = { addModule: async () => {} };
+    }
+
+    createMediaStreamDestination() { return fakeNode({ stream: fakeStream('Recorder output'), channelCount: 1 }); }
+    createMediaStreamSource() { return fakeNode(); }
+    createGain() { return fakeNode(); }
+    createAnalyser() { return fakeNode({ fftSize: 2048 }); }
+    createBiquadFilter() { return fakeNode(); }
+    createDynamicsCompressor() { return fakeNode(); }
+    createChannelMerger() { return fakeNode(); }
+    async decodeAudioData() { throw new Error('Decoding is not stubbed'); }
+    async resume() { this.state = 'running'; }
+    async close() { this.state = 'closed'; }
+}
+
+// Like the browser's, a stopped recorder hands over its last data and fires
+// onstop a task later, which leaves room for an error to arrive in between
+function fakeMediaRecorderClass(window, instances) {
+    return class FakeMediaRecorder {
+        static isTypeSupported(type) {
+            return type.startsWith('audio/webm');
+        }
+
+        constructor(stream, { mimeType = 'audio/webm' } = {}) {
+            this.stream = stream;
+            this.mimeType = mimeType;
+            this.state = 'inactive';
+            instances.push(this);
+        }
+
+        start() {
+            this.state = 'recording';
+        }
+
+        pause() {
+            this.state = 'paused';
+        }
+
+        resume() {
+            this.state = 'recording';
+        }
+
+        stop() {
+            if (this.state === 'inactive') {
+                throw new window.DOMException('The recorder is not recording', 'InvalidStateError');
+            }
+            this.state = 'inactive';
+            setTimeout(() => {
+                this.ondataavailable?.({ data: new window.Blob(['audio'], { type: this.mimeType }) });
+                this.onstop?.();
+            });
+        }
+
+        requestData() {}
+
+        fail(error) {
+            this.onerror?.({ error });
+        }
+    };
+}
+
+// Answers every upload with what respond() returns for it, a task after it's sent
+function fakeXMLHttpRequestClass(requests, respond) {
+    return class FakeXMLHttpRequest {
+        constructor() {
+            this.upload = {};
+            this.status = 0;
+            this.response = null;
+            requests.push(this);
+        }
+
+        open(method, url) {
+            this.method = method;
+            this.url = url;
+        }
+
+        send(body) {
+            this.body = body;
+            setTimeout(() => {
+                Object.assign(this, respond(this));
+                this.onload?.();
+            });
+        }
+
+        abort() {
+            this.onabort?.();
+        }
+    };
+}
+
+function define(target, name, value) {
+    Object.defineProperty(target, name, { value, configurable: true });
+}
+
+function installStubs(window, { recorders, requests, getUserMedia, permission, respond }) {
+    define(window, 'MediaRecorder', fakeMediaRecorderClass(window, recorders));
+    define(window, 'XMLHttpRequest', fakeXMLHttpRequestClass(requests, respond));
+    define(window, 'AudioContext', FakeAudioContext);
+    define(window, 'AudioWorkletNode', function () { return fakeNode(); });
+    define(window, 'indexedDB', new IDBFactory());
+    define(window, 'IDBKeyRange', IDBKeyRange);
+    define(window, 'fetch', async () => ({
+        ok: false,
+        status: 503,
+        json: async () => ({}),
+        text: async () => ''
+    }));
+    define(window.URL, 'createObjectURL', () => 'blob:test');
+    define(window.URL, 'revokeObjectURL', () => {});
+    define(window.HTMLCanvasElement.prototype, 'getContext', () => new Proxy({}, { get: () => () => {} }));
+    define(window.HTMLMediaElement.prototype, 'pause', () => {});
+    define(window.navigator, 'onLine', false);
+    define(window.navigator, 'mediaDevices', {
+        getUserMedia,
+        enumerateDevices: async () => [
+            { kind: 'audioinput', deviceId: 'default', groupId: 'test', label: 'Test microphone' }
+        ],
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    define(window.navigator, 'permissions', {
+        query: async () => ({ state: permission, onchange: null })
+    });
+}
+
+async function waitFor(predicate, message, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!predicate()) {
+        if (Date.now() - started > timeoutMs) {
+            assert.fail(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// A recorder that has finished initializing: in 'ready' with the microphone
+// already allowed, or in 'idle' while the browser has yet to ask
+async function createRecorder(t, {
+    permission = 'granted',
+    getUserMedia: openMicrophone = async () => fakeStream(),
+    respond = () => ({ status: 201, response: { id: 'uploaded-take' } }),
+    inContainer = false
+} = {}) {
+    const recorders = [];
+    const requests = [];
+    const getUserMedia = t.mock.fn(openMicrophone);
+    const messages = [];
+    const virtualConsole = new VirtualConsole();
+    for (const level of ['log', 'info', 'warn', 'error']) {
+        virtualConsole.on(level, (...args) => messages.push({ level, text: args.map(String).join(' ') }));
+    }
+    virtualConsole.on('jsdomError', error => messages.push({ level: 'jsdom', text: error.message }));
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><body><div id="host">${markup}</div></body></html>`, {
+        url: 'http://localhost:5000/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse: window => installStubs(window, { recorders, requests, getUserMedia, permission, respond })
+    });
+    const { window } = dom;
+    for (const name of scripts) {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(root, 'static/js', name), 'utf8');
+        window.document.body.appendChild(script);
+    }
+
+    const AudioRecorder = window.eval('AudioRecorder');
+    // The constructor starts initializing without handing back the promise
+    let initialized = null;
+    const initialize = AudioRecorder.prototype.initializeRecorder;
+    AudioRecorder.prototype.initializeRecorder = function () {
+        initialized = initialize.call(this);
+        return initialized;
+    };
+    const recorder = new AudioRecorder(inContainer ? { container: window.document.getElementById('host') } : {});
+    await initialized;
+    assert.equal(recorder.state, permission === 'granted' ? 'ready' : 'idle');
+
+    const states = [];
+    recorder.addEventListener('statechange', event => states.push(event.detail.state));
+
+    t.after(() => {
+        recorder.destroy();
+        window.close();
+    });
+    return { window, AudioRecorder, recorder, recorders, requests, getUserMedia, states, messages };
+}
+
+// Records a short take while offline, which leaves it queued in the outbox
+async function recordTake(recorder) {
+    await recorder.startRecording(null, { mode: 'new' }, { countdown: false });
+    recorder.stopRecording();
+    await waitFor(() => recorder.state === 'ready', 'the take to be processed');
+}
+
+test('every transition in the table is accepted', async (t) => {
+    const { AudioRecorder, recorder } = await createRecorder(t);
+
+    for (const [from, targets] of Object.entries(AudioRecorder.transitions)) {
+        for (const to of targets) {
+            recorder.state = from;
+            const changes = [];
+            const onChange = ({ detail }) => changes.push({ state: detail.state, previousState: detail.previousState });
+            recorder.addEventListener('statechange', onChange);
+
+            assert.equal(recorder.transition(to), true, `${from} -> ${to} should be allowed`);
+            assert.equal(recorder.state, to);
+            assert.deepEqual(changes, [{ state: to, previousState: from }]);
+
+            recorder.removeEventListener('statechange', onChange);
+        }
+    }
+});
+
+test('every transition missing from the table is rejected', async (t) => {
+    const { AudioRecorder, recorder, messages } = await createRecorder(t);
+    const states = Object.keys(AudioRecorder.transitions);
+
+    for (const from of states) {
+        for (const to of states) {
+            if (to === from || AudioRecorder.transitions[from].includes(to)) continue;
+
+            recorder.state = from;
+            let changed = false;
+            const onChange = () => { changed = true; };
+            recorder.addEventListener('statechange', onChange);
+            messages.length = 0;
+
+            assert.equal(recorder.transition(to), false, `${from} -> ${to} should be refused`);
+            assert.equal(recorder.state, from);
+            assert.equal(changed, false);
+            assert.ok(messages.some(message => message.text.includes(`${from} -> ${to}`)));
+
+            recorder.removeEventListener('statechange', onChange);
+        }
+    }
+});
+
+test('every state in the table can be left and reached', async (t) => {
+    const { AudioRecorder } = await createRecorder(t);
+    const states = Object.keys(AudioRecorder.transitions);
+
+    for (const [from, targets] of Object.entries(AudioRecorder.transitions)) {
+        assert.ok(targets.length > 0, `${from} has no way out`);
+        for (const to of targets) {
+            assert.ok(states.includes(to), `${from} -> ${to} leads to an unknown state`);
+        }
+    }
+    for (const state of states.filter(state => state !== 'idle')) {
+        assert.ok(states.some(from => AudioRecorder.transitions[from].includes(state)), `${state} can't be reached`);
+    }
+});
+
+test('staying in the same state is allowed but not announced', async (t) => {
+    const { recorder, states } = await createRecorder(t);
+
+    assert.equal(recorder.transition('ready'), true);
+    assert.equal(recorder.state, 'ready');
+    assert.deepEqual(states, []);
+});
+
+test('a take goes from recording through processing and back to ready', async (t) => {
+    const { recorder, recorders, getUserMedia, states } = await createRecorder(t);
+
+    await recorder.startRecording(null, { mode: 'new' }, { countdown: false });
+    assert.equal(getUserMedia.mock.callCount(), 1);
+    assert.equal(recorders.length, 1);
+    assert.equal(recorders[0].state, 'recording');
+    assert.equal(recorder.state, 'recording');
+
+    recorder.togglePause();
+    assert.equal(recorder.state, 'paused');
+    recorder.togglePause();
+    assert.equal(recorder.state, 'recording');
+
+    recorder.stopRecording();
+    assert.equal(recorder.state, 'processing');
+    // Offline, so the processed take is queued in the outbox rather than uploaded
+    await waitFor(() => recorder.state === 'ready', 'the take to be processed');
+
+    assert.deepEqual(states, ['recording', 'paused', 'recording', 'processing', 'ready']);
+    assert.ok(recorder.lastRecording);
+});
+
+test('a recorder error while recording ends in the error state', async (t) => {
+    const { recorder, recorders, states } = await createRecorder(t);
+    const processRecording = t.mock.method(recorder, 'processRecording');
+
+    await recorder.startRecording(null, { mode: 'new' }, { countdown: false });
+    recorders[0].fail(new Error('Device failed'));
+    await waitFor(() => processRecording.mock.callCount() === 1, 'the recorder to stop');
+    await processRecording.mock.calls[0].result;
+
+    assert.equal(recorder.state, 'error');
+    assert.deepEqual(states, ['recording', 'error']);
+    assert.equal(recorder.lastRecording, null);
+    assert.equal(recorder.inputStream, null);
+});
+
+test('an error between stopping and the stop event ends in the error state', async (t) => {
+    const { recorder, recorders, states } = await createRecorder(t);
+    const processRecording = t.mock.method(recorder, 'processRecording');
+    const uploadRecording = t.mock.method(recorder, 'uploadRecording');
+
+    await recorder.startRecording(null, { mode: 'new' }, { countdown: false });
+    recorder.stopRecording();
+    assert.equal(recorder.state, 'processing');
+
+    // The error arrives before the stopped recorder's onstop
+    recorders[0].fail(new Error('Device failed'));
+    assert.equal(recorder.state, 'error');
+
+    await waitFor(() => processRecording.mock.callCount() === 1, 'the stop event');
+    await processRecording.mock.calls[0].result;
+
+    assert.equal(recorder.state, 'error');
+    assert.deepEqual(states, ['recording', 'processing', 'error']);
+    assert.equal(recorder.lastRecording, null);
+    assert.equal(uploadRecording.mock.callCount(), 0);
+});
+
+test('asking for the microphone goes from idle through requesting-permission to ready', async (t) => {
+    const { recorder, getUserMedia, states } = await createRecorder(t, { permission: 'prompt' });
+
+    await recorder.requestPermission();
+
+    assert.equal(getUserMedia.mock.callCount(), 1);
+    assert.equal(recorder.permissionState, 'granted');
+    assert.equal(recorder.state, 'ready');
+    assert.deepEqual(states, ['requesting-permission', 'ready']);
+});
+
+test('a refused microphone ends in the error state', async (t) => {
+    const { window, recorder, states } = await createRecorder(t, {
+        permission: 'prompt',
+        getUserMedia: async () => { throw new window.DOMException('Permission denied', 'NotAllowedError'); }
+    });
+    // No automatic retries, so the first refusal is final
+    recorder.maxRetryAttempts = 0;
+
+    await recorder.requestPermission();
+
+    assert.equal(recorder.permissionState, 'denied');
+    assert.equal(recorder.state, 'error');
+    assert.deepEqual(states, ['requesting-permission', 'error']);
+});
+
+test('stopping during the countdown goes back to ready without recording', async (t) => {
+    const { recorder, recorders, getUserMedia, states } = await createRecorder(t);
+    t.mock.method(recorder.limits, 'countdown', () => 3, { getter: true });
+
+    const starting = recorder.startRecording();
+    assert.equal(recorder.state, 'countdown');
+    recorder.stopRecording();
+    await starting;
+
+    assert.equal(recorder.state, 'ready');
+    assert.deepEqual(states, ['countdown', 'ready']);
+    assert.equal(getUserMedia.mock.callCount(), 0);
+    assert.equal(recorders.length, 0);
+});
+
+test('a countdown that runs out starts recording', async (t) => {
+    const { recorder, recorders, states } = await createRecorder(t);
+    t.mock.method(recorder.limits, 'countdown', () => 1, { getter: true });
+
+    await recorder.startRecording();
+
+    assert.equal(recorder.state, 'recording');
+    assert.deepEqual(states, ['countdown', 'recording']);
+    assert.equal(recorders.length, 1);
+});
+
+test('an accepted upload goes from uploading back to ready', async (t) => {
+    const { window, recorder, requests, states } = await createRecorder(t);
+    await recordTake(recorder);
+    define(window.navigator, 'onLine', true);
+    states.length = 0;
+
+    await recorder.uploadRecording();
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'http://localhost:5000/api/recordings');
+    assert.equal(recorder.state, 'ready');
+    assert.deepEqual(states, ['uploading', 'ready']);
+    assert.equal(recorder.lastRecording.id, 'uploaded-take');
+});
+
+test('a refused upload ends in the error state', async (t) => {
+    const { window, recorder, requests, states } = await createRecorder(t, {
+        respond: () => ({ status: 400, response: { error: 'Unsupported audio' } })
+    });
+    await recordTake(recorder);
+    define(window.navigator, 'onLine', true);
+    states.length = 0;
+
+    await recorder.uploadRecording();
+
+    // Refusals aren't retried, unlike server errors
+    assert.equal(requests.length, 1);
+    assert.equal(recorder.state, 'error');
+    assert.deepEqual(states, ['uploading', 'error']);
+    assert.equal(recorder.lastRecording.id, null);
+    assert.match(recorder.uploadStatus.textContent, /Unsupported audio/);
+});
+
+test('focus leaves the permission section once access is granted, in a container too', async (t) => {
+    for (const inContainer of [false, true]) {
+        const { window, recorder } = await createRecorder(t, { permission: 'prompt', inContainer });
+        recorder.permissionButton.focus();
+        assert.equal(window.document.activeElement, recorder.permissionButton);
+
+        await recorder.requestPermission();
+
+        assert.equal(recorder.state, 'ready');
+        assert.equal(window.document.activeElement, recorder.recordButton);
+    }
+});
+
+test('stopping the level meter while its audio context resumes leaves it stopped', async (t) => {
+    const { recorder } = await createRecorder(t);
+    const visualizer = recorder.visualizer;
+    visualizer.getAudioContext().state = 'suspended';
+
+    const starting = visualizer.startLive(fakeStream());
+    visualizer.stopLive();
+    await starting;
+
+    assert.equal(visualizer.source, null);
+    assert.equal(visualizer.analyser, null);
+    assert.equal(visualizer.animationFrame, null);
+});
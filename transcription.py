@@ -0,0 +1,69 @@
+"""Transcription providers for recorded audio.
+
+A provider takes the path of an audio file and the spoken ``language``
+the user chose (a BCP 47 tag such as ``'te-IN'``, or None to detect it),
+and returns a dict with the full ``text``, the ``language`` (or None) and a
+list of ``words``, each ``{'word', 'start', 'end'}`` with times in
+seconds. Pick one with the TRANSCRIPTION_PROVIDER environment variable.
+"""
+
+import os
+
+
+def stub_transcript(path, language=None):
+    # Evenly spaced placeholder words, so the transcript UI can be exercised without a model
+    text = 'This is a placeholder transcript. Connect a speech model to get real words.'
+    words = [
+        {'word': word, 'start': round(i * 0.4, 2), 'end': round(i * 0.4 + 0.35, 2)}
+        for i, word in enumerate(text.split())
+    ]
+    return {'text': text, 'language': language or 'en', 'words': words}
+
+
+_whisper_model = None
+
+
+def whisper_transcript(path, language=None):
+    # Runs offline with faster-whisper; the model is downloaded once and then cached locally
+    global _whisper_model
+    try:
+        from faster_whisper import WhisperModel
+    except ImportError:
+        raise RuntimeError('The whisper provider needs the faster-whisper package')
+
+    if _whisper_model is None:
+        _whisper_model = WhisperModel(
+            os.environ.get('WHISPER_MODEL', 'base'),
+            device='cpu',
+            compute_type='int8',
+        )
+
+    # Whisper knows languages by their ISO 639-1 code alone ("te", not "te-IN")
+    segments, info = _whisper_model.transcribe(
+        path,
+        language=language.split('-')[0] if language else None,
+        word_timestamps=True,
+    )
+    words = [
+        {'word': word.word.strip(), 'start': round(word.start, 2), 'end': round(word.end, 2)}
+        for segment in segments
+        for word in segment.words
+    ]
+    return {
+        'text': ' '.join(word['word'] for word in words),
+        'language': info.language,
+        'words': words,
+    }
+
+
+PROVIDERS = {
+    'stub': stub_transcript,
+    'whisper': whisper_transcript,
+}
+
+
+def get_provider(name):
+    try:
+        return PROVIDERS[name]
+    except KeyError:
+        raise ValueError(f'Unknown transcription provider: {name}')